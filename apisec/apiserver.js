@@ -6,11 +6,33 @@
 require("dotenv").config();
 
 const express = require("express");
-const crypto = require("crypto");
 const fs = require("fs");
 const https = require("https");
 const path = require("path");
-const { MongoClient, ServerApiVersion } = require("mongodb");
+const { MongoClient, ObjectId, ServerApiVersion } = require("mongodb");
+const { normalizeReading, ensureReadingIndexes, storeReadings } = require("./readings");
+const { BUCKETS, AGG_OPS, bucketPipeline } = require("./buckets");
+const {
+  INTEGRATIONS,
+  verifyWebhook,
+  normalizeChirpStackUplink,
+  normalizeTtnUplink,
+  chirpStackEvent,
+  isTtnUplink,
+} = require("./webhooks");
+const { mqttConfigFromEnv, createMqttWorker } = require("./mqttworker");
+const { EXPORT_FORMATS, streamExport } = require("./export");
+const {
+  hashSecret,
+  safeEqual,
+  parseApiKey,
+  hasScope,
+  canUseDevice,
+  narrowDevices,
+  createKeyStore,
+} = require("./keystore");
+const { rateLimitConfigFromEnv, createRateLimiter, createAuthFailureLimiter } = require("./ratelimit");
+const { auditConfigFromEnv, createAuditLog } = require("./audit");
 
 const app = express();
 
@@ -39,6 +61,17 @@ const API_KEY_HASHES = (process.env.API_KEY_HASHES || "")
   .map((s) => s.trim().toLowerCase())
   .filter(Boolean);
 
+// Scopes granted to the env keys above (store keys carry their own; see keystore.js).
+// These are the service keys (predictor, STA, websec, gateways): admin only when listed here.
+const ENV_KEY_SCOPES = (process.env.ENV_KEY_SCOPES || "read,ingest")
+  .split(",")
+  .map((s) => s.trim())
+  .filter(Boolean);
+
+// Key store collection (keys are "<keyId>.<secret>"; managed via /admin/keys or genkey.js)
+const API_KEYS_COLLECTION = process.env.API_KEYS_COLLECTION || "apikeys";
+const KEYSTORE_CACHE_MS = Number(process.env.KEYSTORE_CACHE_MS || 30000);
+
 const PROTECT_HEALTH = /^true$/i.test(process.env.PROTECT_HEALTH || "false");
 
 // HTTPS / TLS
@@ -52,6 +85,10 @@ const TRUST_PROXY = /^true$/i.test(
   process.env.TRUST_PROXY || (HTTP_REDIRECT_HTTPS ? "true" : "false")
 );
 
+// Ingestion
+const INGEST_BATCH_MAX = Number(process.env.INGEST_BATCH_MAX || 1000);
+const INGEST_BODY_LIMIT = process.env.INGEST_BODY_LIMIT || "1mb";
+
 // Basic validation
 if (!MONGODB_URI || !DB_NAME || !COLLECTION_NAME) {
   console.error("Missing required env: MONGODB_URI, DB_NAME, COLLECTION_NAME");
@@ -91,10 +128,22 @@ async function getDb() {
   return cached.db;
 }
 
+const keyStore = createKeyStore(
+  async () => (await getDb()).collection(API_KEYS_COLLECTION),
+  { cacheMs: KEYSTORE_CACHE_MS }
+);
+
 /* ================================
    Helpers
 =================================== */
 function ok(res, body, statusCode = 200) {
+  // Result size for the audit log (items/points/keys/records or an explicit count)
+  if (res.locals.resultCount == null && body && typeof body === "object") {
+    const list = body.items || body.points || body.keys || body.records;
+    if (Array.isArray(list)) res.locals.resultCount = list.length;
+    else if (typeof body.count === "number") res.locals.resultCount = body.count;
+    else if (body.latest !== undefined) res.locals.resultCount = body.latest ? 1 : 0;
+  }
   res
     .status(statusCode)
     .set({
@@ -108,14 +157,6 @@ function err(res, message, statusCode = 500) {
   ok(res, { error: message }, statusCode);
 }
 
-// Constant-time equality
-function safeEqual(a, b) {
-  const ab = Buffer.from(String(a));
-  const bb = Buffer.from(String(b));
-  if (ab.length !== bb.length) return false;
-  return crypto.timingSafeEqual(ab, bb);
-}
-
 // Extract API key from headers
 function extractApiKey(req) {
   const h = req.headers;
@@ -125,28 +166,56 @@ function extractApiKey(req) {
   return null;
 }
 
-// API-key auth middleware
+// API-key auth middleware: env keys first, then the MongoDB key store.
+// On success sets req.apiKey = { id, owner, scopes, devices } (id never contains the secret).
 function requireApiKey({ protectHealth = false } = {}) {
   const allowlist = new Set(API_KEYS);
   const hashList = new Set(API_KEY_HASHES);
   const useHashes = hashList.size > 0;
 
-  return (req, res, next) => {
+  const envKey = (digest) => ({
+    id: `env:${hashSecret(digest).slice(0, 12)}`,
+    owner: "env",
+    scopes: ENV_KEY_SCOPES,
+    devices: null,
+  });
+
+  return async (req, res, next) => {
     if (!protectHealth && req.path === "/health") return next();
+    // Network-server webhooks carry their own per-integration secret/signature
+    if (req.path.startsWith("/webhooks/")) return next();
 
     const provided = extractApiKey(req);
     if (!provided) return err(res, "Missing API key", 401);
 
+    const digest = hashSecret(provided);
     if (useHashes) {
-      const digest = crypto.createHash("sha256").update(provided).digest("hex");
-      for (const h of hashList) if (safeEqual(digest, h)) return next();
+      for (const h of hashList) if (safeEqual(digest, h)) { req.apiKey = envKey(digest); return next(); }
     } else {
-      for (const k of allowlist) if (safeEqual(provided, k)) return next();
+      for (const k of allowlist) if (safeEqual(provided, k)) { req.apiKey = envKey(digest); return next(); }
+    }
+
+    if (parseApiKey(provided)) {
+      try {
+        const key = await keyStore.verify(provided);
+        if (key) { req.apiKey = key; return next(); }
+      } catch (e) {
+        console.error("[keys] lookup failed:", e.message);
+        return err(res, "API key store unavailable", 503);
+      }
     }
     return err(res, "Invalid API key", 403);
   };
 }
 
+// Per-route scope check ("read" | "ingest" | "admin")
+function requireScope(scope) {
+  return (req, res, next) => {
+    if (hasScope(req.apiKey, scope)) return next();
+    return err(res, `API key lacks '${scope}' scope`, 403);
+  };
+}
+
 /* ================================
    HTTPS/TLS loader
 =================================== */
@@ -193,18 +262,65 @@ if (HTTP_REDIRECT_HTTPS && HTTPS_ENABLE) {
   });
 }
 
+// Audit log of every request, including those refused by auth (see audit.js)
+const AUDIT = auditConfigFromEnv();
+const auditLog = createAuditLog(AUDIT, { getDb });
+app.use(auditLog.middleware);
+
+// Per-address throttle on failed API-key checks, ahead of auth (429 with Retry-After)
+const RATE_LIMIT = rateLimitConfigFromEnv();
+const rateLimitCollection = async () => (await getDb()).collection(RATE_LIMIT.collection);
+app.use(createAuthFailureLimiter(RATE_LIMIT, { getCollection: rateLimitCollection, onReject: err }));
+
 // API-key protection (health can be open unless PROTECT_HEALTH=true)
 app.use(requireApiKey({ protectHealth: PROTECT_HEALTH }));
 
+// Per-key rate limit + daily quota (429 with Retry-After)
+app.use(createRateLimiter(RATE_LIMIT, { getCollection: rateLimitCollection, onReject: err }));
+
+// JSON bodies (ingestion routes); webhooks keep the raw bytes for signature checks
+app.use(express.json({
+  limit: INGEST_BODY_LIMIT,
+  verify: (req, _res, buf) => {
+    if (req.path.startsWith("/webhooks/")) req.rawBody = buf;
+  },
+}));
+
 /* ================================
    Data helpers
 =================================== */
 
-/** Latest doc overall, sorted by a field (string field name). */
-async function fetchLatest(sortField = "time") {
+/** Device/profile filter as a $match on the computed __sensorKey (null when unfiltered).
+ * devices: sensor keys (deviceInfo.deviceName → sensorField → sensorId)
+ * profiles: deviceInfo.deviceProfileName values
+ */
+function deviceMatch({ devices = [], profiles = [] } = {}) {
+  const m = {};
+  if (devices.length) m.__sensorKey = { $in: devices };
+  if (profiles.length) m["deviceInfo.deviceProfileName"] = { $in: profiles };
+  return Object.keys(m).length ? m : null;
+}
+
+function sensorKeyExpr(sensorField) {
+  return { $ifNull: ["$deviceInfo.deviceName", { $ifNull: [`$${sensorField}`, "$sensorId"] }] };
+}
+
+/** Latest doc overall, sorted by a field (string field name), optionally filtered by device/profile. */
+async function fetchLatest(sortField = "time", { sensorField = "sensorId", devices = [], profiles = [] } = {}) {
   const db = await getDb();
   const coll = db.collection(COLLECTION_NAME);
-  const docs = await coll.find({}).sort({ [sortField]: -1 }).limit(1).toArray();
+  const match = deviceMatch({ devices, profiles });
+  if (!match) {
+    const docs = await coll.find({}).sort({ [sortField]: -1 }).limit(1).toArray();
+    return docs[0] ?? null;
+  }
+  const docs = await coll.aggregate([
+    { $addFields: { __sensorKey: sensorKeyExpr(sensorField) } },
+    { $match: match },
+    { $sort: { [sortField]: -1 } },
+    { $limit: 1 },
+    { $project: { __sensorKey: 0 } },
+  ], { allowDiskUse: true }).toArray();
   return docs[0] ?? null;
 }
 
@@ -212,9 +328,15 @@ async function fetchLatest(sortField = "time") {
  * Chooses sensor key by deviceInfo.deviceName → sensorField → sensorId.
  * Ensures __sortTime is a Date by converting either numeric ts or string timeField via $toDate.
  */
-async function fetchLatestAllPerDevice({ sensorField = "sensorId", timeField = "time" } = {}) {
+async function fetchLatestAllPerDevice({
+  sensorField = "sensorId",
+  timeField = "time",
+  devices = [],
+  profiles = [],
+} = {}) {
   const db = await getDb();
   const coll = db.collection(COLLECTION_NAME);
+  const match = deviceMatch({ devices, profiles });
 
   const pipeline = [
     {
@@ -224,11 +346,10 @@ async function fetchLatestAllPerDevice({ sensorField = "sensorId", timeField = "
             $ifNull: ["$ts", `$${timeField}`] // numeric millis or ISO string
           }
         },
-        __sensorKey: {
-          $ifNull: ["$deviceInfo.deviceName", { $ifNull: [`$${sensorField}`, "$sensorId"] }],
-        },
+        __sensorKey: sensorKeyExpr(sensorField),
       },
     },
+    ...(match ? [{ $match: match }] : []),
     { $sort: { __sortTime: -1 } },
     { $group: { _id: "$__sensorKey", doc: { $first: "$$ROOT" } } },
     { $replaceRoot: { newRoot: "$doc" } },
@@ -239,10 +360,32 @@ async function fetchLatestAllPerDevice({ sensorField = "sensorId", timeField = "
   return { sensorField: "deviceInfo.deviceName", timeField, items };
 }
 
+/** Opaque page cursor: position (sort time + _id) of the last doc of a page. */
+function encodeCursor(doc, order) {
+  const isOid = doc._id instanceof ObjectId;
+  const pos = { t: +doc.__sortTime, id: isOid ? doc._id.toHexString() : doc._id, oid: isOid, o: order };
+  return Buffer.from(JSON.stringify(pos)).toString("base64url");
+}
+
+/** Returns { t: Date, id, order } or null when the cursor is malformed. */
+function decodeCursor(str) {
+  try {
+    const pos = JSON.parse(Buffer.from(String(str), "base64url").toString("utf8"));
+    if (!Number.isFinite(pos?.t) || pos.id === undefined || (pos.o !== 1 && pos.o !== -1)) return null;
+    if (pos.oid && !ObjectId.isValid(pos.id)) return null;
+    return { t: new Date(pos.t), id: pos.oid ? new ObjectId(pos.id) : pos.id, order: pos.o };
+  } catch {
+    return null;
+  }
+}
+
 /** Time-series over a range: returns raw docs (consumer normalizes).
  * from/to: Date | null
  * order: 1 asc, -1 desc
  * limit: max docs (0 for unlimited; still bounded by TIMESERIES_LIMIT_MAX)
+ * pageSize: keyset paging (sorted by time, then _id); returns nextCursor while more remain
+ * after: decoded cursor to resume from (see decodeCursor)
+ * stream: return the aggregation cursor instead of materialising items
  */
 async function fetchTimeSeries({
   sensorField = "sensorId",
@@ -250,7 +393,12 @@ async function fetchTimeSeries({
   from = null, // Date | null
   to = null,   // Date | null
   order = 1,   // 1 asc, -1 desc
-  limit = 0    // 0 = no limit
+  limit = 0,   // 0 = no limit
+  devices = [],
+  profiles = [],
+  pageSize = 0,
+  after = null,
+  stream = false,
 } = {}) {
   const db = await getDb();
   const coll = db.collection(COLLECTION_NAME);
@@ -258,6 +406,10 @@ async function fetchTimeSeries({
   const timeMatch = {};
   if (from) timeMatch.$gte = from;
   if (to)   timeMatch.$lte = to;
+  const match = {
+    ...(Object.keys(timeMatch).length ? { __sortTime: timeMatch } : {}),
+    ...deviceMatch({ devices, profiles }),
+  };
 
   const pipeline = [
     {
@@ -267,41 +419,222 @@ async function fetchTimeSeries({
             $ifNull: ["$ts", `$${timeField}`] // convert numeric ms or ISO string to Date
           }
         },
-        __sensorKey: {
-          $ifNull: ["$deviceInfo.deviceName", { $ifNull: [`$${sensorField}`, "$sensorId"] }],
-        },
+        __sensorKey: sensorKeyExpr(sensorField),
       },
     },
-    ...(Object.keys(timeMatch).length ? [{ $match: { __sortTime: timeMatch } }] : []),
+    ...(Object.keys(match).length ? [{ $match: match }] : []),
+  ];
+
+  if (pageSize > 0) {
+    const cmp = order === 1 ? "$gt" : "$lt";
+    if (after) {
+      pipeline.push({
+        $match: {
+          $or: [
+            { __sortTime: { [cmp]: after.t } },
+            { __sortTime: after.t, _id: { [cmp]: after.id } },
+          ],
+        },
+      });
+    }
+    pipeline.push({ $sort: { __sortTime: order, _id: order } }, { $limit: pageSize + 1 });
+
+    const docs = await coll.aggregate(pipeline, { allowDiskUse: true }).toArray();
+    const hasMore = docs.length > pageSize;
+    if (hasMore) docs.length = pageSize;
+    const nextCursor = hasMore ? encodeCursor(docs[docs.length - 1], order) : null;
+    const items = docs.map(({ __sortTime, ...doc }) => doc);
+    return { sensorField, timeField, items, nextCursor };
+  }
+
+  pipeline.push(
     { $sort: { __sortTime: order } },
     ...(limit && limit > 0 ? [{ $limit: limit }] : []),
     { $project: { __sortTime: 0 } }
-  ];
+  );
 
-  const items = await coll.aggregate(pipeline, { allowDiskUse: true }).toArray();
+  const cursor = coll.aggregate(pipeline, { allowDiskUse: true });
+  if (stream) return { sensorField, timeField, cursor };
+  const items = await cursor.toArray();
   return { sensorField, timeField, items };
 }
 
+/** Readings collection; indexes are ensured once per process. */
+let readingIndexesPromise = null;
+async function getReadingsCollection() {
+  const db = await getDb();
+  const coll = db.collection(COLLECTION_NAME);
+  if (!readingIndexesPromise) readingIndexesPromise = ensureReadingIndexes(coll);
+  await readingIndexesPromise;
+  return coll;
+}
+
+/** Validate and store readings (all-or-nothing on validation).
+ * key: the calling API key, if any; devices outside its allowlist → { errors, forbidden }.
+ */
+async function ingestReadings(inputs, { key = null } = {}) {
+  const now = new Date();
+  const docs = [];
+  const errors = [];
+  let forbidden = false;
+  inputs.forEach((input, index) => {
+    const { doc, error } = normalizeReading(input, { now });
+    if (error) return errors.push({ index, error });
+    if (!canUseDevice(key, doc.deviceInfo.deviceName)) {
+      forbidden = true;
+      return errors.push({ index, error: "Device not allowed for this API key" });
+    }
+    docs.push(doc);
+  });
+  if (errors.length) return { errors, forbidden };
+
+  const coll = await getReadingsCollection();
+  const { inserted, duplicates } = await storeReadings(coll, docs);
+  return { count: docs.length, inserted, duplicates };
+}
+
+/* ================================
+   Downsampling (bucket/agg, see buckets.js)
+=================================== */
+/** Per-device buckets of temperature/humidity/dewpoint over a range.
+ * Returns compact points: { sensorName, time, temperature, humidity, dewpoint, count }
+ * (or the aggregation cursor over them when `stream` is set).
+ */
+async function fetchTimeSeriesBuckets({
+  sensorField = "sensorId",
+  timeField = "time",
+  from = null,
+  to = null,
+  order = 1,
+  limit = 0,
+  bucket = "1h",
+  agg = "mean",
+  tz = "UTC",
+  devices = [],
+  profiles = [],
+  stream = false,
+} = {}) {
+  const db = await getDb();
+  const coll = db.collection(COLLECTION_NAME);
+
+  const timeMatch = {};
+  if (from) timeMatch.$gte = from;
+  if (to)   timeMatch.$lte = to;
+  const match = {
+    ...(Object.keys(timeMatch).length ? { __sortTime: timeMatch } : {}),
+    ...deviceMatch({ devices, profiles }),
+  };
+
+  const pipeline = bucketPipeline({
+    sensorKey: sensorKeyExpr(sensorField),
+    timeField,
+    match: Object.keys(match).length ? match : null,
+    order,
+    limit,
+    bucket,
+    agg,
+    tz,
+  });
+  const cursor = coll.aggregate(pipeline, { allowDiskUse: true });
+  if (stream) return { bucket, agg, tz, sensorField, timeField, cursor };
+  const points = await cursor.toArray();
+  return { bucket, agg, tz, sensorField, timeField, points };
+}
+
+/** Pipe an aggregation cursor to the response as NDJSON (one document per line),
+ * honouring backpressure and closing the cursor if the client goes away.
+ */
+async function streamNdjson(res, cursor) {
+  let closed = false;
+  res.on("close", () => { closed = true; });
+  res.status(200).set({
+    "Content-Type": "application/x-ndjson",
+    "Access-Control-Allow-Origin": "*",
+    "Cache-Control": "no-store",
+  });
+  res.locals.resultCount = 0;
+  try {
+    for await (const doc of cursor) {
+      if (closed) break;
+      res.locals.resultCount++;
+      if (!res.write(JSON.stringify(doc) + "\n")) {
+        await new Promise((resolve) => {
+          res.once("drain", resolve);
+          res.once("close", resolve);
+        });
+      }
+    }
+  } catch (e) {
+    // Headers are gone; report the failure in-band as a final line
+    console.error(e);
+    if (!closed) res.write(JSON.stringify({ error: e.message ?? "Server error" }) + "\n");
+  } finally {
+    await cursor.close().catch(() => {});
+  }
+  res.end();
+}
+
+function wantsNdjson(req) {
+  return /application\/x-ndjson/i.test(req.get("accept") || "") || req.query.format === "ndjson";
+}
+
 /* ================================
    Routes
 =================================== */
 
+// Repeatable query param → trimmed non-empty strings (?device=a&device=b)
+const FILTER_MAX_VALUES = 200;
+function queryList(v) {
+  const arr = Array.isArray(v) ? v : v == null ? [] : [v];
+  return arr.map((x) => String(x).trim()).filter(Boolean).slice(0, FILTER_MAX_VALUES);
+}
+// Requested filters, narrowed to the key's device allowlist (→ { error } if it asks for others)
+function deviceFilters(req) {
+  const { devices, error } = narrowDevices(req.apiKey, queryList(req.query.device));
+  if (error) return { error };
+  return { devices, profiles: queryList(req.query.profile) };
+}
+
+// ?from=&to= ISO datetimes → { from, to } (Date | null) or { error }
+function parseRange(req) {
+  let from = null, to = null;
+  if (req.query.from) {
+    const d = new Date(req.query.from);
+    if (Number.isNaN(+d)) return { error: "Invalid 'from' ISO datetime" };
+    from = d;
+  }
+  if (req.query.to) {
+    const d = new Date(req.query.to);
+    if (Number.isNaN(+d)) return { error: "Invalid 'to' ISO datetime" };
+    to = d;
+  }
+  return { from, to };
+}
+
 // Health
 app.get("/health", async (req, res) => {
   try {
     const db = await getDb();
     await db.command({ ping: 1 });
-    ok(res, { ok: true, runtime: "nodejs", now: new Date().toISOString() });
+    ok(res, {
+      ok: true,
+      runtime: "nodejs",
+      now: new Date().toISOString(),
+      ...(mqttWorker ? { mqtt: mqttWorker.stats } : {}),
+    });
   } catch (e) {
     err(res, `DB ping failed: ${e.message}`, 500);
   }
 });
 
-// Latest overall
-app.get("/sensors/latest", async (req, res) => {
+// Latest overall (optional ?device=&profile= filters)
+app.get("/sensors/latest", requireScope("read"), async (req, res) => {
   try {
     const sortField = (req.query.sortField || "time").toString();
-    const latest = await fetchLatest(sortField);
+    const sensorField = (req.query.sensorField || "sensorId").toString();
+    const filters = deviceFilters(req);
+    if (filters.error) return err(res, filters.error, 403);
+    const latest = await fetchLatest(sortField, { sensorField, ...filters });
     ok(res, { sortField, latest });
   } catch (e) {
     console.error(e);
@@ -309,12 +642,14 @@ app.get("/sensors/latest", async (req, res) => {
   }
 });
 
-// Latest per device
-app.get("/sensors/latest-all", async (req, res) => {
+// Latest per device (optional ?device=&profile= filters)
+app.get("/sensors/latest-all", requireScope("read"), async (req, res) => {
   try {
     const sensorField = (req.query.sensorField || "sensorId").toString();
     const timeField = (req.query.timeField || "time").toString();
-    const result = await fetchLatestAllPerDevice({ sensorField, timeField });
+    const filters = deviceFilters(req);
+    if (filters.error) return err(res, filters.error, 403);
+    const result = await fetchLatestAllPerDevice({ sensorField, timeField, ...filters });
     ok(res, result);
   } catch (e) {
     console.error(e);
@@ -330,8 +665,17 @@ app.get("/sensors/latest-all", async (req, res) => {
  *  - timeField:   string (default "time")
  *  - order: "asc" | "desc" (default "asc")
  *  - limit: integer (optional; server enforces a sane max)
+ *  - bucket: "5m" | "15m" | "1h" | "1d" (optional; downsample per device → { points })
+ *  - agg:    "mean" | "min" | "max" | "last" (default "mean"; with bucket)
+ *  - tz:     IANA time zone for bucket boundaries (default "UTC"; with bucket)
+ *  - device:  sensor key, repeatable (optional)
+ *  - profile: deviceInfo.deviceProfileName, repeatable (optional)
+ *  - pageSize: page size for keyset paging (raw docs only, not with `limit`); response carries `nextCursor`
+ *  - cursor:   `nextCursor` from the previous page (same query otherwise)
+ * Send `Accept: application/x-ndjson` (or ?format=ndjson) to stream docs/points
+ * one per line instead of a single JSON body (paging does not apply).
  */
-app.get("/sensors/timeseries", async (req, res) => {
+app.get("/sensors/timeseries", requireScope("read"), async (req, res) => {
   try {
     const sensorField = (req.query.sensorField || "sensorId").toString();
     const timeField   = (req.query.timeField   || "time").toString();
@@ -340,22 +684,51 @@ app.get("/sensors/timeseries", async (req, res) => {
     const order = orderStr === "desc" ? -1 : 1;
 
     const LIMIT_MAX = Number(process.env.TIMESERIES_LIMIT_MAX || 50000);
+    const ndjson = wantsNdjson(req);
     const limitRaw = req.query.limit ? Number(req.query.limit) : 0;
     const limit = isFinite(limitRaw) && limitRaw > 0 ? Math.min(limitRaw, LIMIT_MAX) : 0;
 
-    let from = null, to = null;
-    if (req.query.from) {
-      const d = new Date(req.query.from);
-      if (Number.isNaN(+d)) return err(res, "Invalid 'from' ISO datetime", 400);
-      from = d;
+    const { from, to, error } = parseRange(req);
+    if (error) return err(res, error, 400);
+    const filters = deviceFilters(req);
+    if (filters.error) return err(res, filters.error, 403);
+
+    if (req.query.bucket) {
+      const bucket = req.query.bucket.toString();
+      const agg = (req.query.agg || "mean").toString().toLowerCase();
+      const tz = (req.query.tz || "UTC").toString();
+      if (!BUCKETS[bucket]) return err(res, `Invalid 'bucket' (use ${Object.keys(BUCKETS).join("|")})`, 400);
+      if (!AGG_OPS[agg]) return err(res, `Invalid 'agg' (use ${Object.keys(AGG_OPS).join("|")})`, 400);
+      try {
+        new Intl.DateTimeFormat("en", { timeZone: tz });
+      } catch {
+        return err(res, "Invalid 'tz' time zone", 400);
+      }
+      const result = await fetchTimeSeriesBuckets({
+        sensorField, timeField, from, to, order, limit, bucket, agg, tz, ...filters,
+        stream: ndjson,
+      });
+      if (ndjson) return streamNdjson(res, result.cursor);
+      return ok(res, result);
     }
-    if (req.query.to) {
-      const d = new Date(req.query.to);
-      if (Number.isNaN(+d)) return err(res, "Invalid 'to' ISO datetime", 400);
-      to = d;
+
+    const pageSizeRaw = req.query.pageSize ? Number(req.query.pageSize) : 0;
+    let pageSize = isFinite(pageSizeRaw) && pageSizeRaw > 0 ? Math.min(pageSizeRaw, LIMIT_MAX) : 0;
+    let after = null;
+    if (req.query.cursor) {
+      after = decodeCursor(req.query.cursor);
+      if (!after) return err(res, "Invalid 'cursor'", 400);
+      if (after.order !== order) return err(res, "'cursor' does not match 'order'", 400);
+      if (!pageSize) pageSize = Math.min(1000, LIMIT_MAX);
     }
+    if (pageSize && ndjson) return err(res, "Paging is not supported with NDJSON streaming", 400);
+    if (pageSize && limit) return err(res, "'limit' cannot be combined with paging (use 'pageSize')", 400);
 
-    const result = await fetchTimeSeries({ sensorField, timeField, from, to, order, limit });
+    const result = await fetchTimeSeries({
+      sensorField, timeField, from, to, order, limit, ...filters,
+      pageSize, after, stream: ndjson,
+    });
+    if (ndjson) return streamNdjson(res, result.cursor);
     ok(res, result);
   } catch (e) {
     console.error(e);
@@ -363,9 +736,184 @@ app.get("/sensors/timeseries", async (req, res) => {
   }
 });
 
+/** Export sensor history as a download
+ * Query params: from, to, device (repeatable), profile (repeatable), sensorField, timeField,
+ *  - format: "csv" (default) | "arrow" (Apache Arrow IPC stream)
+ * Columns: device, profile, time_utc, temperature, humidity, dewpoint (ascending time).
+ */
+app.get("/sensors/export", requireScope("read"), async (req, res) => {
+  try {
+    const sensorField = (req.query.sensorField || "sensorId").toString();
+    const timeField   = (req.query.timeField   || "time").toString();
+    const format = (req.query.format || "csv").toString().toLowerCase();
+    if (!EXPORT_FORMATS[format]) {
+      return err(res, `Invalid 'format' (use ${Object.keys(EXPORT_FORMATS).join("|")})`, 400);
+    }
+    const { from, to, error } = parseRange(req);
+    if (error) return err(res, error, 400);
+    const filters = deviceFilters(req);
+    if (filters.error) return err(res, filters.error, 403);
+
+    const { cursor } = await fetchTimeSeries({
+      sensorField, timeField, from, to, order: 1, ...filters, stream: true,
+    });
+    const stamp = (d) => (d ? d.toISOString().slice(0, 16).replace(/[:T]/g, "") : "all");
+    await streamExport(res, cursor, { format, timeField, filename: `sensors_${stamp(from)}_${stamp(to)}` });
+  } catch (e) {
+    console.error(e);
+    if (!res.headersSent) err(res, e.message ?? "Server error");
+  }
+});
+
+/** Ingest one reading or a batch
+ * Body: a reading object, an array of readings, or { readings: [...] }.
+ * A reading needs a device name (deviceInfo.deviceName | deviceName | sensorId) and
+ * at least one temperature/humidity field (top level or under `object`); `time` is optional.
+ * The batch is all-or-nothing on validation; duplicates (same device + time) are skipped.
+ */
+app.post("/sensors/readings", requireScope("ingest"), async (req, res) => {
+  try {
+    const body = req.body;
+    const inputs = Array.isArray(body) ? body
+      : Array.isArray(body?.readings) ? body.readings
+      : [body];
+    if (!inputs.length) return err(res, "No readings supplied", 400);
+    if (inputs.length > INGEST_BATCH_MAX) {
+      return err(res, `Too many readings (max ${INGEST_BATCH_MAX} per request)`, 413);
+    }
+
+    const result = await ingestReadings(inputs, { key: req.apiKey });
+    if (result.errors) {
+      return ok(res, { error: "Invalid readings", errors: result.errors }, result.forbidden ? 403 : 400);
+    }
+    res.locals.auditDetail = { inserted: result.inserted, duplicates: result.duplicates };
+    ok(res, result, 201);
+  } catch (e) {
+    console.error(e);
+    err(res, e.message ?? "Server error");
+  }
+});
+
+/** LoRaWAN uplink webhooks
+ *  - POST /webhooks/chirpstack?event=up   (ChirpStack v4 HTTP integration, JSON marshaler)
+ *  - POST /webhooks/ttn                   (The Things Stack v3 webhook, uplink messages)
+ * Verified per integration (see webhooks.js); non-uplink events are acknowledged and ignored.
+ * Uplinks without temperature/humidity are acknowledged with stored=false so the
+ * network server does not retry them.
+ */
+async function handleUplink(res, doc) {
+  const result = await ingestReadings([doc]);
+  if (result.errors) {
+    return ok(res, { stored: false, reason: result.errors[0].error });
+  }
+  res.locals.resultCount = result.count;
+  res.locals.auditDetail = { inserted: result.inserted, duplicates: result.duplicates };
+  ok(res, { stored: result.inserted > 0, duplicate: result.duplicates > 0 }, 201);
+}
+
+app.post("/webhooks/chirpstack", async (req, res) => {
+  try {
+    const denied = verifyWebhook(req, INTEGRATIONS.chirpstack);
+    if (denied) return err(res, denied.message, denied.status);
+
+    const event = chirpStackEvent(req);
+    if (event !== "up") return ok(res, { stored: false, ignored: event });
+    await handleUplink(res, normalizeChirpStackUplink(req.body));
+  } catch (e) {
+    console.error(e);
+    err(res, e.message ?? "Server error");
+  }
+});
+
+app.post("/webhooks/ttn", async (req, res) => {
+  try {
+    const denied = verifyWebhook(req, INTEGRATIONS.ttn);
+    if (denied) return err(res, denied.message, denied.status);
+
+    if (!isTtnUplink(req.body)) return ok(res, { stored: false, ignored: "non-uplink message" });
+    await handleUplink(res, normalizeTtnUplink(req.body));
+  } catch (e) {
+    console.error(e);
+    err(res, e.message ?? "Server error");
+  }
+});
+
+/** API key administration (admin scope)
+ *  - GET    /admin/keys[?includeRevoked=true]
+ *  - POST   /admin/keys  { owner, scopes: ["read"|"ingest"|"admin"], devices?: [..], expiresAt? }
+ *           → 201 { apiKey, key }  (apiKey is shown only once)
+ *  - DELETE /admin/keys/:keyId   (revoke; immediate here, within KEYSTORE_CACHE_MS on other replicas)
+ */
+app.get("/admin/keys", requireScope("admin"), async (req, res) => {
+  try {
+    const includeRevoked = /^true$/i.test(String(req.query.includeRevoked || "false"));
+    const keys = await keyStore.list({ includeRevoked });
+    ok(res, { count: keys.length, keys });
+  } catch (e) {
+    console.error(e);
+    err(res, e.message ?? "Server error");
+  }
+});
+
+app.post("/admin/keys", requireScope("admin"), async (req, res) => {
+  try {
+    const created = await keyStore.create(req.body || {});
+    res.locals.auditDetail = { createdKey: created.key.keyId };
+    ok(res, created, 201);
+  } catch (e) {
+    if (e.status === 400) return err(res, e.message, 400);
+    console.error(e);
+    err(res, e.message ?? "Server error");
+  }
+});
+
+app.delete("/admin/keys/:keyId", requireScope("admin"), async (req, res) => {
+  try {
+    const key = await keyStore.revoke(req.params.keyId);
+    if (!key) return err(res, "Key not found or already revoked", 404);
+    res.locals.auditDetail = { revokedKey: key.keyId };
+    ok(res, { revoked: true, key });
+  } catch (e) {
+    console.error(e);
+    err(res, e.message ?? "Server error");
+  }
+});
+
+/** Audit log (admin scope)
+ * Query params: from, to (ISO), keyId (repeatable), route (e.g. "/sensors/timeseries"),
+ *               limit (default 500, max 5000). Newest first.
+ */
+app.get("/audit", requireScope("admin"), async (req, res) => {
+  try {
+    const { from, to, error } = parseRange(req);
+    if (error) return err(res, error, 400);
+    const limitRaw = Number(req.query.limit || 500);
+    const limit = isFinite(limitRaw) && limitRaw > 0 ? Math.min(limitRaw, 5000) : 500;
+    const records = await auditLog.query({
+      from,
+      to,
+      keyIds: queryList(req.query.keyId),
+      route: req.query.route ? String(req.query.route) : null,
+      limit,
+    });
+    ok(res, { count: records.length, records });
+  } catch (e) {
+    console.error(e);
+    err(res, e.message ?? "Server error");
+  }
+});
+
 // Catch-all 404
 app.use((req, res) => err(res, "Not found", 404));
 
+// Body parser errors (malformed JSON, oversized payloads)
+app.use((e, req, res, next) => {
+  if (e?.type === "entity.parse.failed") return err(res, "Invalid JSON body", 400);
+  if (e?.type === "entity.too.large") return err(res, "Request body too large", 413);
+  console.error(e);
+  err(res, e?.message ?? "Server error");
+});
+
 /* ================================
    Start servers
 =================================== */
@@ -393,6 +941,20 @@ if (HTTPS_ENABLE) {
   });
 }
 
+/* ================================
+   Optional MQTT ingestion (MQTT_URL)
+=================================== */
+let mqttWorker = null;
+const MQTT_CFG = mqttConfigFromEnv();
+if (MQTT_CFG.url) {
+  mqttWorker = createMqttWorker(MQTT_CFG, {
+    getCollection: getReadingsCollection,
+    store: storeReadings,
+    audit: auditLog.recordEvent,
+  });
+  mqttWorker.start();
+}
+
 /* ================================
    Graceful shutdown
 =================================== */
@@ -403,6 +965,8 @@ async function shutdown(signal) {
 
   await closeServer(httpServer);
   await closeServer(httpsServer);
+  if (mqttWorker) await mqttWorker.stop().catch((e) => console.error("[mqtt] stop:", e.message));
+  await auditLog.stop().catch((e) => console.error("[audit] stop:", e.message));
 
   try {
     if (cached.client) await cached.client.close();
@@ -0,0 +1,153 @@
+// audit.js
+// Structured audit log of API access and data changes: one record per request
+// (key id — never the secret —, route, query, status, result count, latency and
+// whether the response completed or the client went away mid-stream),
+// written in small batches to a capped MongoDB collection and optionally
+// appended to a JSON-lines file.
+//
+// Ingestion that does not come in over HTTP (MQTT) is recorded with recordEvent().
+//
+// Routes report what they returned/changed through res.locals:
+//   res.locals.resultCount  – number of docs/points returned or written
+//   res.locals.auditDetail  – small object describing a data change (e.g. { inserted: 3 })
+
+const fs = require("fs");
+const path = require("path");
+
+const REDACT_RE = /key|token|secret|password|signature/i;
+
+function auditConfigFromEnv(env = process.env) {
+  return {
+    enabled: !/^false$/i.test(env.AUDIT_ENABLE || "true"),
+    collection: env.AUDIT_COLLECTION || "audit",
+    capBytes: Number(env.AUDIT_CAP_BYTES || 50 * 1024 * 1024),
+    capDocs: Number(env.AUDIT_CAP_DOCS || 0) || undefined,
+    file: env.AUDIT_FILE || "",
+    flushMs: Number(env.AUDIT_FLUSH_MS || 1000),
+  };
+}
+
+function redactQuery(query) {
+  const out = {};
+  for (const [k, v] of Object.entries(query || {})) out[k] = REDACT_RE.test(k) ? "[redacted]" : v;
+  return out;
+}
+
+/** Audit logger over a db getter (async () => Db). Returns { middleware, recordEvent, query, stop }. */
+function createAuditLog(cfg, { getDb }) {
+  let buffer = [];
+  let collPromise = null;
+  const file = cfg.file
+    ? fs.createWriteStream(path.resolve(cfg.file), { flags: "a" })
+        .on("error", (e) => console.error("[audit] file:", e.message))
+    : null;
+
+  // Capped collection, created on first use
+  function collection() {
+    if (!collPromise) {
+      collPromise = (async () => {
+        const db = await getDb();
+        try {
+          await db.createCollection(cfg.collection, { capped: true, size: cfg.capBytes, max: cfg.capDocs });
+        } catch (e) {
+          if (e.codeName !== "NamespaceExists" && e.code !== 48) throw e;
+        }
+        const coll = db.collection(cfg.collection);
+        await coll.createIndex({ at: -1 }, { name: "at_desc" });
+        await coll.createIndex({ keyId: 1, at: -1 }, { name: "key_at" });
+        return coll;
+      })().catch((e) => { collPromise = null; throw e; });
+    }
+    return collPromise;
+  }
+
+  async function flush() {
+    if (!buffer.length) return;
+    const batch = buffer;
+    buffer = [];
+    try {
+      const coll = await collection();
+      await coll.insertMany(batch, { ordered: false });
+    } catch (e) {
+      console.error(`[audit] dropped ${batch.length} record(s):`, e.message);
+    }
+  }
+  const timer = setInterval(flush, cfg.flushMs);
+  timer.unref();
+
+  function record(entry) {
+    if (file) file.write(JSON.stringify(entry) + "\n");
+    buffer.push(entry);
+  }
+
+  /** Express middleware. Mount it before API-key auth so refused requests are recorded too;
+   * req.apiKey is read when the response closes, after auth has run. */
+  function middleware(req, res, next) {
+    if (!cfg.enabled || req.path === "/health") return next();
+    const started = process.hrtime.bigint();
+    // "close" also fires for aborted downloads/streams, where "finish" never does
+    res.once("close", () => {
+      record({
+        at: new Date(),
+        keyId: req.apiKey?.id ?? null,
+        owner: req.apiKey?.owner ?? null,
+        method: req.method,
+        route: req.route?.path ?? req.path,
+        path: req.path,
+        query: redactQuery(req.query),
+        status: res.statusCode,
+        completion: res.writableFinished ? "completed" : "aborted",
+        resultCount: res.locals.resultCount ?? null,
+        detail: res.locals.auditDetail ?? null,
+        latencyMs: Math.round(Number(process.hrtime.bigint() - started) / 1e5) / 10,
+        ip: req.ip,
+      });
+    });
+    next();
+  }
+
+  /** Record a non-HTTP event (e.g. an MQTT write) in the same shape as a request. */
+  function recordEvent({ method, route, owner = null, status, resultCount = null, detail = null, latencyMs = null }) {
+    if (!cfg.enabled) return;
+    record({
+      at: new Date(),
+      keyId: null,
+      owner,
+      method,
+      route,
+      path: route,
+      query: {},
+      status,
+      completion: "completed",
+      resultCount,
+      detail,
+      latencyMs,
+      ip: null,
+    });
+  }
+
+  /** Recent records, newest first. from/to: Date | null; keyIds: string[] */
+  async function query({ from = null, to = null, keyIds = [], route = null, limit = 500 } = {}) {
+    await flush();
+    const q = {};
+    if (from || to) {
+      q.at = {};
+      if (from) q.at.$gte = from;
+      if (to) q.at.$lte = to;
+    }
+    if (keyIds.length) q.keyId = { $in: keyIds };
+    if (route) q.route = route;
+    const coll = await collection();
+    return coll.find(q, { projection: { _id: 0 } }).sort({ at: -1 }).limit(limit).toArray();
+  }
+
+  async function stop() {
+    clearInterval(timer);
+    await flush();
+    if (file) await new Promise((resolve) => file.end(resolve));
+  }
+
+  return { middleware, recordEvent, query, stop };
+}
+
+module.exports = { auditConfigFromEnv, createAuditLog };
@@ -0,0 +1,122 @@
+// buckets.js
+// Downsampling for /sensors/timeseries?bucket=: per-device time buckets of
+// temperature/humidity/dewpoint, built as one MongoDB aggregation. Fields are picked
+// with the same aliases as the raw routes (readings.js), so a device shows up in
+// bucketed mode whenever it shows up in raw mode.
+
+const { TEMP_FIELDS, HUM_FIELDS, HUM_NA_SENTINEL, numericFieldExpr } = require("./readings");
+
+const BUCKETS = {
+  "5m":  { unit: "minute", binSize: 5 },
+  "15m": { unit: "minute", binSize: 15 },
+  "1h":  { unit: "hour",   binSize: 1 },
+  "1d":  { unit: "day",    binSize: 1 },
+};
+const AGG_OPS = { mean: "$avg", min: "$min", max: "$max", last: "$last" };
+
+// Magnus dew point (same constants as the predictor)
+function dewpointExpr(t, h) {
+  const a = 17.62, b = 243.12;
+  return {
+    $let: {
+      vars: {
+        g: {
+          $add: [
+            { $divide: [{ $multiply: [a, t] }, { $add: [b, t] }] },
+            { $ln: { $max: [1e-6, { $divide: [h, 100] }] } },
+          ],
+        },
+      },
+      in: { $divide: [{ $multiply: [b, "$$g"] }, { $subtract: [a, "$$g"] }] },
+    },
+  };
+}
+
+/** Aggregation pipeline for per-device buckets.
+ * sensorKey: expression naming the device; match: extra $match on __sortTime/__sensorKey (or null)
+ * bucket: key of BUCKETS; agg: key of AGG_OPS; tz: IANA zone for bucket boundaries.
+ * Yields compact points: { sensorName, time, temperature, humidity, dewpoint, count }.
+ */
+function bucketPipeline({
+  sensorKey,
+  timeField = "time",
+  match = null,
+  order = 1,
+  limit = 0,
+  bucket = "1h",
+  agg = "mean",
+  tz = "UTC",
+}) {
+  const op = AGG_OPS[agg];
+  const round = (field) => ({ $round: [`$${field}`, 2] });
+
+  return [
+    {
+      $addFields: {
+        __sortTime: { $toDate: { $ifNull: ["$ts", `$${timeField}`] } },
+        __sensorKey: sensorKey,
+      },
+    },
+    ...(match ? [{ $match: match }] : []),
+    {
+      $project: {
+        _id: 0,
+        __sensorKey: 1,
+        __sortTime: 1,
+        t: numericFieldExpr(TEMP_FIELDS),
+        h: {
+          $let: {
+            vars: { v: numericFieldExpr(HUM_FIELDS) },
+            in: { $cond: [{ $eq: ["$$v", HUM_NA_SENTINEL] }, null, "$$v"] },
+          },
+        },
+      },
+    },
+    {
+      $addFields: {
+        dp: {
+          $cond: [
+            { $and: [{ $ne: ["$t", null] }, { $ne: ["$h", null] }, { $gt: ["$h", 0] }] },
+            dewpointExpr("$t", "$h"),
+            null,
+          ],
+        },
+      },
+    },
+    { $sort: { __sortTime: 1 } }, // so $last means latest in bucket
+    {
+      $group: {
+        _id: {
+          s: "$__sensorKey",
+          b: {
+            $dateTrunc: {
+              date: "$__sortTime",
+              unit: BUCKETS[bucket].unit,
+              binSize: BUCKETS[bucket].binSize,
+              timezone: tz,
+            },
+          },
+        },
+        t: { [op]: "$t" },
+        h: { [op]: "$h" },
+        dp: { [op]: "$dp" },
+        count: { $sum: 1 },
+      },
+    },
+    { $sort: { "_id.b": order, "_id.s": 1 } },
+    ...(limit && limit > 0 ? [{ $limit: limit }] : []),
+    {
+      $project: {
+        _id: 0,
+        sensorName: "$_id.s",
+        time: "$_id.b",
+        temperature: round("t"),
+        humidity: round("h"),
+        dewpoint: round("dp"),
+        count: 1,
+      },
+    },
+  ];
+}
+
+module.exports = { BUCKETS, AGG_OPS, bucketPipeline };
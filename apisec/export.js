@@ -0,0 +1,165 @@
+// export.js
+// Sensor history export: normalised rows (device, profile, time UTC, temperature,
+// humidity, dewpoint) streamed from an aggregation cursor as CSV or as an
+// Apache Arrow IPC stream (for retraining the LightGBM model in pandas/polars).
+
+const {
+  RecordBatchStreamWriter,
+  Table,
+  vectorFromArray,
+  Utf8,
+  Float64,
+  TimestampMillisecond,
+} = require("apache-arrow");
+const { fromTopOrObject, getTempCandidate, getHumidityCandidate } = require("./readings");
+
+const EXPORT_FORMATS = {
+  csv:   { contentType: "text/csv; charset=utf-8",             ext: "csv" },
+  arrow: { contentType: "application/vnd.apache.arrow.stream", ext: "arrows" },
+};
+const ARROW_BATCH_ROWS = 10000;
+const CSV_COLUMNS = ["device", "profile", "time_utc", "temperature", "humidity", "dewpoint"];
+
+/* ================================
+   Row normalisation
+=================================== */
+// Magnus dew point (same constants as the predictor)
+function dewpointC(tC, rhPct) {
+  if (tC == null || rhPct == null || !(rhPct > 0)) return null;
+  const a = 17.62, b = 243.12;
+  const gamma = (a * tC) / (b + tC) + Math.log(Math.max(1e-6, rhPct / 100));
+  return (b * gamma) / (a - gamma);
+}
+
+// Same profile-specific preference as websec's /data
+function pickTemperature(doc, profile) {
+  let t;
+  if (profile === "LSN50v2-S31") t = fromTopOrObject(doc, "TempC_SHT");
+  else if (profile === "LSN50-V2") t = fromTopOrObject(doc, "TempC1");
+  t = t != null && t !== "" && isFinite(Number(t)) ? Number(t) : getTempCandidate(doc);
+  return t ?? null;
+}
+
+/** Raw doc (from fetchTimeSeries, with __sensorKey) → normalised export row. */
+function exportRow(doc, timeField) {
+  const profile = (doc?.deviceInfo?.deviceProfileName || "").trim();
+  const temperature = pickTemperature(doc, profile);
+  const h = getHumidityCandidate(doc);
+  const humidity = typeof h === "number" ? h : null; // "NA" sentinel → empty
+  const tRaw = doc?.ts ?? doc?.[timeField] ?? doc?.time;
+  const ms = tRaw == null ? NaN : +new Date(tRaw);
+  return {
+    device: String(doc?.__sensorKey ?? doc?.deviceInfo?.deviceName ?? doc?.sensorId ?? "unknown"),
+    profile,
+    time: Number.isFinite(ms) ? ms : null,
+    temperature,
+    humidity,
+    dewpoint: dewpointC(temperature, humidity),
+  };
+}
+
+/* ================================
+   Writers
+=================================== */
+// Text starting with = + - @ (or tab/CR) is run as a formula by spreadsheets: prefix a quote.
+// Only strings (device/profile names) are touched; numbers such as -1.5 stay numbers.
+function csvCell(v) {
+  if (v == null) return "";
+  let s = String(v);
+  if (typeof v === "string" && /^[=+\-@\t\r]/.test(s)) s = `'${s}`;
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function csvLine(row) {
+  return [
+    row.device,
+    row.profile,
+    row.time == null ? "" : new Date(row.time).toISOString(),
+    row.temperature,
+    row.humidity,
+    row.dewpoint == null ? null : Math.round(row.dewpoint * 100) / 100,
+  ].map(csvCell).join(",") + "\r\n";
+}
+
+function waitDrain(res) {
+  return new Promise((resolve) => {
+    res.once("drain", resolve);
+    res.once("close", resolve);
+  });
+}
+
+async function writeCsv(res, cursor, timeField, isClosed) {
+  res.write(CSV_COLUMNS.join(",") + "\r\n");
+  for await (const doc of cursor) {
+    if (isClosed()) break;
+    res.locals.resultCount++;
+    if (!res.write(csvLine(exportRow(doc, timeField)))) await waitDrain(res);
+  }
+}
+
+function arrowBatch(rows) {
+  const col = (key) => rows.map((r) => r[key]);
+  return new Table({
+    device: vectorFromArray(col("device"), new Utf8()),
+    profile: vectorFromArray(col("profile"), new Utf8()),
+    time_utc: vectorFromArray(col("time"), new TimestampMillisecond()),
+    temperature: vectorFromArray(col("temperature"), new Float64()),
+    humidity: vectorFromArray(col("humidity"), new Float64()),
+    dewpoint: vectorFromArray(col("dewpoint"), new Float64()),
+  }).batches;
+}
+
+async function writeArrow(res, cursor, timeField, isClosed) {
+  const writer = new RecordBatchStreamWriter();
+  const out = writer.toNodeStream();
+  out.pipe(res, { end: false });
+  const done = new Promise((resolve) => out.once("end", resolve));
+
+  let rows = [];
+  const flush = () => {
+    for (const b of arrowBatch(rows)) writer.write(b);
+    rows = [];
+  };
+  let wrote = false;
+  for await (const doc of cursor) {
+    if (isClosed()) break;
+    res.locals.resultCount++;
+    rows.push(exportRow(doc, timeField));
+    if (rows.length >= ARROW_BATCH_ROWS) {
+      flush();
+      wrote = true;
+      if (res.writableNeedDrain) await waitDrain(res);
+    }
+  }
+  if (rows.length || !wrote) flush(); // always emit the schema
+  writer.finish();
+  await done;
+}
+
+/** Stream `cursor` to the response in `format` ("csv" | "arrow") as a download. */
+async function streamExport(res, cursor, { format, timeField = "time", filename = "sensor-export" }) {
+  const spec = EXPORT_FORMATS[format];
+  let closed = false;
+  res.on("close", () => { closed = true; });
+  res.locals.resultCount = 0; // rows written, for the audit log
+  res.status(200).set({
+    "Content-Type": spec.contentType,
+    "Content-Disposition": `attachment; filename="${filename}.${spec.ext}"`,
+    "Access-Control-Allow-Origin": "*",
+    "Cache-Control": "no-store",
+  });
+  try {
+    if (format === "arrow") await writeArrow(res, cursor, timeField, () => closed);
+    else await writeCsv(res, cursor, timeField, () => closed);
+  } catch (e) {
+    // Headers are already sent: log and cut the download short
+    console.error("[export]", e);
+    res.destroy(e);
+    return;
+  } finally {
+    await cursor.close().catch(() => {});
+  }
+  res.end();
+}
+
+module.exports = { EXPORT_FORMATS, exportRow, streamExport };
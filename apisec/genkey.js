@@ -2,7 +2,13 @@
 //   node genkey.js            # prints a base64url key (recommended)
 //   node genkey.js hex        # prints a hex key
 //   node genkey.js hash <key> # prints SHA-256 hash of an existing key (hex)
+//
+// Key store (MongoDB; uses MONGODB_URI / DB_NAME / API_KEYS_COLLECTION from .env):
+//   node genkey.js create --owner <label> --scopes read,ingest[,admin] [--devices a,b] [--expires <ISO>]
+//   node genkey.js list [--all]        # --all includes revoked keys
+//   node genkey.js revoke <keyId>
 
+require("dotenv").config();
 const crypto = require("crypto");
 
 const mode = process.argv[2];
@@ -38,5 +44,90 @@ if (mode === "hash") {
   process.exit(0);
 }
 
-console.error("Unknown mode. Use: (no args) | hex | hash <key>");
-process.exit(1);
+// --name value pairs (and bare --flags) after the mode
+function parseFlags(args) {
+  const flags = { _: [] };
+  for (let i = 0; i < args.length; i++) {
+    const a = args[i];
+    if (!a.startsWith("--")) { flags._.push(a); continue; }
+    const next = args[i + 1];
+    if (next === undefined || next.startsWith("--")) flags[a.slice(2)] = true;
+    else { flags[a.slice(2)] = next; i++; }
+  }
+  return flags;
+}
+
+async function withKeyStore(fn) {
+  const { MongoClient } = require("mongodb");
+  const { createKeyStore } = require("./keystore");
+  const { MONGODB_URI, DB_NAME } = process.env;
+  if (!MONGODB_URI || !DB_NAME) {
+    console.error("Missing required env: MONGODB_URI, DB_NAME");
+    process.exit(1);
+  }
+  const client = new MongoClient(MONGODB_URI, { serverSelectionTimeoutMS: 5000 });
+  try {
+    await client.connect();
+    const coll = client.db(DB_NAME).collection(process.env.API_KEYS_COLLECTION || "apikeys");
+    await fn(createKeyStore(async () => coll));
+  } finally {
+    await client.close();
+  }
+}
+
+const KEYSTORE_MODES = {
+  async create(flags) {
+    await withKeyStore(async (store) => {
+      const { apiKey, key } = await store.create({
+        owner: flags.owner,
+        scopes: flags.scopes,
+        devices: flags.devices,
+        expiresAt: flags.expires,
+      });
+      console.log("API key (shown once):", apiKey);
+      console.log("\nKey record:");
+      console.log(JSON.stringify(key, null, 2));
+      console.log("\nClients send the full key in x-api-key.");
+    });
+  },
+  async list(flags) {
+    await withKeyStore(async (store) => {
+      const keys = await store.list({ includeRevoked: !!flags.all });
+      if (!keys.length) return console.log("(no keys)");
+      for (const k of keys) {
+        const state = k.revokedAt ? "revoked" : k.expiresAt && new Date(k.expiresAt) <= new Date() ? "expired" : "active";
+        console.log(
+          [k.keyId, state, k.owner, k.scopes.join(","), (k.devices || ["*"]).join(","),
+           k.expiresAt ? new Date(k.expiresAt).toISOString() : "-",
+           k.lastUsedAt ? new Date(k.lastUsedAt).toISOString() : "never"].join("\t")
+        );
+      }
+    });
+  },
+  async revoke(flags) {
+    const keyId = flags._[0];
+    if (!keyId) {
+      console.error("Usage: node genkey.js revoke <keyId>");
+      process.exit(1);
+    }
+    await withKeyStore(async (store) => {
+      const key = await store.revoke(keyId);
+      if (!key) {
+        console.error(`Key ${keyId} not found or already revoked.`);
+        process.exitCode = 1;
+        return;
+      }
+      console.log(`Revoked ${keyId} at ${key.revokedAt.toISOString()}`);
+    });
+  },
+};
+
+if (KEYSTORE_MODES[mode]) {
+  KEYSTORE_MODES[mode](parseFlags(process.argv.slice(3))).catch((e) => {
+    console.error(e.message || e);
+    process.exit(1);
+  });
+} else {
+  console.error("Unknown mode. Use: (no args) | hex | hash <key> | create | list | revoke <keyId>");
+  process.exit(1);
+}
@@ -0,0 +1,196 @@
+// keystore.js
+// Scoped, revocable API keys stored in MongoDB (used by apiserver.js and genkey.js).
+// A key is handed out once as "<keyId>.<secret>"; only SHA-256(secret) is stored.
+// Document shape:
+//   { keyId, secretHash, owner, scopes: ["read"|"ingest"|"admin"], devices: [..] | null,
+//     createdAt, expiresAt | null, revokedAt | null, lastUsedAt | null }
+
+const crypto = require("crypto");
+
+const SCOPES = ["read", "ingest", "admin"];
+const KEY_RE = /^(ak_[0-9a-f]{16})\.([A-Za-z0-9_-]{20,})$/;
+const TOUCH_INTERVAL_MS = 60 * 1000; // lastUsedAt is updated at most once a minute per key
+
+function hashSecret(secret) {
+  return crypto.createHash("sha256").update(String(secret)).digest("hex");
+}
+
+// Constant-time equality
+function safeEqual(a, b) {
+  const ab = Buffer.from(String(a));
+  const bb = Buffer.from(String(b));
+  if (ab.length !== bb.length) return false;
+  return crypto.timingSafeEqual(ab, bb);
+}
+
+function generateKey() {
+  const keyId = "ak_" + crypto.randomBytes(8).toString("hex");
+  const secret = crypto.randomBytes(32).toString("base64url");
+  return { keyId, secret, apiKey: `${keyId}.${secret}` };
+}
+
+/** "<keyId>.<secret>" → { keyId, secret }, or null if it is not a store key. */
+function parseApiKey(str) {
+  const m = KEY_RE.exec(String(str || ""));
+  return m ? { keyId: m[1], secret: m[2] } : null;
+}
+
+/** Validate create options; returns { value } or { error }. */
+function validateKeySpec({ owner, scopes, devices, expiresAt } = {}) {
+  if (typeof owner !== "string" || !owner.trim()) return { error: "'owner' is required" };
+  const sc = Array.isArray(scopes) ? scopes : String(scopes || "").split(",");
+  const cleanScopes = [...new Set(sc.map((s) => String(s).trim()).filter(Boolean))];
+  if (!cleanScopes.length) return { error: `'scopes' is required (${SCOPES.join(", ")})` };
+  const bad = cleanScopes.filter((s) => !SCOPES.includes(s));
+  if (bad.length) return { error: `Unknown scope(s): ${bad.join(", ")}` };
+
+  let devs = null;
+  if (devices != null && devices !== "") {
+    const d = Array.isArray(devices) ? devices : String(devices).split(",");
+    devs = [...new Set(d.map((x) => String(x).trim()).filter(Boolean))];
+    if (!devs.length) devs = null;
+  }
+
+  let exp = null;
+  if (expiresAt != null && expiresAt !== "") {
+    exp = new Date(expiresAt);
+    if (Number.isNaN(+exp)) return { error: "Invalid 'expiresAt' datetime" };
+  }
+  return { value: { owner: owner.trim(), scopes: cleanScopes, devices: devs, expiresAt: exp } };
+}
+
+/* ================================
+   Enforcement (key = req.apiKey: { scopes, devices })
+=================================== */
+function hasScope(key, scope) {
+  return (key?.scopes || []).includes(scope);
+}
+
+/** May the key read/write this device? (no allowlist = any device) */
+function canUseDevice(key, device) {
+  return !key?.devices || key.devices.includes(device);
+}
+
+/** Requested device filter narrowed to the key's allowlist → { devices } or { error }. */
+function narrowDevices(key, devices) {
+  const allow = key?.devices;
+  if (!allow) return { devices };
+  if (!devices.length) return { devices: allow };
+  const denied = devices.filter((d) => !allow.includes(d));
+  if (denied.length) return { error: `API key may not read device(s): ${denied.join(", ")}` };
+  return { devices };
+}
+
+/** Public view of a stored key (never includes the hash). */
+function publicKey(doc) {
+  return {
+    keyId: doc.keyId,
+    owner: doc.owner,
+    scopes: doc.scopes,
+    devices: doc.devices ?? null,
+    createdAt: doc.createdAt,
+    expiresAt: doc.expiresAt ?? null,
+    revokedAt: doc.revokedAt ?? null,
+    lastUsedAt: doc.lastUsedAt ?? null,
+  };
+}
+
+/** Key store over a collection getter (async () => Collection).
+ * Lookups are cached for `cacheMs`: a revocation applies at once on the replica that made
+ * it, and within `cacheMs` on the others (KEYSTORE_CACHE_MS; 0 disables the cache).
+ */
+function createKeyStore(getCollection, { cacheMs = 30000 } = {}) {
+  const cache = new Map(); // keyId -> { doc, at }
+  const touched = new Map(); // keyId -> last lastUsedAt write (ms)
+  let indexesPromise = null;
+
+  async function ensureIndexes() {
+    if (!indexesPromise) {
+      indexesPromise = getCollection()
+        .then((coll) => coll.createIndex({ keyId: 1 }, { unique: true, name: "keyId_unique" }))
+        .catch((e) => { indexesPromise = null; throw e; });
+    }
+    return indexesPromise;
+  }
+
+  async function create(spec) {
+    const { value, error } = validateKeySpec(spec);
+    if (error) throw Object.assign(new Error(error), { status: 400 });
+    await ensureIndexes();
+    const { keyId, secret, apiKey } = generateKey();
+    const doc = {
+      keyId,
+      secretHash: hashSecret(secret),
+      ...value,
+      createdAt: new Date(),
+      revokedAt: null,
+      lastUsedAt: null,
+    };
+    const coll = await getCollection();
+    await coll.insertOne(doc);
+    return { apiKey, key: publicKey(doc) };
+  }
+
+  async function list({ includeRevoked = false } = {}) {
+    const coll = await getCollection();
+    const q = includeRevoked ? {} : { revokedAt: null };
+    const docs = await coll.find(q).sort({ createdAt: 1 }).toArray();
+    return docs.map(publicKey);
+  }
+
+  async function revoke(keyId) {
+    const coll = await getCollection();
+    const r = await coll.findOneAndUpdate(
+      { keyId, revokedAt: null },
+      { $set: { revokedAt: new Date() } },
+      { returnDocument: "after" }
+    );
+    cache.delete(keyId);
+    return r ? publicKey(r) : null;
+  }
+
+  async function lookup(keyId) {
+    const hit = cache.get(keyId);
+    if (hit && Date.now() - hit.at < cacheMs) return hit.doc;
+    const coll = await getCollection();
+    const doc = await coll.findOne({ keyId });
+    if (doc) cache.set(keyId, { doc, at: Date.now() });
+    else cache.delete(keyId);
+    return doc;
+  }
+
+  function touch(keyId) {
+    const now = Date.now();
+    if (now - (touched.get(keyId) || 0) < TOUCH_INTERVAL_MS) return;
+    touched.set(keyId, now);
+    getCollection()
+      .then((coll) => coll.updateOne({ keyId }, { $set: { lastUsedAt: new Date(now) } }))
+      .catch((e) => console.warn("[keys] lastUsedAt update failed:", e.message));
+  }
+
+  /** Resolve a presented "<keyId>.<secret>" to { id, owner, scopes, devices }, or null. */
+  async function verify(provided) {
+    const parsed = parseApiKey(provided);
+    if (!parsed) return null;
+    const doc = await lookup(parsed.keyId);
+    if (!doc || doc.revokedAt) return null;
+    if (doc.expiresAt && +new Date(doc.expiresAt) <= Date.now()) return null;
+    if (!safeEqual(hashSecret(parsed.secret), doc.secretHash)) return null;
+    touch(doc.keyId);
+    return { id: doc.keyId, owner: doc.owner, scopes: doc.scopes || [], devices: doc.devices ?? null };
+  }
+
+  return { ensureIndexes, create, list, revoke, verify };
+}
+
+module.exports = {
+  SCOPES,
+  hashSecret,
+  safeEqual,
+  parseApiKey,
+  validateKeySpec,
+  hasScope,
+  canUseDevice,
+  narrowDevices,
+  createKeyStore,
+};
@@ -0,0 +1,281 @@
+// mqttworker.js
+// Optional MQTT ingestion: subscribe to topic patterns on a broker, map topic
+// segments to device names, normalise each message and write it to the same
+// collection the read routes use. QoS 1/2 messages are acknowledged to the broker only
+// once they are written, so the persistent session redelivers anything lost to a crash
+// or a failed write (mqtt.js handles one message at a time, so each is written as it
+// arrives); QoS 0 messages are buffered and flushed in batches. Broker reconnects are
+// handled by mqtt.js (subscriptions are restored on reconnect). Every write is recorded
+// in the audit log like an HTTP ingest.
+//
+// Topic patterns use MQTT wildcards plus named segments:
+//   application/+/device/{device}/event/up   (ChirpStack MQTT integration)
+//   v3/+/devices/{device}/up                 (TTN MQTT)
+//   farm/{profile}/{device}                  (plain gateway JSON)
+
+const os = require("os");
+const mqtt = require("mqtt");
+const { normalizeReading } = require("./readings");
+const { normalizeChirpStackUplink, normalizeTtnUplink } = require("./webhooks");
+
+/* ================================
+   Config
+=================================== */
+function mqttConfigFromEnv(env = process.env) {
+  let deviceMap = {};
+  if (env.MQTT_DEVICE_MAP) {
+    try {
+      deviceMap = JSON.parse(env.MQTT_DEVICE_MAP);
+    } catch (e) {
+      throw new Error(`MQTT_DEVICE_MAP is not valid JSON: ${e.message}`);
+    }
+  }
+  return {
+    url: env.MQTT_URL || "",
+    username: env.MQTT_USERNAME || undefined,
+    password: env.MQTT_PASSWORD || undefined,
+    // Persistent session (clean: false) → the id must be stable per replica and unique across
+    // replicas; the hostname is (container id / pod name), the pid is not (always 1 in a container)
+    clientId: env.MQTT_CLIENT_ID || `apisec-ingest-${os.hostname()}`,
+    topics: (env.MQTT_TOPICS || "sensors/{device}")
+      .split(",")
+      .map((s) => s.trim())
+      .filter(Boolean),
+    qos: Number(env.MQTT_QOS || 1),
+    deviceMap,
+    flushMs: Number(env.MQTT_FLUSH_MS || 1000),
+    batchMax: Number(env.MQTT_BATCH_MAX || 500),
+    bufferMax: Number(env.MQTT_BUFFER_MAX || 10000),
+  };
+}
+
+/* ================================
+   Topic patterns
+=================================== */
+/** "a/{device}/+/#" -> { filter: "a/+/+/#", names: [null, "device", null, null] } */
+function compileTopicPattern(pattern) {
+  const parts = pattern.split("/");
+  const names = parts.map((p) => {
+    const m = /^\{(\w+)\}$/.exec(p);
+    return m ? m[1] : null;
+  });
+  const filter = parts.map((p, i) => (names[i] ? "+" : p)).join("/");
+  return { pattern, filter, parts: filter.split("/"), names };
+}
+
+/** Match a concrete topic against a compiled pattern; returns captured segments or null. */
+function matchTopic(compiled, topic) {
+  const segs = topic.split("/");
+  const out = {};
+  for (let i = 0; i < compiled.parts.length; i++) {
+    const p = compiled.parts[i];
+    if (p === "#") return out;
+    if (i >= segs.length) return null;
+    if (p !== "+" && p !== segs[i]) return null;
+    if (compiled.names[i]) out[compiled.names[i]] = segs[i];
+  }
+  return segs.length === compiled.parts.length ? out : null;
+}
+
+/* ================================
+   Message normalisation
+=================================== */
+/** Turn one MQTT message into a reading input (before validation). */
+function messageToReading(payload, captured, deviceMap) {
+  const text = payload.toString("utf8").trim();
+  let body;
+  try {
+    body = JSON.parse(text);
+  } catch {
+    // Bare number: treat as a temperature reading for the topic's device
+    if (text !== "" && isFinite(Number(text))) body = { temperature: Number(text) };
+    else throw new Error("Payload is not JSON");
+  }
+  // "2.25" is valid JSON too: same bare-number rule
+  if (typeof body === "number" && isFinite(body)) body = { temperature: body };
+  if (!body || typeof body !== "object" || Array.isArray(body)) {
+    throw new Error("Payload must be a JSON object");
+  }
+
+  let reading;
+  if (body.uplink_message) reading = normalizeTtnUplink(body);
+  else if (body.deviceInfo && body.object) reading = normalizeChirpStackUplink(body);
+  else reading = { ...body };
+
+  const segDevice = captured.device;
+  const mapped = segDevice != null ? deviceMap[segDevice] : undefined;
+  const current = reading.deviceInfo?.deviceName ?? reading.deviceName ?? reading.sensorId;
+  const deviceName = mapped || current || segDevice;
+
+  reading.deviceInfo = { ...(reading.deviceInfo || {}) };
+  if (deviceName) reading.deviceInfo.deviceName = deviceName;
+  if (captured.profile && !reading.deviceInfo.deviceProfileName) {
+    reading.deviceInfo.deviceProfileName = captured.profile;
+  }
+  if (!reading.source) reading.source = "mqtt";
+  return reading;
+}
+
+/* ================================
+   Worker
+=================================== */
+/** Create an MQTT ingestion worker.
+ * getCollection: async () => Mongo collection (indexes already ensured)
+ * store: async (coll, docs) => { inserted, duplicates }
+ * audit: optional (event) => void, see audit.js recordEvent
+ * Returns { start, stop, stats }.
+ */
+function createMqttWorker(cfg, { getCollection, store, audit = null, log = console } = {}) {
+  const compiled = cfg.topics.map(compileTopicPattern);
+  const stats = {
+    connected: false,
+    received: 0,
+    rejected: 0,
+    inserted: 0,
+    duplicates: 0,
+    dropped: 0,
+    lastError: null,
+  };
+  // Entries: { doc, topic, ack, conn }; `ack` (QoS 1/2) sends the PUBACK on connection `conn`
+  let buffer = [];
+  let client = null;
+  let timer = null;
+  let flushing = null;
+  let conn = 0;
+
+  // Unmatched or invalid messages are acked straight away so the broker does not redeliver them
+  function onMessage(topic, payload, ack = null) {
+    stats.received++;
+    const match = compiled.map((c) => matchTopic(c, topic)).find(Boolean);
+    if (!match) return ack?.();
+
+    let reading;
+    try {
+      reading = messageToReading(payload, match, cfg.deviceMap);
+    } catch (e) {
+      stats.rejected++;
+      log.warn(`[mqtt] ${topic}: ${e.message}`);
+      return ack?.();
+    }
+    const { doc, error } = normalizeReading(reading);
+    if (error) {
+      stats.rejected++;
+      log.warn(`[mqtt] ${topic}: ${error}`);
+      return ack?.();
+    }
+
+    buffer.push({ doc, topic, ack, conn });
+    // Only QoS 0 readings are dropped; unacked ones are still held by the broker
+    const over = buffer.length - cfg.bufferMax;
+    if (over > 0) {
+      let n = over;
+      buffer = buffer.filter((e) => e.ack || n-- <= 0);
+      stats.dropped += over - Math.max(n, 0);
+    }
+    if (ack || buffer.length >= cfg.batchMax) flush();
+  }
+
+  async function doFlush() {
+    while (buffer.length) {
+      const batch = buffer.slice(0, cfg.batchMax);
+      const started = Date.now();
+      const topics = [...new Set(batch.map((e) => e.topic))];
+      try {
+        const coll = await getCollection();
+        const r = await store(coll, batch.map((e) => e.doc));
+        stats.inserted += r.inserted;
+        stats.duplicates += r.duplicates;
+        const sent = new Set(batch);
+        buffer = buffer.filter((e) => !sent.has(e));
+        // An ack from a closed connection would hit a reused message id on the new one
+        for (const e of batch) if (e.ack && e.conn === conn) e.ack();
+        audit?.({
+          method: "MQTT", route: "mqtt", owner: cfg.clientId, status: 201,
+          resultCount: batch.length, detail: { inserted: r.inserted, duplicates: r.duplicates, topics },
+          latencyMs: Date.now() - started,
+        });
+      } catch (e) {
+        // Keep the batch (QoS 1/2 stay unacked); retried on the next tick
+        stats.lastError = e.message;
+        log.error("[mqtt] write failed:", e.message);
+        audit?.({
+          method: "MQTT", route: "mqtt", owner: cfg.clientId, status: 503,
+          resultCount: 0, detail: { error: e.message, pending: batch.length, topics },
+          latencyMs: Date.now() - started,
+        });
+        return;
+      }
+    }
+  }
+
+  function flush() {
+    if (!flushing) flushing = doFlush().finally(() => { flushing = null; });
+    return flushing;
+  }
+
+  function start() {
+    client = mqtt.connect(cfg.url, {
+      clientId: cfg.clientId,
+      username: cfg.username,
+      password: cfg.password,
+      clean: false,           // keep the broker-side session so QoS 1 messages survive reconnects
+      reconnectPeriod: 2000,
+      connectTimeout: 10000,
+      resubscribe: true,
+    });
+    // mqtt.js sends the PUBACK (QoS 1) / PUBCOMP (QoS 2) when handleMessage calls back, and
+    // takes the next message only then; QoS 0 is acknowledged right away and batched
+    client.handleMessage = (packet, done) => {
+      if (!packet.qos) {
+        onMessage(String(packet.topic), packet.payload);
+        return done();
+      }
+      onMessage(String(packet.topic), packet.payload, () => done());
+    };
+
+    client.on("connect", (connack) => {
+      stats.connected = true;
+      log.log(`[mqtt] connected to ${cfg.url}`);
+      // A resumed session already has our subscriptions
+      if (connack?.sessionPresent) return;
+      const subs = Object.fromEntries(compiled.map((c) => [c.filter, { qos: cfg.qos }]));
+      client.subscribe(subs, (e) => {
+        if (e) log.error("[mqtt] subscribe failed:", e.message);
+        else log.log(`[mqtt] subscribed: ${Object.keys(subs).join(", ")}`);
+      });
+    });
+    client.on("reconnect", () => log.log("[mqtt] reconnecting…"));
+    client.on("close", () => {
+      stats.connected = false;
+      // Unacked messages are redelivered on the resumed session; stored twice they are de-duped
+      conn++;
+      buffer = buffer.filter((e) => !e.ack);
+    });
+    client.on("error", (e) => {
+      stats.lastError = e.message;
+      log.error("[mqtt] error:", e.message);
+    });
+
+    timer = setInterval(flush, cfg.flushMs);
+    return client;
+  }
+
+  async function stop() {
+    if (timer) clearInterval(timer);
+    timer = null;
+    await flush(); // acks what is written while the connection is still up
+    if (client) await client.endAsync();
+    client = null;
+    await flush();
+  }
+
+  return { start, stop, flush, stats };
+}
+
+module.exports = {
+  mqttConfigFromEnv,
+  compileTopicPattern,
+  matchTopic,
+  messageToReading,
+  createMqttWorker,
+};
@@ -0,0 +1,281 @@
+// ratelimit.js
+// Token-bucket rate limiting keyed on the authenticated API key (falling back to the
+// client IP), with per-route costs and a daily quota (in cost units, UTC days).
+// Network-server webhooks (no API key; one ChirpStack/TTN server relays many devices)
+// get their own, larger bucket per integration and source address instead of the IP default.
+// Failed API-key checks are throttled separately, in front of auth: each 401/403 from auth
+// takes a token from the client address's auth-failure bucket, and an address with none
+// left is refused before its key is looked at.
+// Counters live in memory (single node) or in a MongoDB collection so several
+// APISec replicas share the same limits.
+
+/* ================================
+   Config
+=================================== */
+// Default costs; heavier aggregations cost more than a single latest lookup
+const DEFAULT_COSTS = {
+  "GET /sensors/latest": 1,
+  "GET /sensors/latest-all": 2,
+  "GET /sensors/timeseries": 5,
+  "GET /sensors/export": 20,
+  "POST /sensors/readings": 1,
+};
+
+function rateLimitConfigFromEnv(env = process.env) {
+  let costs = { ...DEFAULT_COSTS };
+  if (env.RATE_LIMIT_COSTS) {
+    try {
+      costs = { ...costs, ...JSON.parse(env.RATE_LIMIT_COSTS) };
+    } catch (e) {
+      throw new Error(`RATE_LIMIT_COSTS is not valid JSON: ${e.message}`);
+    }
+  }
+  return {
+    enabled: !/^false$/i.test(env.RATE_LIMIT_ENABLE || "true"),
+    capacity: Number(env.RATE_LIMIT_CAPACITY || 60),        // burst size (tokens)
+    refillPerSec: Number(env.RATE_LIMIT_REFILL_PER_SEC || 1),
+    dailyQuota: Number(env.RATE_LIMIT_DAILY_QUOTA || 0),      // cost units per UTC day; 0 = unlimited
+    store: (env.RATE_LIMIT_STORE || "memory").toLowerCase(), // "memory" | "mongo"
+    collection: env.RATE_LIMIT_COLLECTION || "ratelimits",
+    costs,
+    webhook: {
+      capacity: Number(env.RATE_LIMIT_WEBHOOK_CAPACITY || 600),
+      refillPerSec: Number(env.RATE_LIMIT_WEBHOOK_REFILL_PER_SEC || 20),
+      dailyQuota: 0,
+    },
+    authFailure: {
+      capacity: Number(env.RATE_LIMIT_AUTH_FAIL_CAPACITY || 10),
+      refillPerSec: Number(env.RATE_LIMIT_AUTH_FAIL_REFILL_PER_SEC || 0.1),
+      dailyQuota: 0,
+    },
+  };
+}
+
+function utcDay(now) {
+  return new Date(now).toISOString().slice(0, 10);
+}
+function msUntilUtcMidnight(now) {
+  const d = new Date(now);
+  return Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate() + 1) - now;
+}
+
+/* ================================
+   Stores
+   take(key, cost, now, limits: { capacity, refillPerSec, dailyQuota }) → { allowed, tokens, quotaUsed }
+   peek(key, now, limits) → tokens available now (nothing is written)
+=================================== */
+function refilled(tokens, at, now, limits) {
+  return Math.min(limits.capacity, tokens + ((now - at) / 1000) * limits.refillPerSec);
+}
+
+function createMemoryStore() {
+  const buckets = new Map(); // key -> { tokens, at, idleMs }
+  const quotas = new Map();  // `${key}|${day}` -> used
+
+  // Drop idle (full again) buckets / old quota days now and then
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    for (const [k, b] of buckets) if (now - b.at > b.idleMs) buckets.delete(k);
+    const today = utcDay(now);
+    for (const k of quotas.keys()) if (!k.endsWith(`|${today}`)) quotas.delete(k);
+  }, 60 * 1000);
+  sweep.unref();
+
+  async function take(key, cost, now, limits) {
+    const b = buckets.get(key) || { tokens: limits.capacity, at: now };
+    b.tokens = refilled(b.tokens, b.at, now, limits);
+    b.at = now;
+    b.idleMs = (limits.capacity / limits.refillPerSec) * 1000;
+    buckets.set(key, b);
+
+    const qk = `${key}|${utcDay(now)}`;
+    const used = quotas.get(qk) || 0;
+    if (b.tokens < cost) return { allowed: false, tokens: b.tokens, quotaUsed: used };
+    if (limits.dailyQuota > 0 && used + cost > limits.dailyQuota) {
+      return { allowed: false, tokens: b.tokens, quotaUsed: used, quotaExceeded: true };
+    }
+    b.tokens -= cost;
+    quotas.set(qk, used + cost);
+    return { allowed: true, tokens: b.tokens, quotaUsed: used + cost };
+  }
+
+  async function peek(key, now, limits) {
+    const b = buckets.get(key);
+    return b ? refilled(b.tokens, b.at, now, limits) : limits.capacity;
+  }
+
+  return { take, peek };
+}
+
+function createMongoStore(getCollection) {
+  let indexesPromise = null;
+  async function coll() {
+    const c = await getCollection();
+    if (!indexesPromise) {
+      indexesPromise = c
+        .createIndex({ expireAt: 1 }, { expireAfterSeconds: 0, name: "expireAt_ttl" })
+        .catch((e) => console.warn("[ratelimit] TTL index:", e.message));
+    }
+    await indexesPromise;
+    return c;
+  }
+
+  async function take(key, cost, now, limits) {
+    const c = await coll();
+    const nowD = new Date(now);
+    const idleMs = Math.max(60000, (limits.capacity / limits.refillPerSec) * 2000);
+
+    // Refill and consume atomically in one pipeline update
+    const bucket = await c.findOneAndUpdate(
+      { _id: `bucket:${key}` },
+      [
+        {
+          $set: {
+            tokens: {
+              $min: [
+                limits.capacity,
+                {
+                  $add: [
+                    { $ifNull: ["$tokens", limits.capacity] },
+                    {
+                      $multiply: [
+                        { $divide: [{ $subtract: [nowD, { $ifNull: ["$at", nowD] }] }, 1000] },
+                        limits.refillPerSec,
+                      ],
+                    },
+                  ],
+                },
+              ],
+            },
+            at: nowD,
+            expireAt: new Date(now + idleMs),
+          },
+        },
+        { $set: { allowed: { $gte: ["$tokens", cost] } } },
+        { $set: { tokens: { $cond: ["$allowed", { $subtract: ["$tokens", cost] }, "$tokens"] } } },
+      ],
+      { upsert: true, returnDocument: "after" }
+    );
+    if (!bucket.allowed) return { allowed: false, tokens: bucket.tokens, quotaUsed: null };
+
+    const day = utcDay(now);
+    const quota = await c.findOneAndUpdate(
+      { _id: `quota:${key}:${day}` },
+      { $inc: { used: cost }, $setOnInsert: { expireAt: new Date(now + msUntilUtcMidnight(now) + 3600000) } },
+      { upsert: true, returnDocument: "after" }
+    );
+    if (limits.dailyQuota > 0 && quota.used > limits.dailyQuota) {
+      // Refund both so rejected calls don't eat into the allowance; the bucket may have been
+      // refilled by another request meanwhile, so the refund stops at capacity
+      await c.updateOne({ _id: `quota:${key}:${day}` }, { $inc: { used: -cost } });
+      await c.updateOne(
+        { _id: `bucket:${key}` },
+        [{ $set: { tokens: { $min: [limits.capacity, { $add: ["$tokens", cost] }] } } }]
+      );
+      return {
+        allowed: false,
+        tokens: Math.min(limits.capacity, bucket.tokens + cost),
+        quotaUsed: quota.used - cost,
+        quotaExceeded: true,
+      };
+    }
+    return { allowed: true, tokens: bucket.tokens, quotaUsed: quota.used };
+  }
+
+  async function peek(key, now, limits) {
+    const b = await (await coll()).findOne({ _id: `bucket:${key}` });
+    return b ? refilled(b.tokens, +b.at, now, limits) : limits.capacity;
+  }
+
+  return { take, peek };
+}
+
+function createStore(cfg, getCollection) {
+  return cfg.store === "mongo" ? createMongoStore(getCollection) : createMemoryStore();
+}
+
+/* ================================
+   Middleware
+=================================== */
+/** Express middleware; must run after API-key auth so req.apiKey is set.
+ * onReject(res, message, status) writes the 429 body (the server's JSON error helper).
+ */
+function createRateLimiter(cfg, { getCollection, onReject }) {
+  const store = createStore(cfg, getCollection);
+
+  return async (req, res, next) => {
+    if (!cfg.enabled || req.path === "/health") return next();
+
+    const cost = cfg.costs[`${req.method} ${req.path}`] ?? 1;
+    const webhook = /^\/webhooks\/([^/]+)/.exec(req.path);
+    const limits = webhook ? cfg.webhook : cfg;
+    const key = webhook
+      ? `webhook:${webhook[1]}:${req.ip}`
+      : req.apiKey?.id ? `key:${req.apiKey.id}` : `ip:${req.ip}`;
+    const now = Date.now();
+
+    let r;
+    try {
+      r = await store.take(key, cost, now, limits);
+    } catch (e) {
+      // Fail open: a counter outage should not take the API down
+      console.warn("[ratelimit] store error, allowing request:", e.message);
+      return next();
+    }
+
+    res.set("X-RateLimit-Limit", String(limits.capacity));
+    res.set("X-RateLimit-Remaining", String(Math.max(0, Math.floor(r.tokens))));
+    if (limits.dailyQuota > 0 && r.quotaUsed != null) {
+      res.set("X-Quota-Limit", String(limits.dailyQuota));
+      res.set("X-Quota-Remaining", String(Math.max(0, limits.dailyQuota - r.quotaUsed)));
+    }
+    if (r.allowed) return next();
+
+    if (r.quotaExceeded) {
+      res.set("Retry-After", String(Math.ceil(msUntilUtcMidnight(now) / 1000)));
+      return onReject(res, "Daily quota exceeded", 429);
+    }
+    if (cost > limits.capacity) {
+      return onReject(res, `Request cost ${cost} exceeds rate limit capacity ${limits.capacity}`, 429);
+    }
+    const waitSec = Math.ceil((cost - r.tokens) / limits.refillPerSec);
+    res.set("Retry-After", String(Math.max(1, waitSec)));
+    return onReject(res, "Rate limit exceeded", 429);
+  };
+}
+
+/** Express middleware mounted before API-key auth: refuses (429) addresses that used up their
+ * auth-failure bucket, and charges one token for each request that auth turns away.
+ * Webhooks are left to their own bucket (their secret checks are not API-key auth).
+ */
+function createAuthFailureLimiter(cfg, { getCollection, onReject }) {
+  const store = createStore(cfg, getCollection);
+  const limits = cfg.authFailure;
+
+  return async (req, res, next) => {
+    if (!cfg.enabled || !(limits.capacity > 0) || req.path.startsWith("/webhooks/")) return next();
+    const key = `authfail:${req.ip}`;
+
+    let tokens;
+    try {
+      tokens = await store.peek(key, Date.now(), limits);
+    } catch (e) {
+      console.warn("[ratelimit] store error, allowing request:", e.message);
+      return next();
+    }
+    if (tokens < 1) {
+      res.set("Retry-After", String(Math.max(1, Math.ceil((1 - tokens) / limits.refillPerSec))));
+      return onReject(res, "Too many failed API key attempts", 429);
+    }
+
+    // Auth refused it when no key was attached (scope 403s come after auth and do not count)
+    res.once("finish", () => {
+      if (req.apiKey || (res.statusCode !== 401 && res.statusCode !== 403)) return;
+      store.take(key, 1, Date.now(), limits)
+        .catch((e) => console.warn("[ratelimit] store error:", e.message));
+    });
+    next();
+  };
+}
+
+module.exports = { DEFAULT_COSTS, rateLimitConfigFromEnv, createRateLimiter, createAuthFailureLimiter };
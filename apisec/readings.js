@@ -0,0 +1,232 @@
+// readings.js
+// Validation, normalisation and de-duplicated writes for incoming sensor readings.
+// Shared by the HTTP ingestion route and any other ingestion path (webhooks, MQTT).
+// Stored documents keep the shape the read routes already understand:
+//   { deviceInfo: { deviceName, deviceProfileName? }, time: ISO, ts: millis, object?: {...}, ... }
+
+const MAX_FUTURE_SKEW_MS = Number(process.env.INGEST_MAX_SKEW_MS || 5 * 60 * 1000);
+const MAX_DEVICE_NAME_LEN = 128;
+
+/* ================================
+   Field pickers (same permissive names as websec)
+=================================== */
+function norm(s) { return String(s).toLowerCase().replace(/[^a-z0-9]/g, ""); }
+function getCaseInsensitive(obj, keyName) {
+  if (!obj || typeof obj !== "object") return undefined;
+  const nk = norm(keyName);
+  for (const [k, v] of Object.entries(obj)) if (norm(k) === nk) return v;
+  return undefined;
+}
+function fromTopOrObject(doc, name) {
+  const vObj = getCaseInsensitive(doc?.object, name);
+  return vObj !== undefined ? vObj : getCaseInsensitive(doc, name);
+}
+
+const TEMP_FIELDS = [
+  "TempC_SHT", "TempC1", "temperature_c", "temperatureC", "temperature",
+  "temp_c", "tempC", "temp", "tC", "temp_sht", "temp1"
+];
+const HUM_FIELDS = ["Hum_SHT", "hum", "humidity", "hum_SHT", "hum_SMT", "relative_humidity", "rh"];
+const HUM_NA_SENTINEL = 6553.5;
+
+function getTempCandidate(doc) {
+  for (const n of TEMP_FIELDS) {
+    const v = fromTopOrObject(doc, n);
+    if (v !== undefined && v !== null && v !== "" && isFinite(Number(v))) return Number(v);
+  }
+  return undefined;
+}
+
+// 6553.5 is the LSN50 "no reading" sentinel; reported as "NA" like websec does
+function getHumidityCandidate(doc) {
+  for (const n of HUM_FIELDS) {
+    const v = fromTopOrObject(doc, n);
+    if (v !== undefined && v !== null && v !== "") {
+      if (typeof v === "number" && Math.abs(v - HUM_NA_SENTINEL) < 1e-6) return "NA";
+      if (isFinite(Number(v))) return Number(v);
+      return v;
+    }
+  }
+  return undefined;
+}
+
+/** Aggregation expression for the same pick inside MongoDB: first numeric value among
+ * `names`, each looked up under `object` then at the top level, with field names compared
+ * lower-cased and without separators like norm() (field names never hold '.' or '$').
+ */
+function numericFieldExpr(names) {
+  const toDouble = (input) => ({ $convert: { input, to: "double", onError: null, onNull: null } });
+  let normKey = { $toLower: "$$kv.k" };
+  for (const sep of ["_", "-", " "]) normKey = { $replaceAll: { input: normKey, find: sep, replacement: "" } };
+  const entries = (obj) => ({
+    $map: {
+      input: { $cond: [{ $eq: [{ $type: obj }, "object"] }, { $objectToArray: obj }, []] },
+      as: "kv",
+      in: { k: normKey, v: toDouble("$$kv.v") },
+    },
+  });
+  const pick = (list, name) => ({
+    $arrayElemAt: [{
+      $map: {
+        input: { $filter: { input: list, as: "e", cond: { $and: [{ $eq: ["$$e.k", norm(name)] }, { $ne: ["$$e.v", null] }] } } },
+        as: "e",
+        in: "$$e.v",
+      },
+    }, 0],
+  });
+  return {
+    $let: {
+      vars: { o: entries("$object"), r: entries("$$ROOT") },
+      in: { $ifNull: [...names.flatMap((n) => [pick("$$o", n), pick("$$r", n)]), null] },
+    },
+  };
+}
+
+/* ================================
+   Validation / normalisation
+=================================== */
+function hasUnsafeKeys(value, depth = 0) {
+  if (depth > 8) return true;
+  if (Array.isArray(value)) return value.some((v) => hasUnsafeKeys(v, depth + 1));
+  if (!value || typeof value !== "object") return false;
+  for (const [k, v] of Object.entries(value)) {
+    if (k.startsWith("$") || k.includes(".")) return true;
+    if (hasUnsafeKeys(v, depth + 1)) return true;
+  }
+  return false;
+}
+
+function parseReadingTime(v) {
+  if (v == null || v === "") return null;
+  const d = typeof v === "number" ? new Date(v) : new Date(String(v));
+  return Number.isNaN(+d) ? undefined : d;
+}
+
+/** Validate one incoming reading and build the document to store.
+ * Accepts { deviceInfo.deviceName | deviceName | sensorId, time?, ...measurements }.
+ * `ts` is always computed here (epoch millis of `time`, or of receipt when no time was sent);
+ * a client-supplied `ts` is ignored.
+ * Returns { doc } or { error }.
+ */
+function normalizeReading(input, { now = new Date() } = {}) {
+  if (!input || typeof input !== "object" || Array.isArray(input)) {
+    return { error: "Reading must be a JSON object" };
+  }
+  if (hasUnsafeKeys(input)) {
+    return { error: "Field names must not start with '$' or contain '.'" };
+  }
+
+  const deviceName = input.deviceInfo?.deviceName ?? input.deviceName ?? input.sensorId;
+  if (typeof deviceName !== "string" || !deviceName.trim()) {
+    return { error: "Missing device name (deviceInfo.deviceName, deviceName or sensorId)" };
+  }
+  if (deviceName.length > MAX_DEVICE_NAME_LEN) {
+    return { error: `Device name longer than ${MAX_DEVICE_NAME_LEN} characters` };
+  }
+
+  const t = parseReadingTime(input.time);
+  if (t === undefined) return { error: "Invalid 'time' (ISO datetime or epoch millis)" };
+  const time = t || now;
+  if (+time - +now > MAX_FUTURE_SKEW_MS) return { error: "'time' is in the future" };
+
+  const temperature = getTempCandidate(input);
+  const humidity = getHumidityCandidate(input);
+  if (temperature === undefined && humidity === undefined) {
+    return { error: "Reading has no temperature or humidity value" };
+  }
+
+  const { _id, ts, ...rest } = input; // never trust client _id/ts
+  const doc = {
+    ...rest,
+    deviceInfo: { ...(input.deviceInfo || {}), deviceName: deviceName.trim() },
+    time: time.toISOString(),
+    ts: +time,
+    receivedAt: now,
+  };
+  return { doc };
+}
+
+/* ================================
+   Storage
+=================================== */
+const DEDUPE_INDEX = "device_ts";
+
+/** Unique device+ts index backing the de-dupe (partial: legacy docs without `ts` are exempt).
+ * Replaces the older non-unique index of the same name.
+ */
+async function ensureReadingIndexes(coll) {
+  const spec = { "deviceInfo.deviceName": 1, ts: 1 };
+  const opts = { name: DEDUPE_INDEX, unique: true, partialFilterExpression: { ts: { $type: "number" } } };
+  try {
+    await coll.createIndex(spec, opts);
+  } catch (e) {
+    // 85/86: an index with this name/keys but other options exists (the pre-unique one)
+    if (e.code !== 85 && e.code !== 86) {
+      console.warn(`[ingest] could not create unique ${DEDUPE_INDEX} index:`, e.message);
+      return;
+    }
+    try {
+      await coll.dropIndex(DEDUPE_INDEX);
+      await coll.createIndex(spec, opts);
+    } catch (e2) {
+      // e.g. E11000 when existing data already holds duplicates
+      console.warn(`[ingest] could not upgrade ${DEDUPE_INDEX} to unique:`, e2.message);
+    }
+  }
+}
+
+// `time` strings a legacy doc (stored before `ts` existed) may carry for this instant
+function legacyTimeStrings(ts) {
+  const iso = new Date(ts).toISOString();
+  const out = [iso, iso.replace("Z", "+00:00")];
+  if (iso.endsWith(".000Z")) out.push(iso.replace(".000Z", "Z"), iso.replace(".000Z", "+00:00"));
+  return out;
+}
+
+/** Insert normalised docs, skipping any whose device+ts already exists (or a legacy doc
+ * without `ts` whose `time` is the same instant).
+ * Upserts with $setOnInsert so duplicates inside the same batch are skipped too; the unique
+ * index turns concurrent/retried inserts of the same reading into E11000, counted as duplicates.
+ * Returns { inserted, duplicates }.
+ */
+async function storeReadings(coll, docs) {
+  if (!docs.length) return { inserted: 0, duplicates: 0 };
+  const ops = docs.map((doc) => {
+    const device = doc.deviceInfo.deviceName;
+    return {
+      updateOne: {
+        filter: {
+          $or: [
+            { "deviceInfo.deviceName": device, ts: doc.ts },
+            { "deviceInfo.deviceName": device, ts: { $exists: false }, time: { $in: legacyTimeStrings(doc.ts) } },
+          ],
+        },
+        update: { $setOnInsert: doc },
+        upsert: true,
+      },
+    };
+  });
+  let r;
+  try {
+    r = await coll.bulkWrite(ops, { ordered: false });
+  } catch (e) {
+    const writeErrors = e.writeErrors ? [].concat(e.writeErrors) : [];
+    if (!writeErrors.length || writeErrors.some((w) => w.code !== 11000) || !e.result) throw e;
+    r = e.result; // the rest of the batch was applied (unordered)
+  }
+  const inserted = r.upsertedCount || 0;
+  return { inserted, duplicates: docs.length - inserted };
+}
+
+module.exports = {
+  TEMP_FIELDS,
+  HUM_FIELDS,
+  HUM_NA_SENTINEL,
+  fromTopOrObject,
+  getTempCandidate,
+  getHumidityCandidate,
+  numericFieldExpr,
+  normalizeReading,
+  ensureReadingIndexes,
+  storeReadings,
+};
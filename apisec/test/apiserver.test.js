@@ -0,0 +1,114 @@
+// apiserver.js in a child process, for the paths that are decided before MongoDB is reached
+// (auth, scopes). MONGODB_URI points at a closed port; nothing here needs a database.
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const net = require("net");
+const path = require("path");
+const { spawn } = require("child_process");
+
+const LEGACY_KEY = "legacy-service-key";
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const srv = net.createServer().listen(0, "127.0.0.1", () => {
+      const { port } = srv.address();
+      srv.close(() => resolve(port));
+    }).on("error", reject);
+  });
+}
+
+async function waitFor(cond, ms = 10000) {
+  const until = Date.now() + ms;
+  for (;;) {
+    const v = await cond();
+    if (v) return v;
+    if (Date.now() > until) throw new Error("timed out waiting for condition");
+    await new Promise((r) => setTimeout(r, 50));
+  }
+}
+
+/** Start apiserver.js with env overrides → { url, stop() }. */
+async function startServer(env = {}) {
+  const port = await freePort();
+  const child = spawn(process.execPath, [path.join(__dirname, "..", "apiserver.js")], {
+    cwd: path.join(__dirname, ".."),
+    env: {
+      PATH: process.env.PATH,
+      PORT: String(port),
+      MONGODB_URI: "mongodb://127.0.0.1:9",
+      DB_NAME: "test",
+      COLLECTION_NAME: "readings",
+      API_KEYS: LEGACY_KEY,
+      AUDIT_ENABLE: "false",
+      ...env,
+    },
+    stdio: ["ignore", "pipe", "pipe"],
+  });
+  let output = "";
+  child.stdout.on("data", (d) => { output += d; });
+  child.stderr.on("data", (d) => { output += d; });
+  await waitFor(() => {
+    if (child.exitCode != null) throw new Error(`apiserver exited:\n${output}`);
+    return output.includes("HTTP listening");
+  });
+  return {
+    url: `http://127.0.0.1:${port}`,
+    stop: () => new Promise((resolve) => {
+      child.once("exit", resolve);
+      child.kill();
+    }),
+  };
+}
+
+let server;
+before(async () => { server = await startServer(); });
+after(async () => { await server.stop(); });
+
+const call = (route, { key = LEGACY_KEY, method = "GET", body } = {}) =>
+  fetch(server.url + route, {
+    method,
+    headers: { ...(key ? { "x-api-key": key } : {}), ...(body ? { "content-type": "application/json" } : {}) },
+    body: body ? JSON.stringify(body) : undefined,
+  }).then(async (r) => ({ status: r.status, body: await r.json() }));
+
+test("legacy env keys get read/ingest but not admin unless ENV_KEY_SCOPES says so", async () => {
+  const list = await call("/admin/keys");
+  assert.equal(list.status, 403);
+  assert.equal(list.body.error, "API key lacks 'admin' scope");
+  assert.equal((await call("/admin/keys", { method: "POST", body: { owner: "x", scopes: "admin" } })).status, 403);
+  assert.equal((await call("/admin/keys/ak_0123456789abcdef", { method: "DELETE" })).status, 403);
+  assert.equal((await call("/audit")).status, 403);
+});
+
+test("requests without a valid key are refused", async () => {
+  assert.equal((await call("/sensors/latest", { key: null })).status, 401);
+  assert.equal((await call("/sensors/latest", { key: "wrong" })).status, 403);
+});
+
+test("repeated bad keys from one address are throttled before auth, and every refusal is audited", async () => {
+  const auditFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "apisec-")), "audit.jsonl");
+  const throttled = await startServer({
+    AUDIT_ENABLE: "true",
+    AUDIT_FILE: auditFile,
+    RATE_LIMIT_AUTH_FAIL_CAPACITY: "3",
+    RATE_LIMIT_AUTH_FAIL_REFILL_PER_SEC: "0.001",
+  });
+  const get = (key) => fetch(`${throttled.url}/sensors/latest`, { headers: { "x-api-key": key } }).then((r) => r.status);
+  try {
+    assert.deepEqual([await get("guess-1"), await get("guess-2"), await get("guess-3")], [403, 403, 403]);
+    assert.equal(await get("guess-4"), 429);
+    assert.equal(await get(LEGACY_KEY), 429, "the address is throttled, whatever key it sends");
+
+    const records = await waitFor(() => {
+      const lines = fs.existsSync(auditFile) ? fs.readFileSync(auditFile, "utf8").trim().split("\n").filter(Boolean) : [];
+      return lines.length >= 5 && lines.map((l) => JSON.parse(l));
+    });
+    assert.deepEqual(records.map((r) => r.status), [403, 403, 403, 429, 429]);
+    assert.ok(records.every((r) => r.route === "/sensors/latest" && r.keyId == null));
+  } finally {
+    await throttled.stop();
+    fs.rmSync(path.dirname(auditFile), { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,47 @@
+// Audit middleware records completed and aborted (client went away mid-stream) requests.
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("http");
+const express = require("express");
+const { auditConfigFromEnv, createAuditLog } = require("../audit");
+
+function fakeDb(inserted) {
+  const coll = {
+    createIndex: async () => {},
+    insertMany: async (docs) => { inserted.push(...docs); },
+  };
+  return { createCollection: async () => {}, collection: () => coll };
+}
+
+test("records completion state, including aborted streams", async () => {
+  const inserted = [];
+  const audit = createAuditLog({ ...auditConfigFromEnv({}), flushMs: 60000 }, { getDb: async () => fakeDb(inserted) });
+  const app = express();
+  app.use((req, _res, next) => { req.apiKey = { id: "k1", owner: "t" }; next(); });
+  app.use(audit.middleware);
+  app.get("/small", (_req, res) => { res.locals.resultCount = 1; res.json({ ok: true }); });
+  app.get("/stream", (_req, res) => {
+    res.locals.resultCount = 0;
+    res.write("row\n");
+    res.locals.resultCount++;
+    // never ends: the client disconnects
+  });
+  const server = app.listen(0);
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  await fetch(`${base}/small`).then((r) => r.text());
+  await new Promise((resolve) => {
+    const req = http.get(`${base}/stream`, (res) => res.once("data", () => { req.destroy(); resolve(); }));
+  });
+  await new Promise((r) => setTimeout(r, 100));
+
+  await audit.stop();
+  server.close();
+
+  const byPath = Object.fromEntries(inserted.map((r) => [r.path, r]));
+  assert.equal(byPath["/small"].completion, "completed");
+  assert.equal(byPath["/small"].resultCount, 1);
+  assert.equal(byPath["/stream"].completion, "aborted");
+  assert.equal(byPath["/stream"].resultCount, 1);
+  assert.equal(byPath["/stream"].keyId, "k1");
+});
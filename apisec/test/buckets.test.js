@@ -0,0 +1,39 @@
+// Bucketed time series: the aggregation runs in mingo (no MongoDB needed).
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { aggregate } = require("mingo");
+const { bucketPipeline } = require("../buckets");
+const { getTempCandidate, getHumidityCandidate } = require("../readings");
+
+const sensorKey = { $ifNull: ["$deviceInfo.deviceName", "$sensorId"] };
+const at = (hhmm) => `2025-06-01T${hhmm}:00Z`;
+
+test("mixed-case and separator variants of the aliases are bucketed like raw mode picks them", () => {
+  const docs = [
+    { deviceInfo: { deviceName: "lsn50" }, time: at("02:05"), object: { TempC_sht: 2, hum_sht: 90 } },
+    { deviceInfo: { deviceName: "lsn50" }, time: at("02:35"), object: { TEMPC_SHT: "4", HUM_SHT: 94 } },
+    { deviceInfo: { deviceName: "plain" }, time: at("02:10"), TempC: 1.5, Humidity: 6553.5 },
+    { deviceInfo: { deviceName: "plain" }, time: at("02:20"), object: { temp: "n/a" }, temp_c: 0.5, hum: 80 },
+  ];
+  // Raw mode (readings.js pickers) sees every one of these
+  assert.deepEqual(docs.map(getTempCandidate), [2, 4, 1.5, 0.5]);
+  assert.deepEqual(docs.map(getHumidityCandidate), [90, 94, "NA", 80]);
+
+  const points = aggregate(docs, bucketPipeline({ sensorKey, bucket: "1h", agg: "mean" }));
+  const byDevice = Object.fromEntries(points.map((p) => [p.sensorName, p]));
+  assert.equal(points.length, 2);
+  assert.equal(byDevice.lsn50.temperature, 3);
+  assert.equal(byDevice.lsn50.humidity, 92);
+  assert.equal(byDevice.lsn50.count, 2);
+  assert.equal(typeof byDevice.lsn50.dewpoint, "number");
+  assert.equal(byDevice.plain.temperature, 1);
+  assert.equal(byDevice.plain.humidity, 80, "the 6553.5 sentinel is not averaged in");
+  assert.equal(new Date(byDevice.plain.time).toISOString(), at("02:00").replace("Z", ".000Z"));
+});
+
+test("alias priority: object before top level, earlier names first", () => {
+  const docs = [{ sensorId: "s", time: at("02:00"), temperature: 9, TempC1: 8, object: { tempc1: 7 } }];
+  const [p] = aggregate(docs, bucketPipeline({ sensorKey, bucket: "5m", agg: "last" }));
+  assert.equal(p.temperature, getTempCandidate(docs[0]));
+  assert.equal(p.temperature, 7);
+});
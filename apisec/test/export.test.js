@@ -0,0 +1,37 @@
+// CSV export: rows from a fake cursor, served through express like the real route.
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const express = require("express");
+const { streamExport } = require("../export");
+
+function fakeCursor(docs) {
+  return {
+    async *[Symbol.asyncIterator]() { yield* docs; },
+    close: async () => {},
+  };
+}
+
+async function exportCsv(docs) {
+  const app = express();
+  app.get("/export", (_req, res) => streamExport(res, fakeCursor(docs), { format: "csv" }));
+  const server = app.listen(0);
+  try {
+    const r = await fetch(`http://127.0.0.1:${server.address().port}/export`);
+    return (await r.text()).trim().split("\r\n");
+  } finally {
+    server.close();
+  }
+}
+
+test("device and profile names that look like formulas are neutralised", async () => {
+  const lines = await exportCsv([
+    { __sensorKey: "=HYPERLINK(\"http://x\",\"a\")", deviceInfo: { deviceProfileName: "@SUM(A1)" }, time: "2025-06-01T02:00:00Z", temperature: -1.5, humidity: 90 },
+    { __sensorKey: "+1", deviceInfo: { deviceProfileName: "-x" }, time: "2025-06-01T02:00:00Z", temperature: 2 },
+    { __sensorKey: "sensor-1", deviceInfo: { deviceProfileName: "orchard, north" }, time: "2025-06-01T02:00:00Z", temperature: 0 },
+  ]);
+  assert.equal(lines[0], "device,profile,time_utc,temperature,humidity,dewpoint");
+  assert.equal(lines[1].split(",2025")[0], `"'=HYPERLINK(""http://x"",""a"")",'@SUM(A1)`);
+  assert.match(lines[1], /,-1\.5,90,/);
+  assert.equal(lines[2].split(",2025")[0], "'+1,'-x");
+  assert.equal(lines[3].split(",2025")[0], `sensor-1,"orchard, north"`);
+});
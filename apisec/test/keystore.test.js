@@ -0,0 +1,96 @@
+// Key store over an in-memory collection (filters via mingo), plus scope/device enforcement.
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { Query } = require("mingo");
+const {
+  createKeyStore,
+  validateKeySpec,
+  parseApiKey,
+  hasScope,
+  canUseDevice,
+  narrowDevices,
+} = require("../keystore");
+
+// Returns copies, like the driver does, so a cached doc is not updated behind the cache's back
+function fakeCollection() {
+  const docs = [];
+  const first = (q) => docs.find((d) => new Query(q).test(d));
+  return {
+    docs,
+    createIndex: async () => {},
+    insertOne: async (doc) => { docs.push(structuredClone(doc)); },
+    findOne: async (q) => (first(q) ? structuredClone(first(q)) : null),
+    find: (q) => ({ sort: () => ({ toArray: async () => docs.filter((d) => new Query(q).test(d)).map((d) => structuredClone(d)) }) }),
+    findOneAndUpdate: async (q, u) => {
+      const d = first(q);
+      if (!d) return null;
+      Object.assign(d, u.$set);
+      return structuredClone(d);
+    },
+    updateOne: async (q, u) => { const d = first(q); if (d) Object.assign(d, u.$set); },
+  };
+}
+
+test("create hands out the key once, stores only the hash, and verify resolves it", async () => {
+  const coll = fakeCollection();
+  const store = createKeyStore(async () => coll);
+  const { apiKey, key } = await store.create({ owner: "predictor", scopes: "read", devices: "a, b" });
+  assert.ok(parseApiKey(apiKey));
+  assert.deepEqual(key.scopes, ["read"]);
+  assert.equal(coll.docs[0].secretHash.length, 64);
+  assert.ok(!JSON.stringify(coll.docs).includes(parseApiKey(apiKey).secret));
+
+  assert.deepEqual(await store.verify(apiKey), { id: key.keyId, owner: "predictor", scopes: ["read"], devices: ["a", "b"] });
+  assert.equal(await store.verify(`${key.keyId}.${"x".repeat(43)}`), null);
+  assert.equal(await store.verify("not-a-store-key"), null);
+  assert.deepEqual((await store.list()).map((k) => k.keyId), [key.keyId]);
+});
+
+test("expired keys are refused", async () => {
+  const store = createKeyStore(async () => fakeCollection());
+  const { apiKey } = await store.create({ owner: "t", scopes: ["read"], expiresAt: new Date(Date.now() - 1000).toISOString() });
+  assert.equal(await store.verify(apiKey), null);
+});
+
+test("revoke applies at once locally and after the cache window on another replica", async () => {
+  const coll = fakeCollection();
+  const here = createKeyStore(async () => coll, { cacheMs: 200 });
+  const other = createKeyStore(async () => coll, { cacheMs: 200 });
+  const { apiKey, key } = await here.create({ owner: "t", scopes: ["read"] });
+  assert.ok(await here.verify(apiKey));
+  assert.ok(await other.verify(apiKey));
+
+  assert.equal((await here.revoke(key.keyId)).keyId, key.keyId);
+  assert.equal(await here.revoke(key.keyId), null, "already revoked");
+  assert.equal(await here.verify(apiKey), null);
+  assert.ok(await other.verify(apiKey), "still cached on the other replica");
+  await new Promise((r) => setTimeout(r, 250));
+  assert.equal(await other.verify(apiKey), null);
+  assert.deepEqual(await here.list(), []);
+  assert.equal((await here.list({ includeRevoked: true })).length, 1);
+});
+
+test("validateKeySpec rejects bad specs", () => {
+  assert.match(validateKeySpec({ scopes: "read" }).error, /owner/);
+  assert.match(validateKeySpec({ owner: "t" }).error, /scopes/);
+  assert.match(validateKeySpec({ owner: "t", scopes: "read,root" }).error, /Unknown scope\(s\): root/);
+  assert.match(validateKeySpec({ owner: "t", scopes: "read", expiresAt: "soon" }).error, /expiresAt/);
+  assert.equal(validateKeySpec({ owner: "t", scopes: "read", devices: " , " }).value.devices, null);
+});
+
+test("scope and device allowlist enforcement", () => {
+  const limited = { scopes: ["read", "ingest"], devices: ["a", "b"] };
+  const open = { scopes: ["read"], devices: null };
+  assert.equal(hasScope(limited, "ingest"), true);
+  assert.equal(hasScope(limited, "admin"), false);
+  assert.equal(hasScope(undefined, "read"), false);
+
+  assert.equal(canUseDevice(limited, "a"), true);
+  assert.equal(canUseDevice(limited, "c"), false);
+  assert.equal(canUseDevice(open, "c"), true);
+
+  assert.deepEqual(narrowDevices(limited, []), { devices: ["a", "b"] });
+  assert.deepEqual(narrowDevices(limited, ["b"]), { devices: ["b"] });
+  assert.match(narrowDevices(limited, ["b", "c"]).error, /may not read device\(s\): c/);
+  assert.deepEqual(narrowDevices(open, []), { devices: [] });
+});
@@ -0,0 +1,169 @@
+// MQTT ingestion worker against an in-process Aedes broker (no external broker needed).
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const net = require("net");
+const os = require("os");
+const mqtt = require("mqtt");
+const { mqttConfigFromEnv, createMqttWorker } = require("../mqttworker");
+
+const quiet = { log() {}, warn() {}, error() {} };
+
+let Aedes;
+let port;
+let broker;
+let server;
+
+async function startBroker(listenPort = 0) {
+  broker = await Aedes.createBroker();
+  server = net.createServer(broker.handle);
+  await new Promise((resolve) => server.listen(listenPort, "127.0.0.1", resolve));
+  port = server.address().port;
+}
+
+async function stopBroker() {
+  await new Promise((resolve) => broker.close(resolve));
+  await new Promise((resolve) => server.close(resolve));
+}
+
+async function waitFor(cond, ms = 10000) {
+  const until = Date.now() + ms;
+  while (!cond()) {
+    if (Date.now() > until) throw new Error("timed out waiting for condition");
+    await new Promise((r) => setTimeout(r, 20));
+  }
+}
+
+// Worker wired to an in-memory "collection"; deps.store/audit override the defaults
+function makeWorker(overrides = {}, deps = {}) {
+  const stored = [];
+  const cfg = {
+    ...mqttConfigFromEnv({}),
+    url: `mqtt://127.0.0.1:${port}`,
+    clientId: overrides.clientId || `test-${Math.random().toString(16).slice(2)}`,
+    topics: ["farm/{profile}/{device}", "application/+/device/{device}/event/up"],
+    deviceMap: { a84041000181c061: "Block A" },
+    flushMs: 50,
+    ...overrides,
+  };
+  const worker = createMqttWorker(cfg, {
+    getCollection: async () => null,
+    store: async (_coll, docs) => {
+      stored.push(...docs);
+      return { inserted: docs.length, duplicates: 0 };
+    },
+    log: quiet,
+    ...deps,
+  });
+  return { worker, stored };
+}
+
+async function publisher() {
+  return mqtt.connectAsync(`mqtt://127.0.0.1:${port}`, { reconnectPeriod: 0 });
+}
+
+before(async () => {
+  ({ Aedes } = await import("aedes"));
+  await startBroker();
+});
+
+after(async () => {
+  await stopBroker();
+});
+
+test("default client id is derived from the hostname, not the pid", () => {
+  assert.equal(mqttConfigFromEnv({}).clientId, `apisec-ingest-${os.hostname()}`);
+  assert.equal(mqttConfigFromEnv({ MQTT_CLIENT_ID: "replica-a" }).clientId, "replica-a");
+});
+
+test("maps topic segments to device names and stores normalised readings", async () => {
+  const { worker, stored } = makeWorker();
+  worker.start();
+  await waitFor(() => worker.stats.connected);
+  await new Promise((r) => setTimeout(r, 200)); // subscription settles
+
+  const pub = await publisher();
+  await pub.publishAsync("farm/orchard/sensor-7", JSON.stringify({ TempC_SHT: 1.5, Hum_SHT: 91 }), { qos: 1 });
+  await pub.publishAsync("application/app1/device/a84041000181c061/event/up", "2.25", { qos: 1 });
+  await pub.publishAsync("farm/orchard/sensor-8", "not json", { qos: 1 });
+  await pub.endAsync();
+
+  await waitFor(() => worker.stats.received === 3);
+  await worker.flush();
+  await worker.stop();
+
+  assert.equal(worker.stats.rejected, 1);
+  assert.equal(stored.length, 2);
+  const byDevice = Object.fromEntries(stored.map((d) => [d.deviceInfo.deviceName, d]));
+  assert.equal(byDevice["sensor-7"].deviceInfo.deviceProfileName, "orchard");
+  assert.equal(byDevice["sensor-7"].source, "mqtt");
+  assert.equal(typeof byDevice["sensor-7"].ts, "number");
+  assert.equal(byDevice["Block A"].temperature, 2.25);
+});
+
+test("persistent session: QoS 1 messages published while the worker is offline are delivered", async () => {
+  const clientId = "apisec-ingest-session-test";
+  const first = makeWorker({ clientId });
+  first.worker.start();
+  await waitFor(() => first.worker.stats.connected);
+  await new Promise((r) => setTimeout(r, 200));
+  await first.worker.stop();
+
+  const pub = await publisher();
+  await pub.publishAsync("farm/orchard/sensor-9", JSON.stringify({ temperature: 0.5 }), { qos: 1 });
+  await pub.endAsync();
+
+  const second = makeWorker({ clientId });
+  second.worker.start();
+  await waitFor(() => second.worker.stats.received === 1);
+  await second.worker.stop();
+  assert.deepEqual(second.stored.map((d) => d.deviceInfo.deviceName), ["sensor-9"]);
+});
+
+test("survives a broker restart and keeps ingesting", async () => {
+  const { worker, stored } = makeWorker({ clientId: "apisec-ingest-restart-test" });
+  worker.start();
+  await waitFor(() => worker.stats.connected);
+
+  const samePort = port;
+  await stopBroker();
+  await waitFor(() => !worker.stats.connected);
+  await startBroker(samePort);
+  await waitFor(() => worker.stats.connected, 15000);
+  await new Promise((r) => setTimeout(r, 300)); // resubscribe on the fresh broker
+
+  const pub = await publisher();
+  await pub.publishAsync("farm/orchard/sensor-3", JSON.stringify({ temperature: -1 }), { qos: 1 });
+  await pub.endAsync();
+
+  await waitFor(() => worker.stats.received === 1);
+  await worker.stop();
+  assert.deepEqual(stored.map((d) => d.deviceInfo.deviceName), ["sensor-3"]);
+});
+
+test("QoS 1 messages are acked only once stored, so a failed write is redelivered", async () => {
+  const clientId = "apisec-ingest-ack-test";
+  const events = [];
+  const first = makeWorker({ clientId }, {
+    store: async () => { throw new Error("db down"); },
+    audit: (e) => events.push(e),
+  });
+  first.worker.start();
+  await waitFor(() => first.worker.stats.connected);
+  await new Promise((r) => setTimeout(r, 200));
+
+  const pub = await publisher();
+  await pub.publishAsync("farm/orchard/sensor-5", JSON.stringify({ temperature: 0.25 }), { qos: 1 });
+  await pub.endAsync();
+  await waitFor(() => first.worker.stats.lastError === "db down");
+  await first.worker.stop();
+  assert.equal(events[0].status, 503);
+
+  const second = makeWorker({ clientId }, { audit: (e) => events.push(e) });
+  second.worker.start();
+  await waitFor(() => second.stored.length === 1);
+  await second.worker.stop();
+  assert.equal(second.stored[0].deviceInfo.deviceName, "sensor-5");
+  const written = events.find((e) => e.status === 201);
+  assert.equal(written.route, "mqtt");
+  assert.deepEqual(written.detail, { inserted: 1, duplicates: 0, topics: ["farm/orchard/sensor-5"] });
+});
@@ -0,0 +1,124 @@
+// Token-bucket limiter: API-key buckets vs. per-integration webhook buckets, the auth-failure
+// throttle, and the MongoDB store's quota refund (pipeline updates run in mingo).
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const express = require("express");
+const { aggregate } = require("mingo");
+const { rateLimitConfigFromEnv, createRateLimiter, createAuthFailureLimiter } = require("../ratelimit");
+
+function run(limiter, { method = "GET", path, ip = "10.0.0.1", apiKey } = {}) {
+  const headers = {};
+  const res = { set: (k, v) => (headers[k] = v) };
+  return new Promise((resolve) => {
+    limiter({ method, path, ip, apiKey }, res, () => resolve({ status: 200, headers }))
+      .then(() => resolve({ status: 429, headers }));
+  });
+}
+
+const limiterFor = (env) =>
+  createRateLimiter(rateLimitConfigFromEnv({ RATE_LIMIT_CAPACITY: "3", RATE_LIMIT_REFILL_PER_SEC: "0.001", ...env }), {
+    onReject: () => {},
+  });
+
+test("API keys are limited by the default bucket", async () => {
+  const limiter = limiterFor({});
+  const apiKey = { id: "k1" };
+  const statuses = [];
+  for (let i = 0; i < 4; i++) statuses.push((await run(limiter, { path: "/sensors/latest", apiKey })).status);
+  assert.deepEqual(statuses, [200, 200, 200, 429]);
+});
+
+test("webhooks use their own per-integration bucket, not the per-IP default", async () => {
+  const limiter = limiterFor({ RATE_LIMIT_WEBHOOK_CAPACITY: "10", RATE_LIMIT_WEBHOOK_REFILL_PER_SEC: "0.001" });
+  const ip = "10.0.0.9";
+  // Exhaust the IP's default bucket
+  for (let i = 0; i < 3; i++) await run(limiter, { path: "/sensors/latest", ip });
+  assert.equal((await run(limiter, { path: "/sensors/latest", ip })).status, 429);
+
+  const uplinks = [];
+  for (let i = 0; i < 10; i++) uplinks.push((await run(limiter, { method: "POST", path: "/webhooks/chirpstack", ip })).status);
+  assert.ok(uplinks.every((s) => s === 200));
+  const r = await run(limiter, { method: "POST", path: "/webhooks/chirpstack", ip });
+  assert.equal(r.status, 429);
+  assert.equal(r.headers["X-RateLimit-Limit"], "10");
+
+  // Another integration from the same address has its own bucket
+  assert.equal((await run(limiter, { method: "POST", path: "/webhooks/ttn", ip })).status, 200);
+});
+
+test("failed API-key checks are throttled per address, in front of auth", async () => {
+  const cfg = rateLimitConfigFromEnv({ RATE_LIMIT_AUTH_FAIL_CAPACITY: "2", RATE_LIMIT_AUTH_FAIL_REFILL_PER_SEC: "0.001" });
+  const app = express();
+  app.set("trust proxy", true);
+  app.use(createAuthFailureLimiter(cfg, { onReject: (res, message, status) => res.status(status).json({ error: message }) }));
+  app.use((req, res, next) => {
+    if (req.get("x-api-key") !== "good") return res.status(403).json({ error: "Invalid API key" });
+    req.apiKey = { id: "k1", scopes: [] };
+    next();
+  });
+  app.get("/admin/keys", (_req, res) => res.status(403).json({ error: "API key lacks 'admin' scope" }));
+  app.get("/sensors/latest", (_req, res) => res.json({ latest: null }));
+  const server = app.listen(0);
+  const get = (route, key, ip = "10.0.0.5") =>
+    fetch(`http://127.0.0.1:${server.address().port}${route}`, { headers: { "x-api-key": key, "x-forwarded-for": ip } });
+  try {
+    // Scope refusals happen after auth and are not failures
+    for (let i = 0; i < 3; i++) assert.equal((await get("/admin/keys", "good")).status, 403);
+    assert.equal((await get("/sensors/latest", "guess-1")).status, 403);
+    assert.equal((await get("/sensors/latest", "guess-2")).status, 403);
+    const blocked = await get("/sensors/latest", "good");
+    assert.equal(blocked.status, 429);
+    assert.ok(Number(blocked.headers.get("retry-after")) >= 1);
+    assert.equal((await get("/sensors/latest", "good", "10.0.0.6")).status, 200);
+  } finally {
+    server.close();
+  }
+});
+
+// Bucket/quota docs by _id; pipeline updates are applied with mingo's $set stages
+function fakeRateLimitCollection() {
+  const docs = new Map();
+  const apply = (doc, update) => {
+    if (Array.isArray(update)) return aggregate([doc], update)[0];
+    for (const [k, v] of Object.entries(update.$inc || {})) doc[k] = (doc[k] || 0) + v;
+    for (const [k, v] of Object.entries(update.$setOnInsert || {})) if (!(k in doc)) doc[k] = v;
+    return doc;
+  };
+  const tick = () => new Promise((r) => setImmediate(r));
+  return {
+    docs,
+    createIndex: async () => {},
+    async findOneAndUpdate({ _id }, update) {
+      await tick();
+      docs.set(_id, apply({ _id, ...docs.get(_id) }, update));
+      return { ...docs.get(_id) };
+    },
+    async updateOne({ _id }, update) {
+      await tick();
+      if (docs.has(_id)) docs.set(_id, apply({ ...docs.get(_id) }, update));
+    },
+    async findOne({ _id }) {
+      return docs.has(_id) ? { ...docs.get(_id) } : null;
+    },
+  };
+}
+
+test("mongo store: quota refunds never push a bucket over its capacity", async () => {
+  const coll = fakeRateLimitCollection();
+  const cfg = rateLimitConfigFromEnv({
+    RATE_LIMIT_STORE: "mongo", RATE_LIMIT_CAPACITY: "5", RATE_LIMIT_REFILL_PER_SEC: "1", RATE_LIMIT_DAILY_QUOTA: "1",
+  });
+  const limiter = createRateLimiter(cfg, { getCollection: async () => coll, onReject: () => {} });
+  const apiKey = { id: "k1" };
+  assert.equal((await run(limiter, { path: "/sensors/latest", apiKey })).status, 200);
+
+  // Two over-quota calls interleave; the second one's refill tops the bucket up before the
+  // first one's refund lands
+  const results = await Promise.all([
+    run(limiter, { path: "/sensors/latest", apiKey }),
+    new Promise((r) => setTimeout(r, 1100)).then(() => run(limiter, { path: "/sensors/latest", apiKey })),
+  ]);
+  assert.deepEqual(results.map((r) => r.status), [429, 429]);
+  assert.ok(coll.docs.get("bucket:key:k1").tokens <= 5, `tokens=${coll.docs.get("bucket:key:k1").tokens}`);
+  assert.equal(coll.docs.get(`quota:key:k1:${new Date().toISOString().slice(0, 10)}`).used, 1);
+});
@@ -0,0 +1,94 @@
+// Reading validation and de-duplicated storage (collection faked in memory, filters via mingo).
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { Query } = require("mingo");
+const { normalizeReading, storeReadings } = require("../readings");
+
+const now = new Date("2025-06-01T03:00:00Z");
+
+// bulkWrite of upserts against an in-memory array, with the unique device+ts index.
+// `race` docs are written by "another replica" between an op's filter check and its insert.
+function fakeCollection(docs = []) {
+  const coll = {
+    docs,
+    race: [],
+    async bulkWrite(ops) {
+      let upsertedCount = 0;
+      const writeErrors = [];
+      ops.forEach(({ updateOne: { filter, update } }, index) => {
+        if (coll.docs.some((d) => new Query(filter).test(d))) return;
+        coll.docs.push(...coll.race.splice(0));
+        const doc = update.$setOnInsert;
+        const clash = coll.docs.some((d) => d.deviceInfo?.deviceName === doc.deviceInfo.deviceName && d.ts === doc.ts);
+        if (clash) return writeErrors.push({ index, code: 11000 });
+        coll.docs.push(doc);
+        upsertedCount++;
+      });
+      if (writeErrors.length) {
+        throw Object.assign(new Error("E11000 duplicate key error"), { writeErrors, result: { upsertedCount } });
+      }
+      return { upsertedCount };
+    },
+  };
+  return coll;
+}
+
+const reading = (fields) => normalizeReading({ deviceName: "sensor-1", temperature: 1.5, ...fields }, { now }).doc;
+
+test("normalizeReading builds the stored doc and ignores client _id/ts", () => {
+  const { doc, error } = normalizeReading(
+    { deviceInfo: { deviceName: " sensor-1 ", deviceProfileName: "orchard" }, time: "2025-06-01T02:00:00Z", _id: "x", ts: 1, object: { TempC_SHT: 0.5 } },
+    { now }
+  );
+  assert.equal(error, undefined);
+  assert.equal(doc.deviceInfo.deviceName, "sensor-1");
+  assert.equal(doc.deviceInfo.deviceProfileName, "orchard");
+  assert.equal(doc.ts, Date.parse("2025-06-01T02:00:00Z"));
+  assert.equal(doc._id, undefined);
+  assert.equal(normalizeReading({ sensorId: "s", hum: 90 }, { now }).doc.time, now.toISOString());
+});
+
+test("normalizeReading rejects unsafe keys, future times and missing devices", () => {
+  const bad = (input) => normalizeReading(input, { now }).error;
+  assert.match(bad({ deviceName: "s", temperature: 1, $where: "1" }), /must not start with '\$'/);
+  assert.match(bad({ deviceName: "s", object: { "a.b": 1, temperature: 1 } }), /contain '\.'/);
+  assert.match(bad({ deviceName: "s", temperature: 1, time: new Date(+now + 10 * 60 * 1000).toISOString() }), /in the future/);
+  assert.equal(bad({ deviceName: "s", temperature: 1, time: new Date(+now + 60 * 1000).toISOString() }), undefined);
+  assert.match(bad({ temperature: 1 }), /Missing device name/);
+  assert.match(bad({ deviceName: "  ", temperature: 1 }), /Missing device name/);
+  assert.match(bad({ deviceName: "s", time: "yesterday", temperature: 1 }), /Invalid 'time'/);
+  assert.match(bad({ deviceName: "s", battery: 3.6 }), /no temperature or humidity/);
+  assert.match(bad([{ deviceName: "s" }]), /JSON object/);
+});
+
+test("storeReadings skips duplicates inside the same batch", async () => {
+  const coll = fakeCollection();
+  const t = "2025-06-01T02:00:00Z";
+  const r = await storeReadings(coll, [reading({ time: t }), reading({ time: t, temperature: 9 }), reading({ time: "2025-06-01T02:15:00Z" })]);
+  assert.deepEqual(r, { inserted: 2, duplicates: 1 });
+  assert.equal(coll.docs.find((d) => d.time === new Date(t).toISOString()).temperature, 1.5);
+});
+
+test("storeReadings matches legacy docs without ts by their time string", async () => {
+  const coll = fakeCollection([
+    { deviceInfo: { deviceName: "sensor-1" }, time: "2025-06-01T02:00:00+00:00", temperature: 2 },
+    { deviceInfo: { deviceName: "sensor-1" }, time: "2025-06-01T02:15:00Z", temperature: 2 },
+  ]);
+  const r = await storeReadings(coll, [
+    reading({ time: "2025-06-01T02:00:00Z" }),
+    reading({ time: "2025-06-01T02:15:00.000Z" }),
+    reading({ time: "2025-06-01T02:30:00Z" }),
+  ]);
+  assert.deepEqual(r, { inserted: 1, duplicates: 2 });
+});
+
+test("storeReadings counts E11000 from a concurrent writer as duplicates", async () => {
+  const coll = fakeCollection();
+  const first = reading({ time: "2025-06-01T02:00:00Z" });
+  coll.race = [{ ...first }];
+  const r = await storeReadings(coll, [first, reading({ time: "2025-06-01T02:15:00Z" })]);
+  assert.deepEqual(r, { inserted: 1, duplicates: 1 });
+
+  const failing = { bulkWrite: async () => { throw Object.assign(new Error("boom"), { writeErrors: [{ index: 0, code: 121 }], result: {} }); } };
+  await assert.rejects(storeReadings(failing, [first]), /boom/);
+});
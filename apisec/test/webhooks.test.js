@@ -0,0 +1,45 @@
+// Webhook verification and uplink normalisation (no server needed).
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { verifyWebhook, normalizeTtnUplink, normalizeChirpStackUplink } = require("../webhooks");
+
+test("TTN uplinks take the network server's received_at over the gateway clock", () => {
+  const body = {
+    end_device_ids: { device_id: "sensor-1", dev_eui: "A84041000181C061" },
+    received_at: "2025-06-01T02:00:01Z",
+    uplink_message: {
+      received_at: "2025-06-01T02:00:00.500Z",
+      rx_metadata: [{ time: "2019-01-01T00:00:00Z" }],
+      decoded_payload: { TempC_SHT: 1.2 },
+    },
+  };
+  const doc = normalizeTtnUplink(body);
+  assert.equal(doc.time, "2025-06-01T02:00:00.500Z");
+  assert.equal(doc.deviceInfo.deviceName, "sensor-1");
+
+  delete body.uplink_message.received_at;
+  assert.equal(normalizeTtnUplink(body).time, "2025-06-01T02:00:01.000Z");
+  delete body.received_at;
+  assert.equal(normalizeTtnUplink(body).time, "2019-01-01T00:00:00.000Z");
+});
+
+test("ChirpStack uplinks use the event time", () => {
+  const doc = normalizeChirpStackUplink({
+    deviceInfo: { devEui: "a84041000181c061" },
+    time: "2025-06-01T02:00:00Z",
+    rxInfo: [{ gwTime: "2019-01-01T00:00:00Z" }],
+    object: { temperature: 1 },
+  });
+  assert.equal(doc.time, "2025-06-01T02:00:00.000Z");
+  assert.equal(doc.deviceInfo.deviceName, "a84041000181c061");
+});
+
+test("verifyWebhook checks the shared secret", () => {
+  const cfg = { name: "ttn", secret: "s3cret", secretHeader: "x-webhook-secret", hmacKey: "" };
+  const req = (headers) => ({ headers });
+  assert.equal(verifyWebhook(req({ "x-webhook-secret": "s3cret" }), cfg), null);
+  assert.equal(verifyWebhook(req({ authorization: "Bearer s3cret" }), cfg), null);
+  assert.equal(verifyWebhook(req({ "x-webhook-secret": "nope" }), cfg).status, 403);
+  assert.equal(verifyWebhook(req({}), cfg).status, 401);
+  assert.equal(verifyWebhook(req({}), { ...cfg, secret: "" }).status, 404);
+});
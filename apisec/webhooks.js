@@ -0,0 +1,139 @@
+// webhooks.js
+// LoRaWAN network-server uplink webhooks: ChirpStack v4 HTTP integration and
+// The Things Network (TTS) v3 webhooks. Each integration is verified with its own
+// shared secret (header) and, optionally, an HMAC-SHA256 signature of the raw body.
+// Uplinks are normalised to the ChirpStack-like shape the read routes and the
+// predictor already understand: { deviceInfo: { deviceName, deviceProfileName }, object, time }.
+
+const crypto = require("crypto");
+const { safeEqual } = require("./keystore");
+
+/* ================================
+   Per-integration config
+=================================== */
+function integrationConfig(name) {
+  const P = name.toUpperCase();
+  return {
+    name,
+    secret: process.env[`${P}_WEBHOOK_SECRET`] || "",
+    secretHeader: (process.env[`${P}_WEBHOOK_HEADER`] || "x-webhook-secret").toLowerCase(),
+    hmacKey: process.env[`${P}_WEBHOOK_HMAC_KEY`] || "",
+  };
+}
+
+const INTEGRATIONS = {
+  chirpstack: integrationConfig("chirpstack"),
+  ttn: integrationConfig("ttn"),
+};
+
+/** Check the shared secret and (if configured) the body signature.
+ * Secret: `<header>: <secret>` or `Authorization: Bearer <secret>`.
+ * Signature: `x-signature: sha256=<hex HMAC of raw body>`.
+ * Returns null when OK, or { status, message }.
+ */
+function verifyWebhook(req, cfg) {
+  if (!cfg.secret && !cfg.hmacKey) {
+    return { status: 404, message: `Webhook '${cfg.name}' is not enabled` };
+  }
+
+  if (cfg.secret) {
+    const auth = req.headers["authorization"] || "";
+    const provided =
+      req.headers[cfg.secretHeader] ||
+      (/^Bearer\s+/i.test(auth) ? auth.replace(/^Bearer\s+/i, "") : null);
+    if (!provided) return { status: 401, message: "Missing webhook secret" };
+    if (!safeEqual(provided, cfg.secret)) return { status: 403, message: "Invalid webhook secret" };
+  }
+
+  if (cfg.hmacKey) {
+    const sig = String(req.headers["x-signature"] || "").replace(/^sha256=/i, "").toLowerCase();
+    if (!sig) return { status: 401, message: "Missing webhook signature" };
+    const expected = crypto
+      .createHmac("sha256", cfg.hmacKey)
+      .update(req.rawBody || Buffer.alloc(0))
+      .digest("hex");
+    if (!safeEqual(sig, expected)) return { status: 403, message: "Invalid webhook signature" };
+  }
+  return null;
+}
+
+/* ================================
+   Payload normalisation
+=================================== */
+// Drop undefined fields so they are not stored as nulls
+function compact(obj) {
+  for (const [k, v] of Object.entries(obj)) {
+    if (v === undefined) delete obj[k];
+    else if (v && typeof v === "object" && !Array.isArray(v) && k !== "object") compact(v);
+  }
+  return obj;
+}
+
+function firstTime(...candidates) {
+  for (const c of candidates) {
+    if (!c) continue;
+    const d = new Date(c);
+    if (!Number.isNaN(+d)) return d.toISOString();
+  }
+  return undefined;
+}
+
+/** ChirpStack v4 `up` event (JSON marshaler). */
+function normalizeChirpStackUplink(body) {
+  const di = body?.deviceInfo || {};
+  return compact({
+    deviceInfo: {
+      deviceName: di.deviceName || di.devEui,
+      deviceProfileName: di.deviceProfileName,
+      devEui: di.devEui,
+      applicationName: di.applicationName,
+      tenantName: di.tenantName,
+      tags: di.tags,
+    },
+    object: body?.object || {},
+    time: firstTime(body?.time, body?.rxInfo?.[0]?.gwTime, body?.rxInfo?.[0]?.nsTime),
+    fPort: body?.fPort,
+    fCnt: body?.fCnt,
+    deduplicationId: body?.deduplicationId,
+    source: "chirpstack",
+  });
+}
+
+/** TTN / The Things Stack v3 uplink_message webhook.
+ * Time is the network server's received_at; gateway clocks are often unset or skewed.
+ */
+function normalizeTtnUplink(body) {
+  const ids = body?.end_device_ids || {};
+  const up = body?.uplink_message || {};
+  const ver = up.version_ids || {};
+  return compact({
+    deviceInfo: {
+      deviceName: ids.device_id || ids.dev_eui,
+      deviceProfileName: ver.model_id,
+      devEui: ids.dev_eui,
+      applicationName: ids.application_ids?.application_id,
+    },
+    object: up.decoded_payload || {},
+    time: firstTime(up.received_at, body?.received_at, up.rx_metadata?.[0]?.time),
+    fPort: up.f_port,
+    fCnt: up.f_cnt,
+    source: "ttn",
+  });
+}
+
+/** ChirpStack sends every event type to one URL, distinguished by ?event= */
+function chirpStackEvent(req) {
+  return String(req.query.event || "up").toLowerCase();
+}
+function isTtnUplink(body) {
+  return !!body?.uplink_message;
+}
+
+module.exports = {
+  INTEGRATIONS,
+  verifyWebhook,
+  normalizeChirpStackUplink,
+  normalizeTtnUplink,
+  chirpStackEvent,
+  isTtnUplink,
+};
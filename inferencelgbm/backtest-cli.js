@@ -0,0 +1,63 @@
+// Backtest CLI: calls the predictor's /backtest and writes the result to JSON (cron-friendly)
+// Usage:
+//   node backtest-cli.js --days 7 --out ./backtests/last-week.json
+//   node backtest-cli.js --from 2025-06-01T00:00:00Z --to 2025-07-01T00:00:00Z \
+//                        [--step 1] [--horizon 8] [--frost-temp 0] [--model frost] [--device a,b] [--points]
+// Env: PREDICTOR_URL (default http://localhost:$PORT or :8060)
+
+import 'dotenv/config';
+import fs   from 'node:fs/promises';
+import path from 'node:path';
+
+// --name value pairs (and bare --flags)
+function parseFlags(args) {
+  const flags = {};
+  for (let i = 0; i < args.length; i++) {
+    const a = args[i];
+    if (!a.startsWith('--')) continue;
+    const next = args[i + 1];
+    if (next === undefined || next.startsWith('--')) flags[a.slice(2)] = true;
+    else { flags[a.slice(2)] = next; i++; }
+  }
+  return flags;
+}
+
+async function main() {
+  const flags = parseFlags(process.argv.slice(2));
+  const base = (process.env.PREDICTOR_URL || `http://localhost:${process.env.PORT || 8060}`).replace(/\/$/, '');
+
+  let to = flags.to ? new Date(flags.to) : new Date();
+  let from = flags.from ? new Date(flags.from) : new Date(+to - Number(flags.days || 7) * 86400000);
+  if (Number.isNaN(+from) || Number.isNaN(+to)) throw new Error('Invalid --from/--to');
+
+  const url = new URL('/backtest', base);
+  url.searchParams.set('from', from.toISOString());
+  url.searchParams.set('to', to.toISOString());
+  if (flags.step)         url.searchParams.set('stepHours', String(flags.step));
+  if (flags.horizon)      url.searchParams.set('horizonHours', String(flags.horizon));
+  if (flags['frost-temp']) url.searchParams.set('frostTempC', String(flags['frost-temp']));
+  if (flags.model)        url.searchParams.set('model', String(flags.model));
+  if (flags.points)       url.searchParams.set('points', 'true');
+  for (const d of String(flags.device || '').split(',').map(s => s.trim()).filter(Boolean)) {
+    url.searchParams.append('device', d);
+  }
+
+  const r = await fetch(url);
+  const text = await r.text();
+  if (!r.ok) throw new Error(`Predictor ${r.status}: ${text}`);
+  const result = JSON.parse(text);
+
+  const out = flags.out || `backtest-${from.toISOString().slice(0, 10)}_${to.toISOString().slice(0, 10)}.json`;
+  await fs.mkdir(path.dirname(path.resolve(out)), { recursive: true });
+  await fs.writeFile(out, JSON.stringify({ generatedAt: new Date().toISOString(), ...result }, null, 2));
+
+  const o = result.overall;
+  const f = v => (v == null ? '-' : v.toFixed(3));
+  console.log(`[backtest] ${result.model.name}@${result.model.version} n=${o.n} unscored=${o.unscored} positives=${o.positives} ` +
+    `precision=${f(o.precision)} recall=${f(o.recall)} brier=${f(o.brier)} → ${out}`);
+}
+
+main().catch((e) => {
+  console.error(e.message || e);
+  process.exit(1);
+});
@@ -0,0 +1,126 @@
+// Historical backtest
+// Slides the feature window across stored readings at a fixed step, scores every
+// step like a live forward prediction, and labels it with what actually happened:
+// frost = the observed minimum temperature in (t, t + horizon] is <= frostTempC.
+// Steps whose window the quality checks suppress are counted as unscored, as live.
+
+const HOUR_MS = 3600 * 1000;
+
+function emptyCounts() {
+  return { n: 0, positives: 0, tp: 0, fp: 0, tn: 0, fn: 0, brierSum: 0, unscored: 0 };
+}
+
+// Steps the model returned no probability for are counted apart, not scored as "no frost"
+function addOutcome(c, { prob, predicted, observed }) {
+  if (prob == null) {
+    c.unscored++;
+    return;
+  }
+  c.n++;
+  if (observed) c.positives++;
+  if (predicted && observed) c.tp++;
+  else if (predicted) c.fp++;
+  else if (observed) c.fn++;
+  else c.tn++;
+  const y = observed ? 1 : 0;
+  c.brierSum += (prob - y) ** 2;
+}
+
+/** Counts → { n, unscored, positives, confusion, precision, recall, brier } (null where undefined). */
+export function finalizeMetrics(c) {
+  return {
+    n: c.n,
+    unscored: c.unscored,
+    positives: c.positives,
+    confusion: { tp: c.tp, fp: c.fp, tn: c.tn, fn: c.fn },
+    precision: c.tp + c.fp ? c.tp / (c.tp + c.fp) : null,
+    recall: c.tp + c.fn ? c.tp / (c.tp + c.fn) : null,
+    brier: c.n ? c.brierSum / c.n : null,
+  };
+}
+
+/** Observed min temperature in (t, t + horizonMs], or null if the data doesn't cover the horizon. */
+export function observedMin(rows, startIdx, t, horizonMs) {
+  const end = t + horizonMs;
+  let min = null;
+  let lastSeen = null;
+  for (let i = startIdx; i < rows.length && rows[i].t <= end; i++) {
+    if (rows[i].t <= t) continue;
+    lastSeen = rows[i].t;
+    const v = rows[i].tC;
+    if (v != null && (min == null || v < min)) min = v;
+  }
+  // Require readings up to the last step of the horizon so partial nights aren't scored
+  if (lastSeen == null || end - lastSeen > Math.max(HOUR_MS, horizonMs / 4)) return null;
+  return min;
+}
+
+/** Run a backtest over per-sensor rows (Map sensor → ascending [{ t, tC, hPct }]).
+ * hooks: featurize(rows, refIso, { sensor, t }) → { vec, quality?, suppressed? } (vec null or
+ * suppressed: the step is not scored), predict(vecs) → raw scores,
+ * decide(raw) → { calibratedProbability, frost }.
+ * Returns { overall, sensors: [{ sensorName, ...metrics }], points? }.
+ */
+export async function runBacktest(bySensor, opts, hooks) {
+  const { fromMs, toMs, stepHours, horizonHours, lookbackHours, frostTempC, batchSize = 512, includePoints = false } = opts;
+  const stepMs = stepHours * HOUR_MS;
+  const horizonMs = horizonHours * HOUR_MS;
+  const lookbackMs = lookbackHours * HOUR_MS;
+
+  // 1) Windows + labels
+  const jobs = [];
+  for (const [sensor, rows] of bySensor) {
+    let lo = 0, hi = 0;
+    for (let t = fromMs + lookbackMs; t + horizonMs <= toMs; t += stepMs) {
+      while (hi < rows.length && rows[hi].t <= t) hi++;
+      while (lo < hi && rows[lo].t < t - lookbackMs) lo++;
+      if (hi - lo === 0) continue;
+      const min = observedMin(rows, hi, t, horizonMs);
+      if (min == null) continue;
+      const { vec, quality = null, suppressed = false } =
+        hooks.featurize(rows.slice(lo, hi), new Date(t + horizonMs).toISOString(), { sensor, t });
+      jobs.push({ sensor, t, vec: suppressed ? null : vec, quality, observedMinC: min, observed: min <= frostTempC });
+    }
+  }
+
+  // 2) Score in batches (steps without a vector keep prob null → unscored)
+  const scored = jobs.filter(j => j.vec);
+  for (const j of jobs) if (!j.vec) j.prob = j.predicted = null;
+  for (let i = 0; i < scored.length; i += batchSize) {
+    const chunk = scored.slice(i, i + batchSize);
+    const raw = await hooks.predict(chunk.map(j => j.vec));
+    chunk.forEach((j, k) => {
+      const d = hooks.decide(raw[k]);
+      j.prob = Number.isFinite(d.calibratedProbability) ? d.calibratedProbability : null;
+      j.predicted = j.prob == null ? null : d.frost;
+    });
+  }
+
+  // 3) Metrics
+  const overall = emptyCounts();
+  const per = new Map();
+  for (const j of jobs) {
+    addOutcome(overall, j);
+    if (!per.has(j.sensor)) per.set(j.sensor, emptyCounts());
+    addOutcome(per.get(j.sensor), j);
+  }
+
+  const out = {
+    overall: finalizeMetrics(overall),
+    sensors: [...per.entries()]
+      .sort(([a], [b]) => String(a).localeCompare(String(b)))
+      .map(([sensorName, c]) => ({ sensorName, ...finalizeMetrics(c) })),
+  };
+  if (includePoints) {
+    out.points = jobs.map(j => ({
+      sensorName: j.sensor,
+      time: new Date(j.t).toISOString(),
+      calibratedProbability: j.prob,
+      predicted: j.predicted,
+      observedMinC: j.observedMinC,
+      observed: j.observed,
+      ...(j.quality ? { quality: j.quality.status } : {}),
+    }));
+  }
+  return out;
+}
@@ -0,0 +1,161 @@
+// Prediction cache and incremental reading windows
+// - createPredictCache: TTL cache of /predict responses with in-flight coalescing
+//   (concurrent identical requests share one fetch + ONNX run).
+// - createWindowStore: keeps recent readings per sensor in memory and only asks
+//   APISec for readings newer than the last one seen.
+
+// ------------------------------------------------------------------
+// Response cache
+
+/** → { run(key, compute) → { value, cache: 'hit'|'miss'|'coalesced' }, stats() }.
+ * compute() → { status, body }; only status 200 results are kept. ttlMs <= 0 disables caching
+ * (identical in-flight requests are still coalesced).
+ */
+export function createPredictCache({ ttlMs, maxEntries = 500 }) {
+  const entries = new Map();  // key -> { at, value } (insertion order = age)
+  const inflight = new Map(); // key -> Promise<value>
+  const counts = { hits: 0, misses: 0, coalesced: 0 };
+
+  function fresh(key) {
+    const e = entries.get(key);
+    if (!e) return null;
+    if (Date.now() - e.at >= ttlMs) {
+      entries.delete(key);
+      return null;
+    }
+    return e;
+  }
+
+  async function run(key, compute) {
+    const hit = ttlMs > 0 ? fresh(key) : null;
+    if (hit) {
+      counts.hits++;
+      return { value: hit.value, cache: 'hit' };
+    }
+    if (inflight.has(key)) {
+      counts.coalesced++;
+      return { value: await inflight.get(key), cache: 'coalesced' };
+    }
+
+    counts.misses++;
+    const promise = compute();
+    inflight.set(key, promise);
+    try {
+      const value = await promise;
+      if (ttlMs > 0 && value.status === 200) {
+        entries.delete(key);
+        entries.set(key, { at: Date.now(), value });
+        while (entries.size > maxEntries) entries.delete(entries.keys().next().value);
+      }
+      return { value, cache: 'miss' };
+    } finally {
+      inflight.delete(key);
+    }
+  }
+
+  function stats() {
+    return { ttlMs, entries: entries.size, inflight: inflight.size, ...counts };
+  }
+
+  return { run, stats };
+}
+
+/** Start of the bucket containing ms (bucketMs <= 0 → ms unchanged). */
+export function bucketStart(ms, bucketMs) {
+  return bucketMs > 0 ? Math.floor(ms / bucketMs) * bucketMs : ms;
+}
+
+// ------------------------------------------------------------------
+// Incremental windows
+
+/** Per-scope (device/profile filter) reading store.
+ * hooks: fetch({ from, to, devices, profiles }) → docs, timeOf(doc) → ms, sensorOf(doc) → id.
+ * load() serves [fromMs, toMs] from memory after fetching only readings from overlapMs before
+ * the newest one seen onwards (deduplicated per sensor + time), so a reading that arrives late,
+ * e.g. after another sensor's newer one, is still picked up within the overlap. It falls back
+ * to a full fetch when the range starts before what is held or ends before the newest reading.
+ */
+export function createWindowStore({ retainHours, overlapMs = 30 * 60 * 1000, maxScopes = 50 }, hooks) {
+  // scopeKey -> { coveredFrom, lastSeen, bySensor: Map sensor -> docs[] (asc), times: Map sensor -> Set(ms) }
+  const scopes = new Map();
+  const counts = { incremental: 0, full: 0 };
+
+  function ingest(scope, docs) {
+    const touched = new Set();
+    for (const doc of docs) {
+      const t = hooks.timeOf(doc);
+      if (!Number.isFinite(t) || t < scope.coveredFrom) continue;
+      const sensor = hooks.sensorOf(doc);
+      const times = scope.times.get(sensor) || scope.times.set(sensor, new Set()).get(sensor);
+      if (times.has(t)) continue;
+      times.add(t);
+      (scope.bySensor.get(sensor) || scope.bySensor.set(sensor, []).get(sensor)).push(doc);
+      touched.add(sensor);
+    }
+    for (const sensor of touched) {
+      const arr = scope.bySensor.get(sensor);
+      arr.sort((a, b) => hooks.timeOf(a) - hooks.timeOf(b));
+      scope.lastSeen = Math.max(scope.lastSeen, hooks.timeOf(arr[arr.length - 1]));
+    }
+  }
+
+  function trim(scope) {
+    const keepFrom = scope.lastSeen - retainHours * 3600 * 1000;
+    for (const [sensor, arr] of scope.bySensor) {
+      const times = scope.times.get(sensor);
+      let i = 0;
+      while (i < arr.length && hooks.timeOf(arr[i]) < keepFrom) times.delete(hooks.timeOf(arr[i++]));
+      if (i === arr.length) {
+        scope.bySensor.delete(sensor);
+        scope.times.delete(sensor);
+      } else if (i) arr.splice(0, i);
+    }
+    scope.coveredFrom = Math.max(scope.coveredFrom, keepFrom);
+  }
+
+  async function load({ fromMs, toMs, devices = [], profiles = [] }) {
+    const key = JSON.stringify([[...devices].sort(), [...profiles].sort()]);
+    let scope = scopes.get(key);
+    const reusable = scope && fromMs >= scope.coveredFrom && toMs >= scope.lastSeen;
+
+    if (reusable) {
+      counts.incremental++;
+      const docs = await hooks.fetch({
+        from: new Date(Math.max(scope.coveredFrom, scope.lastSeen - overlapMs)).toISOString(),
+        to: new Date(toMs).toISOString(),
+        devices,
+        profiles,
+      });
+      ingest(scope, docs);
+    } else {
+      counts.full++;
+      const docs = await hooks.fetch({ from: new Date(fromMs).toISOString(), to: new Date(toMs).toISOString(), devices, profiles });
+      scope = { coveredFrom: fromMs, lastSeen: fromMs - 1, bySensor: new Map(), times: new Map() };
+      ingest(scope, docs);
+      scopes.delete(key);
+      scopes.set(key, scope);
+      while (scopes.size > maxScopes) scopes.delete(scopes.keys().next().value);
+    }
+    trim(scope);
+
+    const out = [];
+    for (const arr of scope.bySensor.values()) {
+      for (const doc of arr) {
+        const t = hooks.timeOf(doc);
+        if (t >= fromMs && t <= toMs) out.push(doc);
+      }
+    }
+    return out;
+  }
+
+  function stats() {
+    let sensors = 0, readings = 0;
+    for (const s of scopes.values()) {
+      sensors += s.bySensor.size;
+      for (const arr of s.bySensor.values()) readings += arr.length;
+    }
+    return { retainHours, scopes: scopes.size, sensors, readings, ...counts };
+  }
+
+  return { load, stats };
+}
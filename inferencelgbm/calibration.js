@@ -0,0 +1,38 @@
+// Probability calibration and decision threshold
+// calibrator.json: isotonic regression breakpoints { x: [...], y: [...] } (raw LightGBM
+// score → calibrated probability, clipped outside the fitted range).
+// threshold.json:  { prob_threshold, target_precision } on the *calibrated* probability.
+
+/** → (raw) => calibrated. Throws if the breakpoints are malformed. */
+export function createCalibrator(json) {
+  const x = (json?.x || []).map(Number);
+  const y = (json?.y || []).map(Number);
+  if (!x.length || x.length !== y.length || x.some(v => !Number.isFinite(v)) || y.some(v => !Number.isFinite(v))) {
+    throw new Error('Calibrator needs equal-length numeric x/y arrays');
+  }
+  for (let i = 1; i < x.length; i++) {
+    if (x[i] < x[i - 1]) throw new Error('Calibrator x breakpoints must be ascending');
+  }
+
+  return function calibrate(raw) {
+    if (raw == null || !Number.isFinite(raw)) return null;
+    if (raw <= x[0]) return y[0];
+    if (raw >= x[x.length - 1]) return y[y.length - 1];
+    // Last breakpoint <= raw, then linear interpolation (same as np.interp)
+    let lo = 0, hi = x.length - 1;
+    while (hi - lo > 1) {
+      const mid = (lo + hi) >> 1;
+      if (x[mid] <= raw) lo = mid; else hi = mid;
+    }
+    const span = x[hi] - x[lo];
+    return span > 0 ? y[lo] + ((raw - x[lo]) / span) * (y[hi] - y[lo]) : y[hi];
+  };
+}
+
+/** → { probThreshold, targetPrecision }. Throws if prob_threshold is missing or out of [0, 1]. */
+export function parseThreshold(json) {
+  const probThreshold = Number(json?.prob_threshold);
+  if (!(probThreshold >= 0 && probThreshold <= 1)) throw new Error('threshold.json needs prob_threshold in [0, 1]');
+  const tp = Number(json?.target_precision);
+  return { probThreshold, targetPrecision: Number.isFinite(tp) ? tp : null };
+}
@@ -0,0 +1,62 @@
+// mode=curve helpers
+// A curve scores each sensor's window at every step up to maxHorizon hours ahead;
+// the per-sensor summary gives the peak probability and the first step over the threshold.
+
+export function curveHorizons({ stepHours, maxHorizon }) {
+  const out = [];
+  for (let k = 1; k * stepHours <= maxHorizon + 1e-9; k++) out.push(Math.round(k * stepHours * 1000) / 1000);
+  return out;
+}
+
+// Validate mode=curve params against the configured limits → { curve } or { error }
+export function parseCurveParams(q, { maxHorizonH, maxSteps }) {
+  const stepHours  = Number(q.stepHours ?? 1);
+  const maxHorizon = Number(q.maxHorizon ?? 12);
+  if (!(stepHours > 0) || !(maxHorizon >= stepHours)) {
+    return { error: 'stepHours must be > 0 and maxHorizon >= stepHours' };
+  }
+  if (maxHorizon > maxHorizonH) return { error: `maxHorizon must be <= ${maxHorizonH}` };
+  if (maxHorizon / stepHours > maxSteps) return { error: `At most ${maxSteps} steps per curve` };
+  return { curve: { stepHours, maxHorizon } };
+}
+
+// Per-sensor curves with summary fields from scored curve points (in step order)
+export function summarizeCurves(points) {
+  const bySensor = new Map();
+  for (const p of points) {
+    let c = bySensor.get(p.sensorName);
+    if (!c) {
+      c = {
+        sensorName: p.sensorName,
+        baseTime: p.baseTime,
+        peakProbability: null,
+        peakTime: null,
+        firstCrossingTime: null,
+        frost: p.quality?.suppressed ? null : false,
+        imputed: p.imputed,
+        quality: p.quality,
+        points: [],
+      };
+      bySensor.set(p.sensorName, c);
+    }
+    const prob = p.calibratedProbability;
+    if (prob != null && (c.peakProbability == null || prob > c.peakProbability)) {
+      c.peakProbability = prob;
+      c.peakTime = p.time;
+    }
+    if (p.frost && !c.firstCrossingTime) {
+      c.firstCrossingTime = p.time;
+      c.frost = true;
+    }
+    c.points.push({
+      time: p.time,
+      horizonHours: p.horizonHours,
+      rawScore: p.rawScore,
+      calibratedProbability: prob,
+      frost: p.frost,
+      ...(p.weather !== undefined ? { weather: p.weather } : {}),
+      ...(p.explanation ? { explanation: p.explanation } : {}),
+    });
+  }
+  return [...bySensor.values()];
+}
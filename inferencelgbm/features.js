@@ -0,0 +1,242 @@
+// Feature registry for the frost model
+// Every name in the model's feature manifest (features.json or the scaler's
+// feature_names) must resolve to an entry here; unknown names fail at boot
+// instead of being silently zero-filled.
+//
+// A window is an ascending array of rows { t (ms), tC, hPct }. refMs stamps the
+// calendar/clock features (the forecast target time in forward mode). An optional
+// hourly weather forecast (weather.js rows) feeds the fc_* covariates.
+
+const HOUR_MS = 3600 * 1000;
+
+// ------------------------------------------------------------------
+// Per-row series (aliases cover both the training names and the older
+// sensor-style names so existing features.json files keep working)
+const SERIES = {
+  temperature_2m:       r => r.tC,
+  temperature:          r => r.tC,
+  temp:                 r => r.tC,
+  relative_humidity_2m: r => r.hPct,
+  humidity:             r => r.hPct,
+  hum:                  r => r.hPct,
+  dewpoint_c:           r => r.dp,
+  dewpoint:             r => r.dp,
+  td_spread:            r => r.td,
+};
+
+export function dewpointC(tC, rhPct) {
+  if (tC == null || rhPct == null) return null;
+  const a = 17.62, b = 243.12;
+  const gamma = (a * tC) / (b + tC) + Math.log(Math.max(1e-6, rhPct / 100));
+  return (b * gamma) / (a - gamma);
+}
+
+const finite = v => (v == null || !Number.isFinite(v) ? null : v);
+
+// Rows within the last `h` hours of the window (inclusive)
+function sliceHours(ctx, h) {
+  const key = `w${h}`;
+  if (!ctx.cache[key]) {
+    const { rows } = ctx;
+    const cutoff = ctx.last.t - h * HOUR_MS;
+    let i = rows.length - 1;
+    while (i >= 0 && rows[i].t >= cutoff) i--;
+    ctx.cache[key] = rows.slice(i + 1);
+  }
+  return ctx.cache[key];
+}
+
+function windowStat(ctx, get, stat, h) {
+  return rowStat(sliceHours(ctx, h), get, stat);
+}
+
+function rowStat(rows, get, stat) {
+  let sum = 0, cnt = 0, min = Infinity, max = -Infinity;
+  for (const r of rows) {
+    const v = finite(get(r));
+    if (v == null) continue;
+    sum += v; cnt++;
+    if (v < min) min = v;
+    if (v > max) max = v;
+  }
+  if (!cnt) return null;
+  return stat === 'mean' ? sum / cnt : stat === 'min' ? min : max;
+}
+
+// Value of the latest row at least `h` hours before the last one
+function lagValue(ctx, get, h) {
+  const target = ctx.last.t - h * HOUR_MS;
+  for (let i = ctx.rows.length - 1; i >= 0; i--) {
+    if (ctx.rows[i].t <= target) return finite(get(ctx.rows[i]));
+  }
+  return null;
+}
+
+// Forecast rows in (last reading, last reading + h hours]
+function forecastStat(ctx, v, stat, h) {
+  if (!ctx.forecast) return null;
+  const from = ctx.last.t, to = from + h * HOUR_MS;
+  return rowStat(ctx.forecast.filter(r => r.t > from && r.t <= to), r => r[v], stat);
+}
+
+// Forecast value for the hour containing refMs
+function forecastAt(ctx, v) {
+  if (!ctx.forecast) return null;
+  const hour = Math.floor(ctx.ref.getTime() / HOUR_MS) * HOUR_MS;
+  const row = ctx.forecast.find(r => r.t === hour);
+  return row ? finite(row[v]) : null;
+}
+
+const FORECAST_VARS = new Set(['temperature_2m', 'relative_humidity_2m', 'cloud_cover', 'wind_speed_10m']);
+
+function dayOfYear(d) {
+  return (Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate()) - Date.UTC(d.getUTCFullYear(), 0, 0)) / 86400000;
+}
+
+// ------------------------------------------------------------------
+// Registry: exact names first, then parameterised families.
+// Each entry yields { lookbackH, fn(ctx) → number | null, neutral? }; `neutral` is the
+// feature's average over its cycle, where that is known without training data.
+const EXACT = {
+  doy_sin:  { lookbackH: 0, neutral: 0, fn: ctx => Math.sin((2 * Math.PI * dayOfYear(ctx.ref)) / 365.25) },
+  doy_cos:  { lookbackH: 0, neutral: 0, fn: ctx => Math.cos((2 * Math.PI * dayOfYear(ctx.ref)) / 365.25) },
+  hour_sin: { lookbackH: 0, neutral: 0, fn: ctx => Math.sin((2 * Math.PI * ctx.ref.getUTCHours()) / 24) },
+  hour_cos: { lookbackH: 0, neutral: 0, fn: ctx => Math.cos((2 * Math.PI * ctx.ref.getUTCHours()) / 24) },
+};
+
+const FAMILIES = [
+  // fc_<var>_(mean|min|max)_<N>h: forecast stats over the N hours after the last reading
+  {
+    re: /^fc_([a-z0-9_]+?)_(mean|min|max)_(\d+)h$/,
+    build: ([, v, stat, h]) => FORECAST_VARS.has(v) && { lookbackH: 0, forecast: true, fn: ctx => forecastStat(ctx, v, stat, +h) },
+  },
+  // fc_<var>: forecast value at the reference (target) hour
+  {
+    re: /^fc_([a-z0-9_]+)$/,
+    build: ([, v]) => FORECAST_VARS.has(v) && { lookbackH: 0, forecast: true, fn: ctx => forecastAt(ctx, v) },
+  },
+  // <series>_(mean|min|max)_<N>h, e.g. td_spread_mean_3h
+  {
+    re: /^([a-z0-9_]+?)_(mean|min|max)_(\d+)h$/,
+    build: ([, s, stat, h]) => SERIES[s] && { lookbackH: +h, fn: ctx => windowStat(ctx, SERIES[s], stat, +h) },
+  },
+  // <series>_lag_<N>h
+  {
+    re: /^([a-z0-9_]+?)_lag_(\d+)h$/,
+    build: ([, s, h]) => SERIES[s] && { lookbackH: +h, fn: ctx => lagValue(ctx, SERIES[s], +h) },
+  },
+  // temp_drop_<N>h: temperature N hours earlier minus now (positive = cooling)
+  {
+    re: /^temp_drop_(\d+)h$/,
+    build: ([, h]) => ({
+      lookbackH: +h,
+      fn: ctx => {
+        const then = lagValue(ctx, SERIES.temperature, +h);
+        const now = finite(ctx.last.tC);
+        return then == null || now == null ? null : then - now;
+      },
+    }),
+  },
+  // hr_bin_<k>: one-hot of the 6-hour UTC block
+  {
+    re: /^hr_bin_([0-3])$/,
+    build: ([, k]) => ({ lookbackH: 0, neutral: 0.25, fn: ctx => (Math.floor(ctx.ref.getUTCHours() / 6) === +k ? 1 : 0) }),
+  },
+  // Current value of a series
+  {
+    re: /^([a-z0-9_]+)$/,
+    build: ([, s]) => SERIES[s] && { lookbackH: 0, fn: ctx => finite(SERIES[s](ctx.last)) },
+  },
+];
+
+function resolve(name) {
+  if (EXACT[name]) return EXACT[name];
+  for (const { re, build } of FAMILIES) {
+    const m = re.exec(name);
+    const def = m && build(m);
+    if (def) return def;
+  }
+  return null;
+}
+
+/** Compile a feature manifest (ordered names). Throws on names the registry can't compute.
+ * Returns { names, lookbackH, usesForecast, neutral: (number | null)[], compute(rows, refMs, forecast?) → (number | null)[] }.
+ * fc_* features are null (imputed) when no forecast is passed.
+ */
+export function compileFeatures(names) {
+  if (!Array.isArray(names) || !names.length) throw new Error('Feature manifest is empty');
+  const defs = names.map(n => [n, resolve(String(n))]);
+  const unknown = defs.filter(([, d]) => !d).map(([n]) => n);
+  if (unknown.length) throw new Error(`Unknown feature name(s) in manifest: ${unknown.join(', ')}`);
+
+  return {
+    names: names.slice(),
+    lookbackH: Math.max(0, ...defs.map(([, d]) => d.lookbackH)),
+    usesForecast: defs.some(([, d]) => d.forecast),
+    neutral: defs.map(([, d]) => d.neutral ?? null),
+    compute(rows, refMs, forecast = null) {
+      if (!rows.length) return names.map(() => null);
+      const prepared = rows.map(r => {
+        const dp = r.tC != null && r.hPct != null ? dewpointC(r.tC, r.hPct) : null;
+        return { ...r, dp, td: dp != null ? r.tC - dp : null };
+      });
+      const ctx = { rows: prepared, last: prepared[prepared.length - 1], ref: new Date(refMs), forecast, cache: {} };
+      return defs.map(([, d]) => finite(d.fn(ctx)));
+    },
+  };
+}
+
+// ------------------------------------------------------------------
+// Scaler (z-score by feature name)
+// Accepts { feature_names, scale_idx, mean, scale } where mean/scale line up with
+// scale_idx (indices into feature_names), or full-length mean/scale without scale_idx.
+
+/** → { stats: ({mean, scale} | null)[] aligned with `names`, scaledCount }. Throws on a mismatched manifest. */
+export function createScaler(json, names) {
+  const mean = (json?.mean || []).map(Number);
+  const scale = (json?.scale || []).map(x => (x ? Number(x) : 1));
+  const scalerNames = Array.isArray(json?.feature_names) ? json.feature_names : names;
+  if (json?.feature_names && scalerNames.join(',') !== names.join(',')) {
+    throw new Error('Scaler feature_names do not match the feature manifest order');
+  }
+  const idx = Array.isArray(json?.scale_idx) ? json.scale_idx.map(Number) : scalerNames.map((_, i) => i);
+  if (idx.length !== mean.length || idx.length !== scale.length) {
+    throw new Error(`Scaler has ${mean.length} means / ${scale.length} scales for ${idx.length} scaled features`);
+  }
+  const stats = names.map(() => null);
+  idx.forEach((i, k) => {
+    if (!(i >= 0 && i < names.length)) throw new Error(`Scaler index ${i} out of range`);
+    stats[i] = { mean: mean[k], scale: scale[k] || 1 };
+  });
+  return { stats, scaledCount: idx.length };
+}
+
+/** Occlusion reference per feature, in model-input space (null where unknown):
+ * the manifest's `reference` value when it has one (raw units), else the training mean for
+ * scaled features (0 after scaling), else the feature's cycle average (calendar features).
+ */
+export function referenceVector(features, scaler, manifestRef = null) {
+  return features.names.map((n, i) => {
+    const st = scaler?.stats[i] || null;
+    const ref = Number(manifestRef?.[n]);
+    if (manifestRef?.[n] != null && Number.isFinite(ref)) return st ? (ref - st.mean) / st.scale : ref;
+    if (st) return 0;
+    return features.neutral[i];
+  });
+}
+
+/** Impute + scale raw values → { vec, imputed: names[], raw } (raw = pre-scaler values, null if missing).
+ * Missing values take the training mean where the scaler has one (i.e. 0 after scaling), else 0.
+ */
+export function vectorize(values, names, scaler) {
+  const imputed = [];
+  const vec = values.map((v, i) => {
+    const st = scaler?.stats[i] || null;
+    if (v == null) {
+      imputed.push(names[i]);
+      return 0;
+    }
+    return st ? (v - st.mean) / st.scale : v;
+  });
+  return { vec, imputed, raw: values };
+}
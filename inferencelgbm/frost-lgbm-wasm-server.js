@@ -4,11 +4,18 @@
 import 'dotenv/config';
 import express from 'express';
 import morgan  from 'morgan';
-import fs      from 'node:fs/promises';
+import crypto  from 'node:crypto';
 import path    from 'node:path';
 import { fileURLToPath, pathToFileURL } from 'node:url';
 import { fetch as undiciFetch } from 'undici';
 import * as ort from 'onnxruntime-web';
+import { vectorize } from './features.js';
+import { createModelRegistry, runModel, explainModel } from './models.js';
+import { runBacktest } from './backtest.js';
+import { qualityConfigFromEnv, cleanWindow, assessWindow, isSuppressed, checkWindow } from './quality.js';
+import { weatherConfigFromEnv, createWeatherService, summarizeForecast, blendProbability } from './weather.js';
+import { createPredictCache, createWindowStore, bucketStart } from './cache.js';
+import { curveHorizons, parseCurveParams, summarizeCurves } from './curve.js';
 
 // ------------------------------------------------------------------
 // WASM runtime wiring: use absolute file:// URL so ORT doesn't do dist/dist
@@ -30,6 +37,7 @@ const CFG = Object.freeze({
   API_BASE: (process.env.API_BASE || 'http://localhost:3000').replace(/\/$/, ''),
   API_KEY:  process.env.API_KEY || '',
   SERIES_PATH: process.env.SERIES_PATH || '/sensors/timeseries',
+  SERIES_PAGE_SIZE: Number(process.env.SERIES_PAGE_SIZE || 5000),   // 0 = single request
 
   SENSOR_FIELD: process.env.SENSOR_FIELD || 'sensorId',
   TIME_FIELD:   process.env.TIME_FIELD   || 'time',
@@ -37,82 +45,101 @@ const CFG = Object.freeze({
   ONNX_MODEL: process.env.ONNX_MODEL || path.join(__dirname, 'frost_lgbm.onnx'),
   FEATURES_JSON: process.env.FEATURES_JSON || path.join(__dirname, 'features.json'),
   SCALER_JSON:   process.env.SCALER_JSON   || path.join(__dirname, 'scaler_light.json'),
+  CALIBRATOR_JSON: process.env.CALIBRATOR_JSON || path.join(__dirname, 'calibrator.json'),
+  THRESHOLD_JSON:  process.env.THRESHOLD_JSON  || path.join(__dirname, 'threshold.json'),
+
+  // Versioned model bundles (see models.js); falls back to the single model above
+  MODELS_DIR:    process.env.MODELS_DIR    || path.join(__dirname, 'models'),
+  DEFAULT_MODEL: process.env.DEFAULT_MODEL || '',
+  ADMIN_TOKEN:   process.env.ADMIN_TOKEN   || '',   // required for POST /models/reload
 
   FORWARD_WINDOW_H: Number(process.env.FORWARD_WINDOW_H || 8),
   DEFAULT_FWD_HORIZON_H: Number(process.env.DEFAULT_FWD_HORIZON_H || 8),
+  CURVE_MAX_HORIZON_H: Number(process.env.CURVE_MAX_HORIZON_H || 48),   // mode=curve limit
+  CURVE_MAX_STEPS: Number(process.env.CURVE_MAX_STEPS || 96),
+  EXPLAIN_MAX_POINTS: Number(process.env.EXPLAIN_MAX_POINTS || 200),   // explain=true limit per request
+
+  // GET /predict response cache (0 = off; identical in-flight requests are always coalesced)
+  PREDICT_CACHE_TTL_MS: Number(process.env.PREDICT_CACHE_TTL_MS ?? 60000),
+  PREDICT_CACHE_BUCKET_S: Number(process.env.PREDICT_CACHE_BUCKET_S ?? 60),   // from/to rounded down to this
+  PREDICT_CACHE_MAX: Number(process.env.PREDICT_CACHE_MAX || 500),
+  PREDICT_INCREMENTAL: /^true$/i.test(process.env.PREDICT_INCREMENTAL || 'false'),   // keep windows in memory
+  PREDICT_INCREMENTAL_RETAIN_H: Number(process.env.PREDICT_INCREMENTAL_RETAIN_H || 48),
+  PREDICT_INCREMENTAL_OVERLAP_MIN: Number(process.env.PREDICT_INCREMENTAL_OVERLAP_MIN ?? 30),   // late-reading margin
+
+  BODY_LIMIT: process.env.BODY_LIMIT || '5mb',                       // POST /predict
+  POST_MAX_READINGS: Number(process.env.POST_MAX_READINGS || 200000),
+
+  QC: qualityConfigFromEnv(),   // input-window quality gating (quality.js, QC_* env)
+  WEATHER: weatherConfigFromEnv(),   // forecast covariates (weather.js, WEATHER_* env)
+
+  BACKTEST_MAX_DAYS: Number(process.env.BACKTEST_MAX_DAYS || 92),
+  FROST_TEMP_C: Number(process.env.FROST_TEMP_C || 0),   // observed min <= this => frost happened
 });
 
 // ------------------------------------------------------------------
-// Default 36 features (used if features.json absent)
+// Training feature order (used if neither features.json nor the scaler names one)
 const DEFAULT_FEATURES_36 = [
-  'temperature', 'humidity', 'dewpoint', 'td_spread',
-  'temp_mean_3h', 'temp_min_3h', 'temp_max_3h',
-  'hum_mean_3h',  'hum_min_3h',  'hum_max_3h',
-  'temp_mean_6h', 'temp_min_6h', 'temp_max_6h',
-  'hum_mean_6h',  'hum_min_6h',  'hum_max_6h',
-  'temp_mean_12h','temp_min_12h','temp_max_12h',
-  'hum_mean_12h', 'hum_min_12h', 'hum_max_12h',
-  'temp_lag_1h','temp_lag_3h','temp_lag_6h',
-  'hum_lag_1h','hum_lag_3h','hum_lag_6h',
-  'hr_bin_0', 'hr_bin_1', 'hr_bin_2', 'hr_bin_3'
+  'temperature_2m', 'relative_humidity_2m', 'dewpoint_c', 'td_spread',
+  'temperature_2m_mean_3h',  'temperature_2m_min_3h',  'temperature_2m_max_3h',
+  'temperature_2m_mean_6h',  'temperature_2m_min_6h',  'temperature_2m_max_6h',
+  'temperature_2m_mean_12h', 'temperature_2m_min_12h', 'temperature_2m_max_12h',
+  'relative_humidity_2m_mean_3h',  'relative_humidity_2m_min_3h',  'relative_humidity_2m_max_3h',
+  'relative_humidity_2m_mean_6h',  'relative_humidity_2m_min_6h',  'relative_humidity_2m_max_6h',
+  'relative_humidity_2m_mean_12h', 'relative_humidity_2m_min_12h', 'relative_humidity_2m_max_12h',
+  'td_spread_mean_3h',  'td_spread_min_3h',  'td_spread_max_3h',
+  'td_spread_mean_6h',  'td_spread_min_6h',  'td_spread_max_6h',
+  'td_spread_mean_12h', 'td_spread_min_12h', 'td_spread_max_12h',
+  'temp_drop_1h', 'doy_sin', 'doy_cos', 'hour_sin', 'hour_cos'
 ];
 
-let session = null;
-let FEATURE_NAMES = DEFAULT_FEATURES_36.slice();
-let SCALER = null;
+const MODELS = createModelRegistry(ort, {
+  dir: CFG.MODELS_DIR,
+  defaultName: CFG.DEFAULT_MODEL,
+  legacy: {
+    defaultFeatures: DEFAULT_FEATURES_36,
+    files: {
+      onnx:       CFG.ONNX_MODEL,
+      features:   CFG.FEATURES_JSON,
+      scaler:     CFG.SCALER_JSON,
+      calibrator: CFG.CALIBRATOR_JSON,
+      threshold:  CFG.THRESHOLD_JSON,
+    },
+  },
+});
+
+const WEATHER = createWeatherService(CFG.WEATHER);
 
 // ------------------------------------------------------------------
-// Boot: load features.json (optional), scaler (optional), ONNX
+// Boot: load every bundle; an invalid manifest or shape mismatch aborts the boot
 async function boot() {
-  try {
-    const fraw = await fs.readFile(CFG.FEATURES_JSON, 'utf8');
-    const j = JSON.parse(fraw);
-    if (Array.isArray(j.feature_names) && j.feature_names.length === 36) {
-      FEATURE_NAMES = j.feature_names.slice();
-      console.log('[boot] Using feature order from features.json');
-    } else {
-      console.log('[boot] features.json present but not 36 names; using defaults.');
+  const { loaded, errors } = await MODELS.load();
+  if (errors.length) throw new Error(`Model bundle(s) failed validation: ${errors.map(e => `${e.name}@${e.version}: ${e.error}`).join('; ')}`);
+  for (const m of loaded) {
+    console.log(`[boot] ${m.name}@${m.version}: ${m.featureCount} features, lookback ${m.lookbackHours}h, ` +
+      `${m.scaledFeatures} scaled, calibrated=${m.calibrated}, threshold ${m.threshold.probThreshold}`);
+    console.log('  inputs :', m.inputs);
+    console.log('  outputs:', m.outputs);
+    if (m.usesForecast && !WEATHER.enabled) {
+      console.warn(`[boot] ${m.name}@${m.version} uses fc_* features but WEATHER_PROVIDER=none; they will be imputed`);
     }
-  } catch {
-    console.log('[boot] features.json not found; using default 36 features.');
   }
-
-  try {
-    const sraw = await fs.readFile(CFG.SCALER_JSON, 'utf8');
-    const s = JSON.parse(sraw);
-    if (Array.isArray(s.mean) && Array.isArray(s.scale)) {
-      SCALER = { mean: s.mean.map(Number), scale: s.scale.map(x => (x ? Number(x) : 1)) };
-      console.log('[boot] Loaded scaler stats');
-    }
-  } catch {
-    console.log('[boot] scaler_light.json not found; using raw inputs (no scaling).');
+  console.log(`[boot] weather provider: ${WEATHER.provider}`);
+  const blend = CFG.WEATHER.blendModel;
+  if (blend) {
+    const m = loaded.find(b => b.name === blend);
+    if (!m) console.warn(`[boot] WEATHER_BLEND_MODEL '${blend}' is not a loaded bundle; no forecast blending`);
+    else if (!m.usesForecast) console.warn(`[boot] WEATHER_BLEND_MODEL '${blend}' has no fc_* features`);
+    else console.log(`[boot] forecast blend: ${m.name}@${m.version}, weight ${CFG.WEATHER.blendWeight}`);
   }
-
-  const bytes = new Uint8Array(await fs.readFile(CFG.ONNX_MODEL));
-  session = await ort.InferenceSession.create(bytes, { executionProviders: ['wasm'] });
-  console.log('[onnx] loaded OK');
-  console.log('  inputs :', session.inputNames);
-  console.log('  outputs:', session.outputNames);
 }
 await boot();
 
 // ------------------------------------------------------------------
 // Helpers
 const toNum = v => (v == null || !isFinite(Number(v)) ? null : Number(v));
-
-function dewpointC(tC, rhPct) {
-  if (tC == null || rhPct == null) return null;
-  const a = 17.62, b = 243.12;
-  const gamma = (a * tC) / (b + tC) + Math.log(Math.max(1e-6, rhPct / 100));
-  return (b * gamma) / (a - gamma);
-}
-
-function hourBin4(dateIso) {
-  const d = new Date(dateIso);
-  const h = d.getUTCHours();
-  const bin = Math.floor(h / 6); // 0..3
-  return [0,1,2,3].map(i => (i === bin ? 1 : 0));
-}
+// Repeatable query param (?device=a&device=b) -> string[]
+const queryList = v => (Array.isArray(v) ? v : v == null ? [] : [v]).map(x => String(x).trim()).filter(Boolean);
 
 function normKey(s) { return String(s || '').toLowerCase().replace(/[^a-z0-9]/g, ''); }
 function getCI(obj, key) {
@@ -153,180 +180,132 @@ function extractTempHum(doc) {
   return { t, h };
 }
 
-function toNumberArray(typed) {
-  const n = typed.length;
-  const out = new Array(n);
-  for (let i=0;i<n;i++) {
-    const v = typed[i];
-    out[i] = (typeof v === 'bigint') ? Number(v) : Number(v);
-  }
-  return out;
-}
-
-function extractProbs(runOutput) {
-  const names = session.outputNames;
-  let probName =
-    names.find(n => /prob/i.test(n)) ||
-    names.find(n => {
-      const o = runOutput[n];
-      return o && Array.isArray(o.dims) && o.dims.length === 2;
-    }) ||
-    names[0];
-
-  const out  = runOutput[probName] || runOutput[names[0]];
-  const dims = out.dims || [];
-  const data = toNumberArray(out.data);
-
-  if (dims.length === 2) {
-    const N = dims[0] || 0, C = dims[1] || 0;
-    if (C === 2) {
-      const probs = new Array(N);
-      for (let i=0;i<N;i++) probs[i] = data[i*2 + 1]; // P(class=1)
-      return probs;
-    }
-    if (C === 1) return data.slice(0, N);
-    // Multiclass → max prob (rare for binary LGBM)
-    const probs = new Array(N);
-    for (let i=0;i<N;i++) {
-      let best = -Infinity;
-      for (let j=0;j<C;j++) best = Math.max(best, data[i*C + j]);
-      probs[i] = best;
-    }
-    return probs;
-  }
-
-  if (dims.length === 1) {
-    const N = dims[0] || data.length;
-    return data.slice(0, N);
-  }
-  return data;
+// Shared decision rule: calibrated probability >= model.threshold.probThreshold => frost
+function decide(model, raw) {
+  const rawScore = raw != null && Number.isFinite(Number(raw)) ? Number(raw) : null;
+  const calibratedProbability = rawScore == null ? null : model.calibrate ? model.calibrate(rawScore) : rawScore;
+  const frost = calibratedProbability != null && calibratedProbability >= model.threshold.probThreshold;
+  return { rawScore, calibratedProbability, frost };
 }
 
-function applyScaler(vec) {
-  if (!SCALER) return vec;
-  const { mean, scale } = SCALER;
-  if (mean.length !== vec.length || scale.length !== vec.length) return vec;
-  return vec.map((v, i) => (v - mean[i]) / (scale[i] || 1));
+function decisionRule(model) {
+  return {
+    probThreshold: model.threshold.probThreshold,
+    targetPrecision: model.threshold.targetPrecision,
+    appliesTo: model.calibrate ? 'calibratedProbability' : 'rawScore',
+  };
 }
 
 // ------------------------------------------------------------------
-// Fetch timeseries from your API
-async function fetchTimeSeries({ from, to }) {
+// Fetch timeseries from your API (devices/profiles narrow it to some sensors).
+// Follows nextCursor pages when SERIES_PAGE_SIZE > 0.
+async function fetchTimeSeries({ from, to, devices = [], profiles = [] }) {
   const url = new URL(CFG.SERIES_PATH, CFG.API_BASE);
   if (from) url.searchParams.set('from', from);
   if (to)   url.searchParams.set('to',   to);
   url.searchParams.set('sensorField', CFG.SENSOR_FIELD);
   url.searchParams.set('timeField',   CFG.TIME_FIELD);
-
-  const r = await fetch(url, { headers: { 'x-api-key': CFG.API_KEY } });
-  const txt = await r.text();
-  if (!r.ok) throw new Error(`API ${r.status}: ${txt}`);
-  const j = JSON.parse(txt);
-  // Accept {points}, {items}, or bare array
-  return Array.isArray(j) ? j : (j.points || j.items || []);
-}
-
-// ------------------------------------------------------------------
-// Build 36-dim vector from a window (sorted asc), refIso stamps the time
-function buildFeatureVectorFromWindow(rows, refIso) {
-  const n = rows.length;
-  const last = rows[n - 1];
-
-  const tempNow = last?.tC ?? null;
-  const humNow  = last?.hPct ?? null;
-  const dpNow   = (tempNow != null && humNow != null) ? dewpointC(tempNow, humNow) : null;
-  const tdSpread = (tempNow != null && dpNow != null) ? (tempNow - dpNow) : null;
-
-  function sliceHours(h) {
-    if (!n) return [];
-    const cutoff = last.t - h*3600*1000;
-    let i = n - 1;
-    while (i >= 0 && rows[i].t >= cutoff) i--;
-    return rows.slice(i + 1);
+  for (const d of devices)  url.searchParams.append('device', d);
+  for (const p of profiles) url.searchParams.append('profile', p);
+  if (CFG.SERIES_PAGE_SIZE > 0) url.searchParams.set('pageSize', String(CFG.SERIES_PAGE_SIZE));
+
+  const all = [];
+  for (;;) {
+    const r = await fetch(url, { headers: { 'x-api-key': CFG.API_KEY } });
+    const txt = await r.text();
+    if (!r.ok) throw new Error(`API ${r.status}: ${txt}`);
+    const j = JSON.parse(txt);
+    // Accept {points}, {items}, or bare array
+    const page = Array.isArray(j) ? j : (j.points || j.items || []);
+    for (const doc of page) all.push(doc);
+    if (!j.nextCursor) return all;
+    url.searchParams.set('cursor', j.nextCursor);
   }
-  function stats(arr, key) {
-    if (!arr.length) return { mean:null,min:null,max:null };
-    let sum=0,cnt=0,min=Infinity,max=-Infinity;
-    for (const r of arr) {
-      const v = r[key];
-      if (v == null || !isFinite(v)) continue;
-      sum += v; cnt++;
-      if (v < min) min = v;
-      if (v > max) max = v;
-    }
-    if (!cnt) return { mean:null,min:null,max:null };
-    return { mean: sum/cnt, min, max };
-  }
-  function lag(hours, key) {
-    if (!n) return null;
-    const target = last.t - hours*3600*1000;
-    for (let i = n-1; i >= 0; i--) {
-      if (rows[i].t <= target) {
-        const v = rows[i][key];
-        return (v == null || !isFinite(v)) ? null : v;
-      }
-    }
-    return null;
-  }
-
-  const w3  = sliceHours(3);
-  const w6  = sliceHours(6);
-  const w12 = sliceHours(12);
-
-  const t3  = stats(w3,  'tC');
-  const h3  = stats(w3,  'hPct');
-  const t6  = stats(w6,  'tC');
-  const h6  = stats(w6,  'hPct');
-  const t12 = stats(w12, 'tC');
-  const h12 = stats(w12, 'hPct');
-
-  const tLag1 = lag(1, 'tC');
-  const tLag3 = lag(3, 'tC');
-  const tLag6 = lag(6, 'tC');
-  const hLag1 = lag(1, 'hPct');
-  const hLag3 = lag(3, 'hPct');
-  const hLag6 = lag(6, 'hPct');
-
-  const hrBins = hourBin4(refIso);
-
-  const feats = {
-    temperature: tempNow,
-    humidity: humNow,
-    dewpoint: dpNow,
-    td_spread: tdSpread,
-
-    temp_mean_3h: t3.mean, temp_min_3h: t3.min, temp_max_3h: t3.max,
-    hum_mean_3h:  h3.mean, hum_min_3h:  h3.min, hum_max_3h:  h3.max,
+}
 
-    temp_mean_6h: t6.mean, temp_min_6h: t6.min, temp_max_6h: t6.max,
-    hum_mean_6h:  h6.mean, hum_min_6h:  h6.min, hum_max_6h:  h6.max,
+const PREDICT_CACHE = createPredictCache({ ttlMs: CFG.PREDICT_CACHE_TTL_MS, maxEntries: CFG.PREDICT_CACHE_MAX });
+const WINDOWS = createWindowStore({
+  retainHours: CFG.PREDICT_INCREMENTAL_RETAIN_H,
+  overlapMs: CFG.PREDICT_INCREMENTAL_OVERLAP_MIN * 60 * 1000,
+}, {
+  fetch: fetchTimeSeries,
+  timeOf: doc => Date.parse(pickTime(doc, CFG.TIME_FIELD)),
+  sensorOf: doc => pickSensor(doc, CFG.SENSOR_FIELD),
+});
 
-    temp_mean_12h: t12.mean, temp_min_12h: t12.min, temp_max_12h: t12.max,
-    hum_mean_12h:  h12.mean, hum_min_12h:  h12.min, hum_max_12h:  h12.max,
+// Cache key for GET /predict: every parameter, with from/to bucketed, device/profile
+// order-insensitive, and the versions of the bundles the request has pinned (acquireBundles).
+function predictCacheKey(query, { model, blend }, fromMs, toMs) {
+  const params = Object.entries(query)
+    .filter(([k]) => !['from', 'to', 'device', 'profile', 'model'].includes(k))
+    .map(([k, v]) => [k, String(v)])
+    .sort(([a], [b]) => a.localeCompare(b));
+  return JSON.stringify({
+    model: `${model.name}@${model.version}`,
+    blend: blend ? `${blend.name}@${blend.version}` : '',
+    from: Number.isFinite(fromMs) ? fromMs : String(query.from || ''),
+    to: toMs,
+    devices: queryList(query.device).sort(),
+    profiles: queryList(query.profile).sort(),
+    params,
+  });
+}
 
-    temp_lag_1h: tLag1, temp_lag_3h: tLag3, temp_lag_6h: tLag6,
-    hum_lag_1h: hLag1, hum_lag_3h: hLag3, hum_lag_6h: hLag6,
+// Pin the requested bundle, and the forecast blend bundle when one is configured, so a
+// concurrent reload can't mix versions or release a session mid-request → { model, blend }
+// (null for an unknown model). Hand it back to releaseBundles when done.
+function acquireBundles(name) {
+  const model = MODELS.acquire(name);
+  if (!model) return null;
+  const blend = CFG.WEATHER.blendModel ? MODELS.acquire(CFG.WEATHER.blendModel) : null;
+  return { model, blend };
+}
 
-    hr_bin_0: hrBins[0], hr_bin_1: hrBins[1], hr_bin_2: hrBins[2], hr_bin_3: hrBins[3],
-  };
+function releaseBundles({ model, blend }) {
+  MODELS.release(model);
+  if (blend) MODELS.release(blend);
+}
 
-  const rawVec = FEATURE_NAMES.map(name => {
-    const v = feats[name];
-    const num = Number(v);
-    return Number.isFinite(num) ? num : 0; // simple impute
-  });
+// ------------------------------------------------------------------
+// Feature vector from a window (sorted asc); refIso stamps the calendar/clock features,
+// forecast (hourly weather rows, optional) feeds the fc_* features.
+// Returns { vec, imputed, raw }: imputed lists the features that had no data,
+// raw holds the pre-scaler values (for explain=true).
+function buildFeatureVectorFromWindow(model, rows, refIso, forecast = null) {
+  const values = model.features.compute(rows, new Date(refIso).getTime(), forecast);
+  return vectorize(values, model.features.names, model.scaler);
+}
 
-  const vec = applyScaler(rawVec);
-  if (vec.length !== 36) {
-    console.warn(`[fe] Built ${vec.length} features but expected 36; padding/truncating.`);
-    if (vec.length < 36) while (vec.length < 36) vec.push(0);
-    else vec.length = 36;
+// POST /predict body → { items: raw-doc-shaped readings } | { error, status }
+function readingsFromBody(b) {
+  let items;
+  if (Array.isArray(b)) items = b;
+  else if (Array.isArray(b?.items)) items = b.items;
+  else if (b?.readings && typeof b.readings === 'object' && !Array.isArray(b.readings)) {
+    items = [];
+    for (const [sensor, rows] of Object.entries(b.readings)) {
+      if (!Array.isArray(rows)) return { status: 400, error: `readings.${sensor} must be an array` };
+      for (const r of rows) {
+        items.push({
+          [CFG.SENSOR_FIELD]: sensor,
+          sensorId: sensor,
+          time: r?.time,
+          temperature: r?.temperature,
+          humidity: r?.humidity,
+        });
+      }
+    }
+  } else {
+    return { status: 400, error: 'Body must be { readings: { <sensor>: [...] } }, { items: [...] } or an array of docs' };
   }
-  return vec;
+  if (items.length > CFG.POST_MAX_READINGS) {
+    return { status: 413, error: `Too many readings (${items.length} > ${CFG.POST_MAX_READINGS})` };
+  }
+  return { items };
 }
 
-// Build batches per sensor
-function buildBatches(rawItems, { asForward, horizonH }) {
+// Raw API docs → Map sensor → ascending [{ t, iso, tC, hPct }]
+function groupBySensor(rawItems) {
   const by = new Map();
   for (const doc of rawItems) {
     const tIso = pickTime(doc, CFG.TIME_FIELD);
@@ -339,99 +318,427 @@ function buildBatches(rawItems, { asForward, horizonH }) {
     (by.get(sid) || by.set(sid, []).get(sid)).push({ t: ms, iso: tIso, tC: t, hPct: h });
   }
   for (const arr of by.values()) arr.sort((a,b)=>a.t - b.t);
+  return by;
+}
 
+// Build feature vectors per sensor → { vecs, metas }
+// curve = { stepHours, maxHorizon }: one forward vector per step (stepHours..maxHorizon),
+// same window each time, only the calendar/clock features are re-stamped.
+// Windows go through the quality checks first; vecs[i] is null when a sensor has no
+// usable readings, and metas[i].suppressed marks points whose score is withheld.
+// forecasts (Map sensor → hourly weather rows) adds fc_* features and a per-point weather summary.
+function buildBatches(model, rawItems, { asForward, horizonH, curve = null, nowMs = Date.now(), forecasts = new Map() }) {
+  const by = groupBySensor(rawItems);
   const vecs = [];
   const metas = [];
+  const qc = CFG.QC;
+
+  for (const [sensor, all] of by.entries()) {
+    if (!all.length) continue;
+    const lastIso = all[all.length - 1].iso;
+    const lastMs = all[all.length - 1].t;
+    const forecast = forecasts.get(sensor) || null;
+    const { rows: arr, reasons: cleaning } = qc.enabled ? cleanWindow(all, qc) : { rows: all, reasons: [] };
+
+    // Window covers at least the longest feature lookback (e.g. 12h stats)
+    const windowH = Math.max(CFG.FORWARD_WINDOW_H, model.features.lookbackH);
+    const cutoff = all[all.length - 1].t - windowH*3600*1000;
+    const w = arr.filter(r => r.t >= cutoff);
+    const src = w.length ? w : arr;
 
-  for (const [sensor, arr] of by.entries()) {
-    if (!arr.length) continue;
-    const lastIso = arr[arr.length - 1].iso;
-
-    if (!asForward) {
-      const vec = buildFeatureVectorFromWindow(arr, lastIso);
-      vecs.push(vec);
-      metas.push({ sensor, timeIso: lastIso });
-      continue;
+    const quality = qc.enabled ? assessWindow(w, nowMs, qc, cleaning) : { status: 'ok', reasons: [] };
+    const suppressed = !arr.length || isSuppressed(quality.status, qc);
+
+    const targets = (!asForward && !curve)
+      ? [{ timeIso: lastIso, refIso: lastIso }]
+      : (curve ? curveHorizons(curve) : [horizonH]).map(h => {
+          const fwdIso = new Date(all[all.length - 1].t + h*3600*1000).toISOString();
+          return { timeIso: fwdIso, refIso: fwdIso, baseIso: lastIso, horizonHours: h };
+        });
+
+    for (const { refIso, ...target } of targets) {
+      const built = arr.length
+        ? buildFeatureVectorFromWindow(model, asForward || curve ? src : arr, refIso, forecast)
+        : { vec: null, imputed: model.features.names.slice(), raw: null };
+      // Forecast conditions between the last reading and the target (or the default horizon)
+      const weather = forecast
+        ? summarizeForecast(forecast, lastMs, lastMs + (target.horizonHours ?? horizonH) * 3600 * 1000)
+        : null;
+      vecs.push(built.vec);
+      metas.push({ sensor, ...target, imputed: built.imputed, raw: built.raw, quality, suppressed, weather });
     }
+  }
 
-    const cutoff = arr[arr.length - 1].t - CFG.FORWARD_WINDOW_H*3600*1000;
-    const w = arr.filter(r => r.t >= cutoff);
-    const fwdIso = new Date(arr[arr.length - 1].t + horizonH*3600*1000).toISOString();
+  return { vecs, metas };
+}
 
-    const src = w.length ? w : arr;
-    const vec = buildFeatureVectorFromWindow(src, fwdIso);
+// WEATHER_BLEND_MODEL: score the same points with the forecast-aware bundle (other, pinned
+// by the caller) → { model, weight, probs } (probs[i] = its calibrated probability, null where
+// the sensor has no forecast or the point isn't scored), or null when blending doesn't apply.
+async function forecastBlend(model, other, items, batchOpts, metas) {
+  const { blendWeight } = CFG.WEATHER;
+  if (!other || other === model || !(blendWeight > 0) || !batchOpts.forecasts.size) return null;
+  const { vecs, metas: otherMetas } = buildBatches(other, items, batchOpts);
+  const idx = otherMetas
+    .map((m, i) => (vecs[i] && !m.suppressed && batchOpts.forecasts.has(m.sensor) ? i : -1))
+    .filter(i => i >= 0);
+  const scores = await runModel(ort, other, idx.map(i => vecs[i]));
+  // Match by sensor + time: the two bundles' windows can differ in what QC suppresses
+  const byPoint = new Map();
+  idx.forEach((i, k) => byPoint.set(`${otherMetas[i].sensor}|${otherMetas[i].timeIso}`, decide(other, scores[k]).calibratedProbability));
+  return {
+    model: { name: other.name, version: other.version },
+    weight: blendWeight,
+    probs: metas.map(m => byPoint.get(`${m.sensor}|${m.timeIso}`) ?? null),
+  };
+}
 
-    vecs.push(vec);
-    metas.push({ sensor, timeIso: fwdIso });
-  }
+// Top-k features by |contribution| with their raw (pre-scaler) values
+function topContributions(model, contributions, raw, k) {
+  return contributions
+    .map((c, j) => ({ feature: model.features.names[j], value: raw[j], contribution: c }))
+    .filter(x => Number.isFinite(x.contribution))
+    .sort((a, b) => Math.abs(b.contribution) - Math.abs(a.contribution))
+    .slice(0, k);
+}
+
+// Feature name -> number of points/curves it was imputed for
+function countImputed(units) {
+  const out = {};
+  for (const u of units) for (const name of u.imputed) out[name] = (out[name] || 0) + 1;
+  return out;
+}
 
-  if (!vecs.length) {
-    return { tensor: new ort.Tensor('float32', new Float32Array(0), [0, 36]), metas };
+// Quality status -> number of points/curves
+function countQuality(units) {
+  const out = { ok: 0, degraded: 0, insufficient_data: 0 };
+  for (const u of units) out[u.quality.status]++;
+  return out;
+}
+
+// Admin routes: Authorization: Bearer <ADMIN_TOKEN> (or x-admin-token)
+function requireAdmin(req, res, next) {
+  if (!CFG.ADMIN_TOKEN) return res.status(403).json({ error: 'Admin routes disabled (set ADMIN_TOKEN)' });
+  const auth = String(req.get('authorization') || '');
+  const given = Buffer.from(auth.startsWith('Bearer ') ? auth.slice(7).trim() : String(req.get('x-admin-token') || ''));
+  const want = Buffer.from(CFG.ADMIN_TOKEN);
+  if (given.length !== want.length || !crypto.timingSafeEqual(given, want)) {
+    return res.status(401).json({ error: 'Invalid admin token' });
   }
-  const data = Float32Array.from(vecs.flat());
-  return { tensor: new ort.Tensor('float32', data, [vecs.length, 36]), metas };
+  next();
 }
 
 // ------------------------------------------------------------------
 // HTTP server
 const app = express();
 app.use(morgan('tiny'));
-app.use(express.json());
+app.use(express.json({ limit: CFG.BODY_LIMIT }));
 
 app.get('/health', (_req, res) => {
+  const model = MODELS.get();
   res.json({
     ok: true,
     now: new Date().toISOString(),
-    model: CFG.ONNX_MODEL,
-    features: FEATURE_NAMES,
-    scaler: !!SCALER,
+    model: MODELS.describe(model),
+    features: model.features.names,
+    threshold: decisionRule(model),
+    weather: { provider: WEATHER.provider, usedByModel: model.features.usesForecast },
+    cache: PREDICT_CACHE.stats(),
+    windows: CFG.PREDICT_INCREMENTAL ? WINDOWS.stats() : null,
     wasmPaths: ort.env.wasm.wasmPaths,
     runtime: 'onnxruntime-web (wasm)'
   });
 });
 
-app.get('/predict', async (req, res) => {
+// Shared /predict pipeline (GET fetches from APISec, POST scores the request body).
+// q: parameters (forward, horizonHours, mode, stepHours, maxHorizon, model, explain, explainTop);
+// loadItems() → { items, nowMs } | { error, status }. Returns { status, body }.
+// bundles: { model, blend } already pinned by the caller (acquireBundles), else pinned here.
+async function runPredict(q, loadItems, bundles = null) {
+  if (bundles) return predictWith(bundles.model, bundles.blend, q, loadItems);
+  const pinned = acquireBundles(q.model ? String(q.model) : '');
+  if (!pinned) return unknownModel(q.model);
   try {
-    const from = req.query.from ? String(req.query.from) : undefined;
-    const to   = req.query.to   ? String(req.query.to)   : undefined;
+    return await predictWith(pinned.model, pinned.blend, q, loadItems);
+  } finally {
+    releaseBundles(pinned);
+  }
+}
 
-    const forward  = /^true$/i.test(String(req.query.forward || 'false'));
-    const horizonH = Number(req.query.horizonHours || CFG.DEFAULT_FWD_HORIZON_H);
+function unknownModel(name) {
+  return { status: 404, body: { error: `Unknown model '${name}'` } };
+}
+
+async function predictWith(model, blendBundle, q, loadItems) {
+  const forward  = /^true$/i.test(String(q.forward || 'false'));
+  const horizonH = Number(q.horizonHours || CFG.DEFAULT_FWD_HORIZON_H);
+
+  // mode=curve: per-sensor probability series for every step ahead
+  const mode = String(q.mode || 'point').toLowerCase();
+  if (mode !== 'point' && mode !== 'curve') return { status: 400, body: { error: "mode must be 'point' or 'curve'" } };
+  const explain = /^true$/i.test(String(q.explain || 'false'));
+  const explainTop = Math.max(1, Math.min(50, Number(q.explainTop) || 5));
+  let curve = null;
+  if (mode === 'curve') {
+    const parsed = parseCurveParams(q, { maxHorizonH: CFG.CURVE_MAX_HORIZON_H, maxSteps: CFG.CURVE_MAX_STEPS });
+    if (parsed.error) return { status: 400, body: { error: parsed.error } };
+    curve = parsed.curve;
+  }
 
-    const items = await fetchTimeSeries({ from, to });
-    const { tensor, metas } = buildBatches(items, { asForward: forward, horizonH });
+  const modelInfo = { name: model.name, version: model.version };
+
+  const loaded = await loadItems();
+  if (loaded.error) return { status: loaded.status || 400, body: { error: loaded.error } };
+  const { items, nowMs } = loaded;
+
+  // Forecast covariates per sensor (cached in weather.js); a provider failure only imputes fc_* features
+  const sensors = [...new Set(items.map(d => pickSensor(d, CFG.SENSOR_FIELD)))];
+  const { forecasts, errors: weatherErrors } = await WEATHER.forSensors(sensors);
+  const weatherInfo = WEATHER.enabled ? { weather: { provider: WEATHER.provider, sensors: forecasts.size, errors: weatherErrors } } : {};
+
+  const batchOpts = { asForward: forward, horizonH, curve, nowMs, forecasts };
+  const { vecs, metas } = buildBatches(model, items, batchOpts);
+
+  if (!metas.length) {
+    return { status: 200, body: curve
+      ? { model: modelInfo, mode, ...curve, threshold: decisionRule(model), ...weatherInfo, count: 0, curves: [] }
+      : { model: modelInfo, forward, horizonHours: horizonH, threshold: decisionRule(model), ...weatherInfo, count: 0, points: [] } };
+  }
+
+  // Only points with a vector that QC didn't suppress go through the model
+  const scoredIdx = metas.map((m, i) => (vecs[i] && !m.suppressed ? i : -1)).filter(i => i >= 0);
+  const scoredVecs = scoredIdx.map(i => vecs[i]);
+  if (explain && scoredVecs.length > CFG.EXPLAIN_MAX_POINTS) {
+    return { status: 400, body: { error: `explain=true supports at most ${CFG.EXPLAIN_MAX_POINTS} points (got ${scoredVecs.length}); narrow by device or range` } };
+  }
+
+  const probs = new Array(metas.length).fill(null);
+  const contributions = new Array(metas.length).fill(null);
+  const scores = await runModel(ort, model, scoredVecs);
+  const explained = explain && scoredVecs.length ? await explainModel(ort, model, scoredVecs) : null;
+  scoredIdx.forEach((i, k) => {
+    probs[i] = scores[k];
+    if (explained) contributions[i] = explained.contributions[k];
+  });
+  const blend = await forecastBlend(model, blendBundle, items, batchOpts, metas);
+  if (blend) weatherInfo.weather.blend = { model: blend.model, weight: blend.weight };
+
+  const points = metas.map((m, i) => {
+    const d = decide(model, probs[i]);
+    const fc = blend?.probs[i] ?? null;
+    const p = blendProbability(d.calibratedProbability, fc, blend?.weight);
+    return {
+      sensorName: m.sensor,
+      time: m.timeIso,
+      rawScore: d.rawScore,
+      calibratedProbability: p,
+      frost: probs[i] == null ? null : p >= model.threshold.probThreshold,
+      score: d.rawScore, // raw model output, as before calibration (older clients); decide on calibratedProbability
+      imputed: m.imputed,
+      quality: m.suppressed ? { ...m.quality, suppressed: true } : m.quality,
+      ...(WEATHER.enabled ? { weather: m.weather } : {}),
+      ...(fc != null && p != null ? { modelProbability: d.calibratedProbability, forecastProbability: fc } : {}),
+      ...(curve ? { baseTime: m.baseIso, horizonHours: m.horizonHours } : {}),
+      ...(contributions[i] ? {
+        explanation: {
+          method: explained.method,
+          top: topContributions(model, contributions[i], m.raw, explainTop)
+        }
+      } : {})
+    };
+  });
+
+  if (curve) {
+    const curves = summarizeCurves(points);
+    return { status: 200, body: {
+      model: modelInfo,
+      mode,
+      ...curve,
+      featureCount: model.features.names.length,
+      threshold: decisionRule(model),
+      imputedFeatures: countImputed(curves),
+      qualityCounts: countQuality(curves),
+      ...weatherInfo,
+      count: curves.length,
+      curves
+    } };
+  }
+
+  return { status: 200, body: {
+    model: modelInfo,
+    forward,
+    horizonHours: horizonH,
+    featureCount: model.features.names.length,
+    threshold: decisionRule(model),
+    imputedFeatures: countImputed(points),
+    qualityCounts: countQuality(points),
+    ...weatherInfo,
+    count: points.length,
+    points
+  } };
+}
 
-    if (tensor.dims[0] === 0) {
-      return res.status(200).json({ forward, horizonHours: horizonH, count: 0, points: [] });
+/** Score stored readings from APISec.
+ * from/to are rounded down to PREDICT_CACHE_BUCKET_S so near-identical ranges (STA, every open
+ * frostpred page) share one cached result; X-Cache says hit | miss | coalesced.
+ * With PREDICT_INCREMENTAL=true, ranges ending at/after the newest held reading are served from
+ * in-memory per-sensor windows plus a fetch of only the newer readings.
+ */
+app.get('/predict', async (req, res) => {
+  try {
+    const bucketMs = CFG.PREDICT_CACHE_BUCKET_S * 1000;
+    const rawFromMs = req.query.from ? Date.parse(String(req.query.from)) : NaN;
+    const rawToMs   = req.query.to   ? Date.parse(String(req.query.to))   : Date.now();
+    const fromMs = Number.isFinite(rawFromMs) ? bucketStart(rawFromMs, bucketMs) : NaN;
+    const toMs   = Number.isFinite(rawToMs) ? bucketStart(rawToMs, bucketMs) : NaN;
+    const from = Number.isFinite(fromMs) ? new Date(fromMs).toISOString() : (req.query.from ? String(req.query.from) : undefined);
+    const to   = Number.isFinite(toMs)   ? new Date(toMs).toISOString()   : String(req.query.to);
+    const devices  = queryList(req.query.device);
+    const profiles = queryList(req.query.profile);
+
+    // The cache key names the same bundles the run scores with
+    const bundles = acquireBundles(req.query.model ? String(req.query.model) : '');
+    if (!bundles) {
+      const { status, body } = unknownModel(req.query.model);
+      return res.status(status).json(body);
     }
+    try {
+      const key = predictCacheKey(req.query, bundles, fromMs, Number.isFinite(toMs) ? toMs : to);
+      const { value: { status, body }, cache } = await PREDICT_CACHE.run(key, () => runPredict(req.query, async () => {
+        const items = CFG.PREDICT_INCREMENTAL && Number.isFinite(fromMs) && Number.isFinite(toMs)
+          ? await WINDOWS.load({ fromMs, toMs, devices, profiles })
+          : await fetchTimeSeries({ from, to, devices, profiles });
+        // Staleness is judged against the end of the requested range (or now)
+        return { items, nowMs: Number.isFinite(toMs) ? Math.min(toMs, Date.now()) : Date.now() };
+      }, bundles));
+      res.set('X-Cache', cache);
+      res.status(status).json(body);
+    } finally {
+      releaseBundles(bundles);
+    }
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: e?.message || 'Server error' });
+  }
+});
 
-    const inputName = session.inputNames[0]; // e.g., "float_input"
-    const feeds = { [inputName]: tensor };
-    const out = await session.run(feeds);
-    const probs = extractProbs(out);
-
-    const points = metas.map((m, i) => {
-      const s = Number(probs[i]);
-      return {
-        sensorName: m.sensor,
-        time: m.timeIso,
-        score: Number.isFinite(s) ? s : null
-      };
+/** Score caller-supplied readings (no APISec round trip); same response shape as GET.
+ * Body: { readings: { <sensor>: [{ time, temperature, humidity }, ...] } }
+ *    or { items: [raw uplink docs] } (or a bare array of docs), plus optional
+ *    parameters (forward, horizonHours, mode, ...) at the top level or in the query string.
+ * Staleness is judged against `to` if given, else the newest reading.
+ */
+app.post('/predict', async (req, res) => {
+  try {
+    const b = req.body;
+    const opts = Array.isArray(b) ? {} : { ...(b || {}) };
+    delete opts.readings;
+    delete opts.items;
+    const q = { ...req.query, ...opts };
+
+    const { status, body } = await runPredict(q, async () => {
+      const parsed = readingsFromBody(b);
+      if (parsed.error) return parsed;
+      const newest = parsed.items.reduce((mx, d) => Math.max(mx, Date.parse(pickTime(d, CFG.TIME_FIELD)) || 0), 0);
+      const toMs = q.to ? Date.parse(String(q.to)) : NaN;
+      return { items: parsed.items, nowMs: Number.isFinite(toMs) ? toMs : newest || Date.now() };
     });
+    res.status(status).json(body);
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: e?.message || 'Server error' });
+  }
+});
 
-    res.status(200).json({
-      forward,
-      horizonHours: horizonH,
-      featureCount: 36,
-      count: points.length,
-      points
-    });
+/** Backtest over stored history
+ * Query: from, to (required ISO), stepHours (default 1), horizonHours (default DEFAULT_FWD_HORIZON_H),
+ *        frostTempC (default FROST_TEMP_C), model, device, profile, points=true (per-step rows).
+ * Windows get the same QC and weather covariates as /predict; QC-suppressed steps count as unscored.
+ */
+app.get('/backtest', async (req, res) => {
+  try {
+    const fromMs = Date.parse(String(req.query.from || ''));
+    const toMs   = Date.parse(String(req.query.to || ''));
+    if (!Number.isFinite(fromMs) || !Number.isFinite(toMs) || toMs <= fromMs) {
+      return res.status(400).json({ error: "Valid 'from' < 'to' ISO datetimes are required" });
+    }
+    if (toMs - fromMs > CFG.BACKTEST_MAX_DAYS * 86400000) {
+      return res.status(400).json({ error: `Range must be <= ${CFG.BACKTEST_MAX_DAYS} days` });
+    }
+    const stepHours    = Number(req.query.stepHours ?? 1);
+    const horizonHours = Number(req.query.horizonHours ?? CFG.DEFAULT_FWD_HORIZON_H);
+    const frostTempC   = Number(req.query.frostTempC ?? CFG.FROST_TEMP_C);
+    if (!(stepHours > 0) || !(horizonHours > 0) || !Number.isFinite(frostTempC)) {
+      return res.status(400).json({ error: 'stepHours and horizonHours must be > 0, frostTempC a number' });
+    }
+
+    // Pinned until the (possibly long) run is done; a reload meanwhile won't release it
+    const model = MODELS.acquire(req.query.model ? String(req.query.model) : '');
+    if (!model) return res.status(404).json({ error: `Unknown model '${req.query.model}'` });
+    try {
+      const items = await fetchTimeSeries({
+        from: new Date(fromMs).toISOString(),
+        to: new Date(toMs).toISOString(),
+        devices: queryList(req.query.device),
+        profiles: queryList(req.query.profile),
+      });
+      const lookbackHours = Math.max(CFG.FORWARD_WINDOW_H, model.features.lookbackH);
+      const bySensor = groupBySensor(items);
+      const { forecasts, errors: weatherErrors } = await WEATHER.forSensors([...bySensor.keys()]);
+      const weatherInfo = WEATHER.enabled ? { weather: { provider: WEATHER.provider, sensors: forecasts.size, errors: weatherErrors } } : {};
+      const result = await runBacktest(
+        bySensor,
+        { fromMs, toMs, stepHours, horizonHours, lookbackHours, frostTempC, includePoints: /^true$/i.test(String(req.query.points || '')) },
+        {
+          // Each step's window is cleaned and graded as a live window at that time would be
+          featurize: (rows, refIso, { sensor, t }) => {
+            const checked = checkWindow(rows, t, CFG.QC);
+            if (checked.suppressed) return { vec: null, quality: checked.quality, suppressed: true };
+            const built = buildFeatureVectorFromWindow(model, checked.rows, refIso, forecasts.get(sensor) || null);
+            return { vec: built.vec, quality: checked.quality };
+          },
+          predict: vecs => runModel(ort, model, vecs),
+          decide: raw => decide(model, raw),
+        }
+      );
+
+      res.status(200).json({
+        model: { name: model.name, version: model.version },
+        from: new Date(fromMs).toISOString(),
+        to: new Date(toMs).toISOString(),
+        stepHours,
+        horizonHours,
+        lookbackHours,
+        frostTempC,
+        threshold: decisionRule(model),
+        ...weatherInfo,
+        ...result
+      });
+    } finally {
+      MODELS.release(model);
+    }
   } catch (e) {
     console.error(e);
     res.status(500).json({ error: e?.message || 'Server error' });
   }
 });
 
+// Model bundles: available versions and the active one per name
+app.get('/models', (_req, res) => {
+  res.json(MODELS.list());
+});
+
+// Rescan MODELS_DIR, validate, and swap the active sessions
+app.post('/models/reload', requireAdmin, async (_req, res) => {
+  try {
+    const { loaded, errors } = await MODELS.load();
+    res.status(200).json({ ok: !errors.length, loaded, errors });
+  } catch (e) {
+    console.error(e);
+    res.status(422).json({ error: e.message, errors: e.errors || [] });
+  }
+});
+
 app.get('/', (_req, res) => {
   res.status(200).type('text').send('Frost LGBM predictor (WASM) – try GET /predict?from=...&to=...');
 });
@@ -0,0 +1,364 @@
+// Model registry
+// A bundle is an ONNX model plus the files that must agree with it: feature manifest,
+// scaler, isotonic calibrator and decision threshold. Bundles are loaded and validated
+// as a unit; a bundle only becomes active if its input shape matches its manifest.
+//
+// MODELS_DIR layout (the highest version of each name is the active one):
+//   <MODELS_DIR>/<name>/<version>/model.onnx
+//                                 features.json    { feature_names: [...], reference?: { name: value } }
+//                                                  (or scaler.json feature_names)
+//                                 scaler.json      (optional)
+//                                 calibrator.json  (optional)
+//                                 threshold.json   (optional; default prob_threshold 0.5)
+// If MODELS_DIR holds no bundles, the single legacy model (ONNX_MODEL, SCALER_JSON, ...)
+// is served as "default".
+
+import fs   from 'node:fs/promises';
+import path from 'node:path';
+import { compileFeatures, createScaler, referenceVector } from './features.js';
+import { createCalibrator, parseThreshold } from './calibration.js';
+
+const DEFAULT_THRESHOLD = { probThreshold: 0.5, targetPrecision: null };
+
+export async function readJson(file) {
+  try {
+    return JSON.parse(await fs.readFile(file, 'utf8'));
+  } catch (e) {
+    if (e.code === 'ENOENT') return null;
+    throw new Error(`${file}: ${e.message}`);
+  }
+}
+
+// ------------------------------------------------------------------
+// Output decoding
+function toNumberArray(typed) {
+  const n = typed.length;
+  const out = new Array(n);
+  for (let i=0;i<n;i++) {
+    const v = typed[i];
+    out[i] = (typeof v === 'bigint') ? Number(v) : Number(v);
+  }
+  return out;
+}
+
+function extractProbs(session, runOutput) {
+  const names = session.outputNames;
+  let probName =
+    names.find(n => /prob/i.test(n)) ||
+    names.find(n => {
+      const o = runOutput[n];
+      return o && Array.isArray(o.dims) && o.dims.length === 2;
+    }) ||
+    names[0];
+
+  const out  = runOutput[probName] || runOutput[names[0]];
+  const dims = out.dims || [];
+  const data = toNumberArray(out.data);
+
+  if (dims.length === 2) {
+    const N = dims[0] || 0, C = dims[1] || 0;
+    if (C === 2) {
+      const probs = new Array(N);
+      for (let i=0;i<N;i++) probs[i] = data[i*2 + 1]; // P(class=1)
+      return probs;
+    }
+    if (C === 1) return data.slice(0, N);
+    // Multiclass → max prob (rare for binary LGBM)
+    const probs = new Array(N);
+    for (let i=0;i<N;i++) {
+      let best = -Infinity;
+      for (let j=0;j<C;j++) best = Math.max(best, data[i*C + j]);
+      probs[i] = best;
+    }
+    return probs;
+  }
+
+  if (dims.length === 1) {
+    const N = dims[0] || data.length;
+    return data.slice(0, N);
+  }
+  return data;
+}
+
+/** Run a bundle on feature vectors (arrays of manifest length) → raw scores. */
+export async function runModel(ort, bundle, vecs) {
+  if (!vecs.length) return [];
+  const width = bundle.features.names.length;
+  const tensor = new ort.Tensor('float32', Float32Array.from(vecs.flat()), [vecs.length, width]);
+  const out = await bundle.session.run({ [bundle.inputName]: tensor });
+  return extractProbs(bundle.session, out);
+}
+
+// ------------------------------------------------------------------
+// Explanations
+
+// Output carrying per-feature contributions (e.g. LightGBM pred_contrib exported as SHAP values)
+function contribOutput(session) {
+  return session.outputNames.find(n => /contrib|shap/i.test(n)) || null;
+}
+
+/** Per-feature contributions for each vector → { method, contributions: number[][] }.
+ * Uses the model's SHAP/contrib output when it has one; otherwise occlusion: the drop in raw
+ * score when a feature is replaced by its reference value (bundle.reference; features without
+ * one fall back to their mean over the explained vectors).
+ */
+export async function explainModel(ort, bundle, vecs) {
+  const width = bundle.features.names.length;
+  const shapName = contribOutput(bundle.session);
+  if (shapName) {
+    const tensor = new ort.Tensor('float32', Float32Array.from(vecs.flat()), [vecs.length, width]);
+    const out = (await bundle.session.run({ [bundle.inputName]: tensor }))[shapName];
+    const data = toNumberArray(out.data);
+    const cols = out.dims[1] || width; // may carry a trailing bias column
+    return { method: 'shap', contributions: vecs.map((_, i) => data.slice(i * cols, i * cols + width)) };
+  }
+
+  const reference = Array.from({ length: width }, (_, j) =>
+    bundle.reference?.[j] ?? vecs.reduce((s, v) => s + v[j], 0) / vecs.length);
+
+  // One batch: each vector followed by its `width` occluded copies
+  const rows = [];
+  for (const v of vecs) {
+    rows.push(v);
+    for (let j = 0; j < width; j++) {
+      const c = v.slice();
+      c[j] = reference[j];
+      rows.push(c);
+    }
+  }
+  const scores = await runModel(ort, bundle, rows);
+  const contributions = vecs.map((_, i) => {
+    const base = i * (width + 1);
+    return Array.from({ length: width }, (_, j) => scores[base] - scores[base + 1 + j]);
+  });
+  return { method: 'occlusion', contributions };
+}
+
+// ------------------------------------------------------------------
+// Loading + validation
+
+// Declared feature width of the first input, or null if dynamic/unknown
+function declaredWidth(session) {
+  const meta = Array.isArray(session.inputMetadata) ? session.inputMetadata[0] : null;
+  const shape = meta?.shape;
+  if (!Array.isArray(shape) || shape.length !== 2) return null;
+  const w = shape[1];
+  return Number.isInteger(w) && w > 0 && w < 2 ** 31 ? w : null;
+}
+
+/** Load one bundle from explicit file paths; throws with the reason if it is inconsistent. */
+export async function loadBundle(ort, { name, version, files, defaultFeatures = null }) {
+  const fjson = files.features ? await readJson(files.features) : null;
+  const sjson = files.scaler ? await readJson(files.scaler) : null;
+  const names = fjson?.feature_names || sjson?.feature_names || defaultFeatures;
+  if (!Array.isArray(names)) throw new Error('No feature manifest (features.json or scaler feature_names)');
+
+  const features = compileFeatures(names);
+  const scaler = sjson ? createScaler(sjson, features.names) : null;
+  const cjson = files.calibrator ? await readJson(files.calibrator) : null;
+  const tjson = files.threshold ? await readJson(files.threshold) : null;
+
+  const bytes = new Uint8Array(await fs.readFile(files.onnx));
+  const session = await ort.InferenceSession.create(bytes, { executionProviders: ['wasm'] });
+  const bundle = {
+    name,
+    version,
+    files,
+    features,
+    scaler,
+    reference: referenceVector(features, scaler, fjson?.reference),
+    calibrate: cjson ? createCalibrator(cjson) : null,
+    threshold: tjson ? parseThreshold(tjson) : { ...DEFAULT_THRESHOLD },
+    session,
+    inputName: session.inputNames[0], // e.g., "float_input"
+    loadedAt: new Date().toISOString(),
+  };
+
+  try {
+    const width = declaredWidth(session);
+    if (width != null && width !== features.names.length) {
+      throw new Error(`Model expects ${width} inputs but the manifest lists ${features.names.length} features`);
+    }
+    // Dry run on one neutral row to catch shape/type problems before activation
+    const probs = await runModel(ort, bundle, [features.names.map(() => 0)]);
+    if (probs.length !== 1 || !Number.isFinite(Number(probs[0]))) {
+      throw new Error('Dry run did not return one finite score');
+    }
+  } catch (e) {
+    await session.release?.().catch(() => {});
+    throw e;
+  }
+  return bundle;
+}
+
+async function listDirs(dir) {
+  try {
+    const entries = await fs.readdir(dir, { withFileTypes: true });
+    return entries.filter(e => e.isDirectory() && !e.name.startsWith('.')).map(e => e.name);
+  } catch (e) {
+    if (e.code === 'ENOENT') return [];
+    throw e;
+  }
+}
+
+const byVersion = (a, b) => a.localeCompare(b, undefined, { numeric: true });
+
+/** All bundles under `dir` → [{ name, versions: [ascending] }]. */
+export async function scanModelsDir(dir) {
+  const out = [];
+  for (const name of (await listDirs(dir)).sort()) {
+    const versions = [];
+    for (const v of await listDirs(path.join(dir, name))) {
+      try {
+        await fs.access(path.join(dir, name, v, 'model.onnx'));
+        versions.push(v);
+      } catch { /* not a bundle */ }
+    }
+    if (versions.length) out.push({ name, versions: versions.sort(byVersion) });
+  }
+  return out;
+}
+
+function bundleFiles(dir) {
+  return {
+    onnx:       path.join(dir, 'model.onnx'),
+    features:   path.join(dir, 'features.json'),
+    scaler:     path.join(dir, 'scaler.json'),
+    calibrator: path.join(dir, 'calibrator.json'),
+    threshold:  path.join(dir, 'threshold.json'),
+  };
+}
+
+// ------------------------------------------------------------------
+// Registry
+
+/** Registry over MODELS_DIR (with the legacy single model as fallback).
+ * load() (re)loads every bundle and swaps the active set in one assignment; a name whose
+ * new bundle fails validation keeps serving its previous bundle. Concurrent load() calls run
+ * one after the other.
+ * acquire()/release() pin a bundle for a request: a replaced bundle's session is released
+ * only once its last pin is dropped.
+ */
+export function createModelRegistry(ort, { dir, legacy, defaultName = '' }) {
+  let active = new Map(); // name -> bundle
+  let available = [];     // [{ name, versions }]
+  let lastErrors = [];
+  const pins = new Map();    // bundle -> in-flight requests
+  const retired = new Set(); // replaced bundles waiting for their last pin
+  let loading = Promise.resolve();
+
+  async function candidates() {
+    const found = await scanModelsDir(dir);
+    if (found.length) {
+      return {
+        available: found,
+        toLoad: found.map(({ name, versions }) => {
+          const version = versions[versions.length - 1];
+          return { name, version, files: bundleFiles(path.join(dir, name, version)) };
+        }),
+      };
+    }
+    return {
+      available: [{ name: 'default', versions: ['legacy'] }],
+      toLoad: [{ name: 'default', version: 'legacy', files: legacy.files, defaultFeatures: legacy.defaultFeatures }],
+    };
+  }
+
+  function dispose(b) {
+    retired.delete(b);
+    b.session.release?.().catch(() => {});
+  }
+
+  function load() {
+    const run = loading.then(reload);
+    loading = run.catch(() => {});
+    return run;
+  }
+
+  async function reload() {
+    const { available: found, toLoad } = await candidates();
+    const next = new Map();
+    const errors = [];
+    for (const spec of toLoad) {
+      try {
+        next.set(spec.name, await loadBundle(ort, spec));
+        console.log(`[models] loaded ${spec.name}@${spec.version}`);
+      } catch (e) {
+        errors.push({ name: spec.name, version: spec.version, error: e.message });
+        console.error(`[models] ${spec.name}@${spec.version} rejected: ${e.message}`);
+        if (active.has(spec.name)) next.set(spec.name, active.get(spec.name));
+      }
+    }
+    if (!next.size) {
+      throw Object.assign(new Error('No valid model bundle to activate'), { errors });
+    }
+
+    const previous = active;
+    active = next;
+    available = found;
+    lastErrors = errors;
+
+    // Release sessions that are no longer served; pinned ones once their requests finish
+    const kept = new Set(next.values());
+    for (const b of previous.values()) {
+      if (kept.has(b)) continue;
+      if (pins.get(b)) retired.add(b);
+      else dispose(b);
+    }
+    return { loaded: [...next.values()].map(describe), errors };
+  }
+
+  function defaultModel() {
+    return active.get(defaultName) || active.values().next().value || null;
+  }
+
+  /** Bundle by name (empty → default), or null. */
+  function get(name) {
+    return name ? active.get(name) || null : defaultModel();
+  }
+
+  /** Like get(), but the bundle stays usable until release(bundle), even across a reload. */
+  function acquire(name) {
+    const b = get(name);
+    if (b) pins.set(b, (pins.get(b) || 0) + 1);
+    return b;
+  }
+
+  function release(b) {
+    const n = (pins.get(b) || 0) - 1;
+    if (n > 0) return pins.set(b, n);
+    pins.delete(b);
+    if (retired.has(b)) dispose(b);
+  }
+
+  function describe(b) {
+    return {
+      name: b.name,
+      version: b.version,
+      loadedAt: b.loadedAt,
+      featureCount: b.features.names.length,
+      lookbackHours: b.features.lookbackH,
+      usesForecast: b.features.usesForecast,
+      scaledFeatures: b.scaler ? b.scaler.scaledCount : 0,
+      calibrated: !!b.calibrate,
+      threshold: b.threshold,
+      inputs: b.session.inputNames,
+      outputs: b.session.outputNames,
+    };
+  }
+
+  function list() {
+    const def = defaultModel();
+    return {
+      default: def ? def.name : null,
+      models: available.map(({ name, versions }) => ({
+        name,
+        versions,
+        active: active.has(name) ? describe(active.get(name)) : null,
+      })),
+      errors: lastErrors,
+    };
+  }
+
+  return { load, get, acquire, release, list, describe };
+}
@@ -0,0 +1,100 @@
+// Input-window quality checks
+// Each sensor window is cleaned (humidity sentinel, out-of-range readings) and graded:
+//   ok                – good enough to score
+//   degraded          – scored, but coverage/gaps/cleaning make it less trustworthy
+//   insufficient_data – too little or too stale data for a meaningful score
+// Reasons are short human-readable strings returned with the point.
+
+const MIN_MS = 60 * 1000;
+const HUM_NA_SENTINEL = 6553.5; // LSN50 "no humidity probe" value (websec shows it as NA)
+
+function parseCoverage(spec) {
+  const out = [];
+  for (const part of String(spec || '').split(',')) {
+    const m = /^\s*(\d+(?:\.\d+)?)h\s*:\s*(\d*\.?\d+)\s*$/.exec(part);
+    if (m) out.push({ hours: Number(m[1]), min: Number(m[2]) });
+  }
+  return out;
+}
+
+export function qualityConfigFromEnv(env = process.env) {
+  return {
+    enabled: !/^false$/i.test(env.QC_ENABLE || 'true'),
+    expectedIntervalMin: Number(env.QC_EXPECTED_INTERVAL_MIN || 15), // sensor uplink period
+    minCoverage: parseCoverage(env.QC_MIN_COVERAGE || '3h:0.5,6h:0.5,12h:0.3'),
+    maxGapMin: Number(env.QC_MAX_GAP_MIN || 90),
+    maxStaleMin: Number(env.QC_MAX_STALE_MIN || 60),
+    minReadings: Number(env.QC_MIN_READINGS || 3),
+    tempRange: [Number(env.QC_TEMP_MIN ?? -40), Number(env.QC_TEMP_MAX ?? 60)],
+    humRange: [0, 100],
+    suppress: (env.QC_SUPPRESS || 'none').toLowerCase(), // "none" | "insufficient" | "degraded"
+  };
+}
+
+/** Drop the humidity sentinel and out-of-range values → { rows, reasons }. */
+export function cleanWindow(rows, cfg) {
+  let sentinel = 0, badT = 0, badH = 0;
+  const [tMin, tMax] = cfg.tempRange;
+  const [hMin, hMax] = cfg.humRange;
+  const out = [];
+  for (const r of rows) {
+    let { tC, hPct } = r;
+    if (hPct === HUM_NA_SENTINEL) { hPct = null; sentinel++; }
+    else if (hPct != null && (hPct < hMin || hPct > hMax)) { hPct = null; badH++; }
+    if (tC != null && (tC < tMin || tC > tMax)) { tC = null; badT++; }
+    if (tC == null && hPct == null) continue;
+    out.push(tC === r.tC && hPct === r.hPct ? r : { ...r, tC, hPct });
+  }
+  const reasons = [];
+  if (sentinel) reasons.push(`${sentinel} humidity reading(s) with the ${HUM_NA_SENTINEL} sentinel ignored`);
+  if (badT) reasons.push(`${badT} temperature reading(s) outside ${tMin}..${tMax} °C dropped`);
+  if (badH) reasons.push(`${badH} humidity reading(s) outside ${hMin}..${hMax} % dropped`);
+  return { rows: out, reasons };
+}
+
+/** Grade a cleaned window (ascending rows) against nowMs → { status, reasons }. */
+export function assessWindow(rows, nowMs, cfg, cleaningReasons = []) {
+  const insufficient = [];
+  const degraded = [...cleaningReasons];
+
+  if (rows.length < cfg.minReadings) {
+    insufficient.push(`${rows.length} reading(s) in window (< ${cfg.minReadings})`);
+  }
+  const last = rows[rows.length - 1];
+  if (last) {
+    const staleMin = (nowMs - last.t) / MIN_MS;
+    if (staleMin > cfg.maxStaleMin) insufficient.push(`last reading ${Math.round(staleMin)} min old (> ${cfg.maxStaleMin})`);
+
+    for (const { hours, min } of cfg.minCoverage) {
+      const cutoff = last.t - hours * 3600 * 1000;
+      const n = rows.filter(r => r.t >= cutoff).length;
+      const coverage = n / Math.max(1, (hours * 60) / cfg.expectedIntervalMin);
+      if (coverage < min) degraded.push(`${hours}h coverage ${Math.round(coverage * 100)}% (< ${Math.round(min * 100)}%)`);
+    }
+
+    let maxGap = 0;
+    for (let i = 1; i < rows.length; i++) maxGap = Math.max(maxGap, rows[i].t - rows[i - 1].t);
+    if (maxGap / MIN_MS > cfg.maxGapMin) degraded.push(`gap of ${Math.round(maxGap / MIN_MS)} min (> ${cfg.maxGapMin})`);
+  }
+
+  if (insufficient.length) return { status: 'insufficient_data', reasons: [...insufficient, ...degraded] };
+  if (degraded.length) return { status: 'degraded', reasons: degraded };
+  return { status: 'ok', reasons: [] };
+}
+
+/** Clean and grade one window as of nowMs → { rows, quality, suppressed }; suppressed is also
+ * set when cleaning leaves no rows. With QC off the rows pass through as 'ok'.
+ */
+export function checkWindow(rows, nowMs, cfg) {
+  if (!cfg.enabled) return { rows, quality: { status: 'ok', reasons: [] }, suppressed: !rows.length };
+  const { rows: clean, reasons } = cleanWindow(rows, cfg);
+  const quality = assessWindow(clean, nowMs, cfg, reasons);
+  return { rows: clean, quality, suppressed: !clean.length || isSuppressed(quality.status, cfg) };
+}
+
+/** Whether a point with this status should have its score withheld. */
+export function isSuppressed(status, cfg) {
+  if (cfg.suppress === 'degraded') return status !== 'ok';
+  if (cfg.suppress === 'insufficient') return status === 'insufficient_data';
+  return false;
+}
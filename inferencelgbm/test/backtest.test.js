@@ -0,0 +1,74 @@
+// Backtest over synthetic rows, with windows checked the way the /backtest route does.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { runBacktest } from '../backtest.js';
+import { qualityConfigFromEnv, checkWindow } from '../quality.js';
+
+const HOUR_MS = 3600 * 1000;
+const T0 = Date.UTC(2025, 3, 10, 12);
+
+// Readings every 15 min over [T0, T0 + hours), temperature from tempAt(t)
+function series(hours, tempAt, hPct = 90) {
+  return Array.from({ length: hours * 4 }, (_, i) => {
+    const t = T0 + i * 15 * 60 * 1000;
+    return { t, tC: tempAt(t), hPct };
+  });
+}
+
+// "Model": the score is the window's last temperature mapped onto 0..1 (colder = higher)
+function hooksFor(qc) {
+  const seen = [];
+  return {
+    seen,
+    featurize: (rows, _refIso, { t }) => {
+      const checked = checkWindow(rows, t, qc);
+      if (checked.suppressed) return { vec: null, quality: checked.quality, suppressed: true };
+      return { vec: [checked.rows.at(-1).tC], quality: checked.quality };
+    },
+    predict: async vecs => {
+      seen.push(...vecs);
+      return vecs.map(([tC]) => Math.min(1, Math.max(0, (4 - tC) / 4)));
+    },
+    decide: raw => ({ calibratedProbability: raw, frost: raw >= 0.5 }),
+  };
+}
+
+// 3h lookback windows, so the QC configs below only check coverage over 3h
+const OPTS = { fromMs: T0, toMs: T0 + 24 * HOUR_MS, stepHours: 1, horizonHours: 2, lookbackHours: 3, frostTempC: 0, includePoints: true };
+
+test('every step is scored when the windows pass QC', async () => {
+  const qc = qualityConfigFromEnv({ QC_SUPPRESS: 'insufficient', QC_MIN_COVERAGE: '3h:0.5' });
+  const hooks = hooksFor(qc);
+  const rows = series(24, t => 6 - ((t - T0) / HOUR_MS) * 0.4);
+  const { overall, points } = await runBacktest(new Map([['s1', rows]]), OPTS, hooks);
+  assert.equal(overall.unscored, 0);
+  assert.equal(overall.n, points.length);
+  assert.ok(overall.n > 10);
+  assert.ok(points.every(p => p.quality === 'ok'));
+  assert.equal(hooks.seen.length, overall.n);
+});
+
+test('steps QC suppresses are unscored and never reach the model', async () => {
+  const qc = qualityConfigFromEnv({ QC_SUPPRESS: 'insufficient', QC_MIN_COVERAGE: '3h:0.5' });
+  const hooks = hooksFor(qc);
+  // An 8h outage: windows that end in it have stale or no readings
+  const rows = series(24, () => 1).filter(r => r.t < T0 + 8 * HOUR_MS || r.t >= T0 + 16 * HOUR_MS);
+  const { overall, points } = await runBacktest(new Map([['s1', rows]]), OPTS, hooks);
+
+  const suppressed = points.filter(p => p.quality === 'insufficient_data');
+  assert.ok(suppressed.length > 0);
+  assert.ok(suppressed.every(p => p.calibratedProbability === null && p.predicted === null));
+  assert.equal(overall.unscored, suppressed.length);
+  assert.equal(overall.n + overall.unscored, points.length);
+  assert.equal(hooks.seen.length, overall.n);
+});
+
+test('out-of-range readings are cleaned out of the window before featurizing', async () => {
+  const qc = qualityConfigFromEnv({ QC_SUPPRESS: 'none', QC_MIN_COVERAGE: '3h:0.5' });
+  const hooks = hooksFor(qc);
+  // A -100 °C glitch on every reading at :45 must not become the window's last temperature
+  const rows = series(24, t => (new Date(t).getUTCMinutes() === 45 ? -100 : 2));
+  const { points } = await runBacktest(new Map([['s1', rows]]), OPTS, hooks);
+  assert.ok(hooks.seen.every(([tC]) => tC === 2));
+  assert.ok(points.every(p => p.quality === 'degraded'));
+});
@@ -0,0 +1,49 @@
+// Incremental window store against an in-memory "API".
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createWindowStore } from '../cache.js';
+
+const MIN_MS = 60 * 1000;
+
+function fakeApi() {
+  const docs = [];
+  const fetches = [];
+  return {
+    docs,
+    fetches,
+    add: (sensor, t) => docs.push({ sensor, t }),
+    hooks: {
+      fetch: async ({ from, to }) => {
+        fetches.push({ from: Date.parse(from), to: Date.parse(to) });
+        return docs.filter(d => d.t >= Date.parse(from) && d.t <= Date.parse(to));
+      },
+      timeOf: d => d.t,
+      sensorOf: d => d.sensor,
+    },
+  };
+}
+
+test('a late reading for one sensor is picked up after another sensor moved ahead', async () => {
+  const api = fakeApi();
+  const store = createWindowStore({ retainHours: 48, overlapMs: 30 * MIN_MS }, api.hooks);
+  const t0 = Date.UTC(2025, 5, 1);
+  api.add('a', t0 + 10 * MIN_MS);
+  api.add('b', t0 + 10 * MIN_MS);
+  api.add('a', t0 + 20 * MIN_MS);
+  await store.load({ fromMs: t0, toMs: t0 + 20 * MIN_MS });
+
+  // b's 15-minute reading reaches the API only after a's 20-minute one was seen
+  api.add('b', t0 + 15 * MIN_MS);
+  api.add('a', t0 + 30 * MIN_MS);
+  const docs = await store.load({ fromMs: t0, toMs: t0 + 30 * MIN_MS });
+
+  assert.equal(store.stats().incremental, 1);
+  assert.deepEqual(
+    docs.filter(d => d.sensor === 'b').map(d => (d.t - t0) / MIN_MS),
+    [10, 15]
+  );
+  // Overlapping re-reads don't duplicate what is already held
+  assert.deepEqual(docs.filter(d => d.sensor === 'a').map(d => (d.t - t0) / MIN_MS), [10, 20, 30]);
+  // Re-read from 30 min before a's 20-minute reading, clamped to what the scope covers
+  assert.equal(api.fetches[1].from, t0);
+});
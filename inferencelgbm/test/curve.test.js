@@ -0,0 +1,59 @@
+// mode=curve: step horizons, parameter limits and the per-sensor summary.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { curveHorizons, parseCurveParams, summarizeCurves } from '../curve.js';
+
+const LIMITS = { maxHorizonH: 48, maxSteps: 96 };
+const BASE = '2025-04-10T20:00:00.000Z';
+const at = h => new Date(Date.parse(BASE) + h * 3600 * 1000).toISOString();
+
+// Scored points for one sensor, one per step, frost when the probability reaches 0.5
+function curvePoints(sensorName, probs, extra = {}) {
+  return probs.map((prob, i) => ({
+    sensorName,
+    baseTime: BASE,
+    time: at(i + 1),
+    horizonHours: i + 1,
+    rawScore: prob,
+    calibratedProbability: prob,
+    frost: prob == null ? null : prob >= 0.5,
+    imputed: [],
+    quality: { status: 'ok' },
+    ...extra,
+  }));
+}
+
+test('step horizons and parameter limits', () => {
+  assert.deepEqual(curveHorizons({ stepHours: 1, maxHorizon: 3 }), [1, 2, 3]);
+  assert.deepEqual(curveHorizons({ stepHours: 0.1, maxHorizon: 0.3 }), [0.1, 0.2, 0.3]);
+  assert.deepEqual(parseCurveParams({}, LIMITS), { curve: { stepHours: 1, maxHorizon: 12 } });
+  assert.match(parseCurveParams({ stepHours: '2', maxHorizon: '1' }, LIMITS).error, /maxHorizon >= stepHours/);
+  assert.match(parseCurveParams({ maxHorizon: '72' }, LIMITS).error, /<= 48/);
+  assert.match(parseCurveParams({ stepHours: '0.25', maxHorizon: '48' }, LIMITS).error, /At most 96 steps/);
+});
+
+test('a curve that never crosses the threshold keeps its peak and no crossing time', () => {
+  const [c] = summarizeCurves(curvePoints('s1', [0.1, 0.3, 0.2]));
+  assert.equal(c.frost, false);
+  assert.equal(c.firstCrossingTime, null);
+  assert.equal(c.peakProbability, 0.3);
+  assert.equal(c.peakTime, at(2));
+  assert.deepEqual(c.points.map(p => p.horizonHours), [1, 2, 3]);
+});
+
+test('a crossing at the first step is reported at that step, and the peak may come later', () => {
+  const [c] = summarizeCurves(curvePoints('s1', [0.6, 0.4, 0.8]));
+  assert.equal(c.frost, true);
+  assert.equal(c.firstCrossingTime, at(1));
+  assert.equal(c.peakProbability, 0.8);
+  assert.equal(c.peakTime, at(3));
+});
+
+test('sensors are summarised separately; suppressed curves have no verdict', () => {
+  const curves = summarizeCurves([
+    ...curvePoints('a', [0.2, 0.7]),
+    ...curvePoints('b', [null, null], { quality: { status: 'insufficient_data', suppressed: true } }),
+  ]);
+  assert.deepEqual(curves.map(c => [c.sensorName, c.frost, c.firstCrossingTime]), [['a', true, at(2)], ['b', null, null]]);
+  assert.equal(curves[1].peakProbability, null);
+});
@@ -0,0 +1,62 @@
+// Feature registry against the shipped manifest (scaler_light.json).
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { compileFeatures, createScaler, dewpointC } from '../features.js';
+import { loadBundle } from '../models.js';
+
+const ROOT = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+const HOUR_MS = 3600 * 1000;
+
+const shipped = JSON.parse(await fs.readFile(path.join(ROOT, 'scaler_light.json'), 'utf8'));
+
+// 13 hourly rows cooling from 6 °C to 0 °C at a steady 90 %
+function coolingNight(t0) {
+  return Array.from({ length: 13 }, (_, i) => ({ t: t0 + i * HOUR_MS, tC: 6 - i * 0.5, hPct: 90 }));
+}
+
+test('the shipped 36-feature manifest compiles and every feature is computed from a full window', () => {
+  assert.equal(shipped.feature_names.length, 36);
+  const features = compileFeatures(shipped.feature_names);
+  assert.deepEqual(features.names, shipped.feature_names);
+  assert.equal(features.lookbackH, 12);
+  assert.equal(features.usesForecast, false);
+  assert.equal(createScaler(shipped, features.names).scaledCount, shipped.scale_idx.length);
+
+  const rows = coolingNight(Date.UTC(2025, 3, 10, 18));
+  const values = features.compute(rows, rows.at(-1).t + HOUR_MS);
+  const byName = Object.fromEntries(features.names.map((n, i) => [n, values[i]]));
+  assert.deepEqual(features.names.filter(n => byName[n] == null), []);
+
+  assert.equal(byName.temperature_2m, 0);
+  assert.equal(byName.relative_humidity_2m, 90);
+  assert.ok(Math.abs(byName.dewpoint_c - dewpointC(0, 90)) < 1e-9);
+  assert.ok(Math.abs(byName.td_spread - (0 - dewpointC(0, 90))) < 1e-9);
+  assert.equal(byName.temperature_2m_min_3h, 0);
+  assert.equal(byName.temperature_2m_max_3h, 1.5);
+  assert.equal(byName.temperature_2m_mean_12h, 3);
+  assert.equal(byName.temp_drop_1h, 0.5);
+  assert.equal(byName.hour_sin, Math.sin((2 * Math.PI * 7) / 24)); // ref is 07:00 UTC
+});
+
+test('an unknown feature name fails compilation, and with it the model bundle at boot', async () => {
+  assert.throws(() => compileFeatures([...shipped.feature_names, 'soil_moisture_mean_3h']),
+    /Unknown feature name\(s\) in manifest: soil_moisture_mean_3h/);
+  assert.throws(() => compileFeatures([]), /Feature manifest is empty/);
+
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'features-'));
+  try {
+    const manifest = path.join(dir, 'features.json');
+    await fs.writeFile(manifest, JSON.stringify({ feature_names: ['temperature_2m', 'leaf_wetness'] }));
+    const ort = { InferenceSession: { create: async () => assert.fail('no session for a bad manifest') } };
+    await assert.rejects(
+      loadBundle(ort, { name: 'frost', version: 'v1', files: { features: manifest, onnx: path.join(ROOT, 'frost_lgbm.onnx') } }),
+      /Unknown feature name\(s\) in manifest: leaf_wetness/,
+    );
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,67 @@
+// Weather service with the offline stub provider (no network needed).
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { weatherConfigFromEnv, createWeatherService, blendProbability } from '../weather.js';
+import { compileFeatures } from '../features.js';
+
+const HOUR_MS = 3600 * 1000;
+const sleep = ms => new Promise(r => setTimeout(r, ms));
+
+function stubConfig(env = {}) {
+  return weatherConfigFromEnv({
+    WEATHER_PROVIDER: 'stub',
+    WEATHER_COORDS: JSON.stringify({ '*': { lat: 43.3, lon: -8.4 } }),
+    ...env,
+  });
+}
+
+test('stub provider serves an hourly forecast that feeds fc_* features', async () => {
+  const weather = createWeatherService(stubConfig());
+  const { forecasts, errors } = await weather.forSensors(['sensor-a', 'sensor-b']);
+  assert.deepEqual(errors, []);
+  assert.equal(forecasts.size, 2);
+  const rows = forecasts.get('sensor-a');
+  assert.equal(rows.length, 24 * 3);
+  assert.equal(rows[1].t - rows[0].t, HOUR_MS);
+
+  const features = compileFeatures(['temperature', 'fc_temperature_2m_min_12h', 'fc_cloud_cover']);
+  assert.equal(features.usesForecast, true);
+  const now = Math.floor(Date.now() / HOUR_MS) * HOUR_MS;
+  const window = [{ t: now - HOUR_MS, tC: 3, hPct: 90 }, { t: now, tC: 2, hPct: 92 }];
+  const [, fcMin, fcCloud] = features.compute(window, now + 6 * HOUR_MS, rows);
+  assert.equal(typeof fcMin, 'number');
+  assert.equal(fcCloud, 40);
+  // Without a forecast the same features are imputed
+  assert.deepEqual(features.compute(window, now + 6 * HOUR_MS).slice(1), [null, null]);
+});
+
+test('a failed fetch is cached for the retry period, then retried', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'weather-'));
+  const stubFile = path.join(dir, 'stub.json');
+  try {
+    const weather = createWeatherService(stubConfig({ WEATHER_STUB_FILE: stubFile, WEATHER_RETRY_MS: '200' }));
+    const first = await weather.forSensors(['sensor-a']);
+    assert.equal(first.errors.length, 1);
+
+    await fs.writeFile(stubFile, JSON.stringify({ hourly: [{ time: '2025-06-01T00:00:00Z', temperature_2m: 1 }] }));
+    const backoff = await weather.forSensors(['sensor-a']);
+    assert.equal(backoff.errors.length, 1, 'still backing off, provider not asked again');
+
+    await sleep(250);
+    const retried = await weather.forSensors(['sensor-a']);
+    assert.deepEqual(retried.errors, []);
+    assert.equal(retried.forecasts.get('sensor-a')[0].temperature_2m, 1);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
+
+test('blendProbability mixes the forecast model in by weight', () => {
+  assert.equal(blendProbability(0.2, 0.6, 0.5), 0.4);
+  assert.equal(blendProbability(0.2, null, 0.5), 0.2);
+  assert.equal(blendProbability(null, 0.6, 0.5), null);
+  assert.equal(stubConfig({ WEATHER_BLEND_WEIGHT: '3' }).blendWeight, 1);
+});
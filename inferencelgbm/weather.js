@@ -0,0 +1,173 @@
+// Weather forecast covariates
+// A provider returns hourly forecast rows for a coordinate:
+//   fetchHourly({ lat, lon }) → [{ t (ms), temperature_2m, relative_humidity_2m, cloud_cover, wind_speed_10m }]
+// The service maps sensors to coordinates, caches per coordinate (failures too, for
+// WEATHER_RETRY_MS, so a down provider doesn't stall every request) and coalesces
+// concurrent fetches. Providers: "open-meteo", "stub" (offline: synthetic or a JSON file), "none".
+
+import fs from 'node:fs/promises';
+
+export const WEATHER_VARS = ['temperature_2m', 'relative_humidity_2m', 'cloud_cover', 'wind_speed_10m'];
+
+function parseCoords(raw) {
+  if (!raw) return {};
+  try {
+    return JSON.parse(raw);
+  } catch (e) {
+    throw new Error(`WEATHER_COORDS is not valid JSON: ${e.message}`);
+  }
+}
+
+export function weatherConfigFromEnv(env = process.env) {
+  return {
+    provider: (env.WEATHER_PROVIDER || 'none').toLowerCase(),
+    // { "<sensor>": { "lat": .., "lon": .. }, "*": { ... } } ("*" = default for unlisted sensors)
+    coords: parseCoords(env.WEATHER_COORDS),
+    cacheMs: Number(env.WEATHER_CACHE_MS || 30 * 60 * 1000),
+    timeoutMs: Number(env.WEATHER_TIMEOUT_MS || 5000),
+    retryMs: Number(env.WEATHER_RETRY_MS || 5 * 60 * 1000),   // backoff after a failed fetch
+    baseUrl: (env.WEATHER_BASE_URL || 'https://api.open-meteo.com').replace(/\/$/, ''),
+    forecastDays: Number(env.WEATHER_FORECAST_DAYS || 2),
+    stubFile: env.WEATHER_STUB_FILE || '',
+    // Second, forecast-aware bundle (fc_* features) whose probability is mixed into the
+    // served model's for sensors with a forecast; weight 0..1
+    blendModel: env.WEATHER_BLEND_MODEL || '',
+    blendWeight: Math.min(1, Math.max(0, Number(env.WEATHER_BLEND_WEIGHT ?? 0.5))),
+  };
+}
+
+// ------------------------------------------------------------------
+// Providers
+
+function openMeteoProvider(cfg) {
+  return {
+    name: 'open-meteo',
+    async fetchHourly({ lat, lon }) {
+      const url = new URL('/v1/forecast', cfg.baseUrl);
+      url.searchParams.set('latitude', String(lat));
+      url.searchParams.set('longitude', String(lon));
+      url.searchParams.set('hourly', WEATHER_VARS.join(','));
+      url.searchParams.set('timeformat', 'unixtime');
+      url.searchParams.set('past_days', '1');
+      url.searchParams.set('forecast_days', String(cfg.forecastDays));
+      const r = await fetch(url, { signal: AbortSignal.timeout(cfg.timeoutMs) });
+      const txt = await r.text();
+      if (!r.ok) throw new Error(`open-meteo ${r.status}: ${txt.slice(0, 200)}`);
+      const h = JSON.parse(txt).hourly || {};
+      return (h.time || []).map((sec, i) => {
+        const row = { t: sec * 1000 };
+        for (const v of WEATHER_VARS) row[v] = h[v]?.[i] ?? null;
+        return row;
+      });
+    },
+  };
+}
+
+// Offline provider: rows from WEATHER_STUB_FILE ({ hourly: [{ time, ...vars }] }) or a
+// deterministic diurnal cycle, so tests and CI never need the network.
+function stubProvider(cfg) {
+  let fileRows = null;
+  return {
+    name: 'stub',
+    async fetchHourly({ lat }) {
+      if (cfg.stubFile) {
+        if (!fileRows) {
+          const j = JSON.parse(await fs.readFile(cfg.stubFile, 'utf8'));
+          fileRows = (j.hourly || []).map(r => ({ ...r, t: Date.parse(r.time) }));
+        }
+        return fileRows;
+      }
+      const start = Math.floor(Date.now() / 3600000) * 3600000 - 24 * 3600000;
+      return Array.from({ length: 24 * (cfg.forecastDays + 1) }, (_, i) => {
+        const t = start + i * 3600000;
+        const hour = new Date(t).getUTCHours();
+        const diurnal = Math.cos(((hour - 15) / 24) * 2 * Math.PI); // warmest mid-afternoon UTC
+        return {
+          t,
+          temperature_2m: 8 - Math.abs(lat) / 10 + 6 * diurnal,
+          relative_humidity_2m: 75 - 15 * diurnal,
+          cloud_cover: 40,
+          wind_speed_10m: 6,
+        };
+      });
+    },
+  };
+}
+
+const PROVIDERS = { 'open-meteo': openMeteoProvider, stub: stubProvider };
+
+// ------------------------------------------------------------------
+// Service
+
+/** → { enabled, provider, forSensors(sensors) → { forecasts: Map sensor → rows, errors } }. */
+export function createWeatherService(cfg) {
+  if (cfg.provider === 'none') {
+    return { enabled: false, provider: 'none', forSensors: async () => ({ forecasts: new Map(), errors: [] }) };
+  }
+  const make = PROVIDERS[cfg.provider];
+  if (!make) throw new Error(`Unknown WEATHER_PROVIDER '${cfg.provider}' (${Object.keys(PROVIDERS).join(', ')}, none)`);
+  const provider = make(cfg);
+  const cache = new Map(); // "lat,lon" -> { at, ttl, promise }
+
+  function coordsFor(sensor) {
+    const c = cfg.coords[sensor] || cfg.coords['*'];
+    const lat = Number(c?.lat), lon = Number(c?.lon);
+    return Number.isFinite(lat) && Number.isFinite(lon) ? { lat, lon } : null;
+  }
+
+  function hourly(coords) {
+    const key = `${coords.lat.toFixed(3)},${coords.lon.toFixed(3)}`;
+    const hit = cache.get(key);
+    if (hit && Date.now() - hit.at < hit.ttl) return hit.promise;
+    // Store the promise so concurrent callers share one fetch; a failure is kept for
+    // retryMs instead of cacheMs, after which the next request tries again
+    const entry = { at: Date.now(), ttl: cfg.cacheMs, promise: null };
+    entry.promise = provider.fetchHourly(coords).catch((e) => {
+      entry.at = Date.now();
+      entry.ttl = cfg.retryMs;
+      throw e;
+    });
+    cache.set(key, entry);
+    return entry.promise;
+  }
+
+  async function forSensors(sensors) {
+    const forecasts = new Map();
+    const errors = [];
+    await Promise.all([...new Set(sensors)].map(async (sensor) => {
+      const coords = coordsFor(sensor);
+      if (!coords) return;
+      try {
+        forecasts.set(sensor, await hourly(coords));
+      } catch (e) {
+        errors.push({ sensor, error: e.message });
+      }
+    }));
+    return { forecasts, errors };
+  }
+
+  return { enabled: true, provider: provider.name, forSensors };
+}
+
+/** Mix the forecast model's probability into the served one: (1 - weight)·p + weight·fc.
+ * Either side missing → the served probability unchanged.
+ */
+export function blendProbability(p, fc, weight) {
+  if (p == null || fc == null) return p;
+  return (1 - weight) * p + weight * fc;
+}
+
+/** Forecast summary over (fromMs, toMs] → { minTemperature, meanHumidity, meanCloudCover, maxWind } or null. */
+export function summarizeForecast(rows, fromMs, toMs) {
+  const w = (rows || []).filter(r => r.t > fromMs && r.t <= toMs);
+  if (!w.length) return null;
+  const vals = k => w.map(r => r[k]).filter(v => v != null && Number.isFinite(v));
+  const mean = a => (a.length ? a.reduce((s, v) => s + v, 0) / a.length : null);
+  const t = vals('temperature_2m'), h = vals('relative_humidity_2m'), c = vals('cloud_cover'), ws = vals('wind_speed_10m');
+  return {
+    minTemperature: t.length ? Math.min(...t) : null,
+    meanHumidity: mean(h),
+    meanCloudCover: mean(c),
+    maxWind: ws.length ? Math.max(...ws) : null,
+  };
+}
@@ -0,0 +1,408 @@
+// actuators.js (CommonJS)
+// "Act" step: turn per-sensor decisions into on/off commands for actuators
+// (frost fans, sprinkler valves, ...) through pluggable drivers, and track
+// whether each command was acknowledged.
+//
+// Config file (ACTUATORS_FILE, JSON):
+// {
+//   "drivers": {
+//     "sim":   { "type": "simulated", "ackDelayMs": 500, "failRate": 0 },
+//     "hook":  { "type": "http", "url": "https://example/hook", "headers": {}, "awaitAck": false },
+//     "mqtt":  { "type": "mqtt", "url": "mqtt://broker:1883", "topic": "farm/{actuator}/set", "ackTopic": "farm/+/ack" },
+//     "plc":   { "type": "modbus", "host": "10.0.0.5", "port": 502, "unitId": 1 },
+//     "lns":   { "type": "lorawan", "flavor": "chirpstack", "url": "http://chirpstack:8090", "apiKey": "...", "confirmed": true }
+//   },
+//   "zones": { "north": ["sensor-1", "sensor-2"] },
+//   "actuators": [
+//     { "id": "fan-north", "driver": "plc", "zone": "north", "coil": 3 },
+//     { "id": "valve-3",   "driver": "lns", "sensors": ["sensor-3"], "devEui": "a84041...", "fPort": 10,
+//       "payloads": { "on": "01", "off": "00" } }
+//   ]
+// }
+//
+// An actuator is switched on when any of its sensors is TAKE ACTION, off when all of
+// them are NO ACTION, and left alone otherwise. Commands are only sent on a change
+// (or to retry a failed / unacknowledged one).
+//
+// Command status: pending (being sent) → sent (awaiting device ack) → acked | failed | timeout.
+// Drivers without an ack channel report acked as soon as the transport accepts the command.
+
+const fs = require('fs');
+const net = require('net');
+const crypto = require('crypto');
+
+// ---------- Drivers ----------
+// Each factory returns { type, send(cmd, actuator) → Promise<{ acked, externalId?, detail? }>, close?() }.
+// ctx.ack(commandId) lets a driver report an ack that arrives later (MQTT ack topic, simulator).
+
+function httpDriver(opts) {
+  if (!opts.url) throw new Error('http driver needs "url"');
+  return {
+    type: 'http',
+    async send(cmd) {
+      const r = await fetch(opts.url, {
+        method: opts.method || 'POST',
+        headers: { 'Content-Type': 'application/json', ...(opts.headers || {}) },
+        body: JSON.stringify(cmd),
+        signal: AbortSignal.timeout(opts.timeoutMs || 10000),
+      });
+      const text = await r.text();
+      if (!r.ok) throw new Error(`HTTP ${r.status}: ${text.slice(0, 200)}`);
+      // awaitAck: the receiver confirms later via POST /actuators/ack/:commandId (cmd.ackUrl)
+      return { acked: !opts.awaitAck, detail: `HTTP ${r.status}` };
+    },
+  };
+}
+
+function mqttDriver(opts, ctx) {
+  if (!opts.url || !opts.topic) throw new Error('mqtt driver needs "url" and "topic"');
+  let client = null;
+
+  function connect() {
+    if (client) return client;
+    const mqtt = require('mqtt'); // only needed when an MQTT driver is configured
+    client = mqtt.connect(opts.url, {
+      username: opts.username,
+      password: opts.password,
+      clientId: opts.clientId || `sta-${crypto.randomBytes(4).toString('hex')}`,
+      reconnectPeriod: 5000,
+    });
+    client.on('error', e => console.error(`[actuators] mqtt ${opts.url}: ${e.message}`));
+    if (opts.ackTopic) {
+      client.subscribe(opts.ackTopic, { qos: 1 });
+      // Devices publish { "commandId": "..." } once they have switched
+      client.on('message', (_topic, buf) => {
+        try {
+          const j = JSON.parse(buf.toString('utf8'));
+          if (j?.commandId) ctx.ack(String(j.commandId));
+        } catch { /* not ours */ }
+      });
+    }
+    return client;
+  }
+
+  return {
+    type: 'mqtt',
+    async send(cmd) {
+      const topic = opts.topic.replace('{actuator}', cmd.actuator);
+      // publish waits for the broker (PUBACK at QoS 1); give up instead of queueing forever
+      let timer;
+      const timeout = new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new Error(`MQTT publish to ${opts.url} timed out`)), opts.timeoutMs || 10000);
+      });
+      try {
+        await Promise.race([connect().publishAsync(topic, JSON.stringify(cmd), { qos: opts.qos ?? 1, retain: !!opts.retain }), timeout]);
+      } finally {
+        clearTimeout(timer);
+      }
+      return { acked: !opts.ackTopic, detail: `published to ${topic}` };
+    },
+    close() {
+      if (client) client.end(true);
+    },
+  };
+}
+
+// Modbus TCP "Write Single Coil" (function 0x05); the device echoes the request on success
+function modbusDriver(opts) {
+  if (!opts.host) throw new Error('modbus driver needs "host"');
+  let txId = 0;
+  return {
+    type: 'modbus',
+    send(cmd, actuator) {
+      const coil = Number(actuator.coil);
+      if (!Number.isInteger(coil) || coil < 0 || coil > 0xffff) {
+        return Promise.reject(new Error(`actuator ${actuator.id} needs a "coil" address`));
+      }
+      txId = (txId + 1) & 0xffff;
+      const req = Buffer.alloc(12);
+      req.writeUInt16BE(txId, 0);                 // transaction id
+      req.writeUInt16BE(0, 2);                    // protocol id
+      req.writeUInt16BE(6, 4);                    // remaining length
+      req.writeUInt8(Number(actuator.unitId ?? opts.unitId ?? 1), 6);
+      req.writeUInt8(0x05, 7);
+      req.writeUInt16BE(coil, 8);
+      req.writeUInt16BE(cmd.state === 'on' ? 0xff00 : 0x0000, 10);
+
+      return new Promise((resolve, reject) => {
+        const sock = net.connect({ host: opts.host, port: opts.port || 502 });
+        let buf = Buffer.alloc(0);
+        const done = (err, res) => {
+          sock.destroy();
+          if (err) reject(err); else resolve(res);
+        };
+        sock.setTimeout(opts.timeoutMs || 5000, () => done(new Error('Modbus timeout')));
+        sock.on('error', done);
+        sock.on('connect', () => sock.write(req));
+        sock.on('data', (chunk) => {
+          buf = Buffer.concat([buf, chunk]);
+          if (buf.length < 9) return;
+          if (buf.readUInt16BE(0) !== txId) return done(new Error('Modbus transaction id mismatch'));
+          const fn = buf.readUInt8(7);
+          if (fn === 0x85) return done(new Error(`Modbus exception ${buf.readUInt8(8)}`));
+          if (buf.length < 12) return;
+          if (fn !== 0x05 || !buf.subarray(8, 12).equals(req.subarray(8, 12))) {
+            return done(new Error('Unexpected Modbus response'));
+          }
+          done(null, { acked: true, detail: `coil ${coil} = ${cmd.state}` });
+        });
+      });
+    },
+  };
+}
+
+// LoRaWAN downlink through the network server's API.
+//   chirpstack: POST {url}/api/devices/{devEui}/queue             (ChirpStack v4 REST API)
+//   ttn:        POST {url}/api/v3/as/applications/{app}/devices/{deviceId}/down/push
+// With confirmed downlinks the command stays "sent" until the network server's ack event
+// is posted to /actuators/ack.
+function lorawanDriver(opts) {
+  const flavor = (opts.flavor || 'chirpstack').toLowerCase();
+  if (!opts.url || !opts.apiKey) throw new Error('lorawan driver needs "url" and "apiKey"');
+  if (flavor !== 'chirpstack' && flavor !== 'ttn') throw new Error(`lorawan flavor must be chirpstack or ttn (got ${flavor})`);
+  const base = opts.url.replace(/\/$/, '');
+
+  return {
+    type: 'lorawan',
+    async send(cmd, actuator) {
+      const payloads = { on: '01', off: '00', ...(opts.payloads || {}), ...(actuator.payloads || {}) };
+      const data = Buffer.from(String(payloads[cmd.state]), 'hex').toString('base64');
+      const fPort = Number(actuator.fPort ?? opts.fPort ?? 10);
+      const confirmed = !!(actuator.confirmed ?? opts.confirmed);
+
+      let url, headers, body;
+      if (flavor === 'chirpstack') {
+        if (!actuator.devEui) throw new Error(`actuator ${actuator.id} needs "devEui"`);
+        url = `${base}/api/devices/${encodeURIComponent(actuator.devEui)}/queue`;
+        headers = { 'Grpc-Metadata-Authorization': `Bearer ${opts.apiKey}` };
+        body = { queueItem: { confirmed, fPort, data } };
+      } else {
+        const app = actuator.applicationId || opts.applicationId;
+        if (!app || !actuator.deviceId) throw new Error(`actuator ${actuator.id} needs "deviceId" (and an applicationId)`);
+        url = `${base}/api/v3/as/applications/${encodeURIComponent(app)}/devices/${encodeURIComponent(actuator.deviceId)}/down/push`;
+        headers = { Authorization: `Bearer ${opts.apiKey}` };
+        body = { downlinks: [{ f_port: fPort, frm_payload: data, confirmed, correlation_ids: [`sta:${cmd.commandId}`] }] };
+      }
+
+      const r = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: JSON.stringify(body),
+        signal: AbortSignal.timeout(opts.timeoutMs || 10000),
+      });
+      const text = await r.text();
+      if (!r.ok) throw new Error(`${flavor} ${r.status}: ${text.slice(0, 200)}`);
+      let externalId = null;
+      try { externalId = JSON.parse(text)?.id || null; } catch { /* empty body */ }
+      return { acked: !confirmed, externalId, detail: `downlink queued (fPort ${fPort}${confirmed ? ', confirmed' : ''})` };
+    },
+  };
+}
+
+// Local stand-in for real hardware: logs the command and acks it after a delay
+function simulatedDriver(opts, ctx) {
+  const ackDelayMs = Number(opts.ackDelayMs ?? 200);
+  const failRate = Number(opts.failRate ?? 0);
+  return {
+    type: 'simulated',
+    async send(cmd) {
+      if (Math.random() < failRate) throw new Error('Simulated transport failure');
+      console.log(`[actuators] (sim) ${cmd.actuator} -> ${cmd.state} (${cmd.commandId})`);
+      if (ackDelayMs <= 0) return { acked: true, detail: 'simulated' };
+      if (!(Math.random() < Number(opts.dropAckRate ?? 0))) {
+        setTimeout(() => ctx.ack(cmd.commandId), ackDelayMs).unref();
+      }
+      return { acked: false, detail: 'simulated, ack pending' };
+    },
+  };
+}
+
+const DRIVERS = {
+  http: httpDriver,
+  mqtt: mqttDriver,
+  modbus: modbusDriver,
+  lorawan: lorawanDriver,
+  simulated: simulatedDriver,
+};
+
+// ---------- Config ----------
+function loadActuatorConfig(file) {
+  const cfg = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const drivers = cfg.drivers || {};
+  const zones = cfg.zones || {};
+  const ids = new Set();
+  const actuators = (cfg.actuators || []).map((a, i) => {
+    if (!a.id) throw new Error(`actuators[${i}] needs an "id"`);
+    if (ids.has(a.id)) throw new Error(`Duplicate actuator id '${a.id}'`);
+    ids.add(a.id);
+    if (!drivers[a.driver]) throw new Error(`Actuator '${a.id}' uses unknown driver '${a.driver}'`);
+    if (a.zone && !Array.isArray(zones[a.zone])) throw new Error(`Actuator '${a.id}' uses unknown zone '${a.zone}'`);
+    const sensors = [...new Set([...(a.sensors || []), ...(a.zone ? zones[a.zone] : [])].map(String))];
+    if (!sensors.length) throw new Error(`Actuator '${a.id}' is not mapped to any sensor or zone`);
+    return { ...a, zone: a.zone || null, sensors };
+  });
+  return { drivers, zones, actuators };
+}
+
+/** Ack body → { commandId } | { externalId } | null.
+ * Accepts { commandId }, a ChirpStack v4 "ack" event ({ queueItemId, acknowledged }) or a
+ * The Things Stack downlink_ack message (correlation id "sta:<commandId>").
+ */
+function ackRefFromEvent(b) {
+  if (!b || typeof b !== 'object') return null;
+  if (b.commandId) return { commandId: String(b.commandId) };
+  if (b.queueItemId) return b.acknowledged === false ? null : { externalId: String(b.queueItemId) };
+  const ids = b.downlink_ack?.correlation_ids || [];
+  const ours = ids.find(id => String(id).startsWith('sta:'));
+  return ours ? { commandId: String(ours).slice(4) } : null;
+}
+
+// ---------- Manager ----------
+/** Create the actuator manager from a parsed config.
+ * opts: { ackTimeoutMs, publicUrl (for ack links), historyMax, onChange(command) }.
+ * Returns { apply(items), ack({ commandId | externalId }), snapshot(), close() }.
+ */
+function createActuatorManager(config, opts = {}) {
+  const ackTimeoutMs = opts.ackTimeoutMs || 5 * 60 * 1000;
+  const historyMax = opts.historyMax || 200;
+  const onChange = opts.onChange || (() => {});
+
+  const commands = [];          // newest last, capped at historyMax
+  const byId = new Map();       // commandId -> command
+  const ctx = { ack: commandId => ack({ commandId }) };
+
+  const drivers = new Map();
+  for (const [name, d] of Object.entries(config.drivers)) {
+    const make = DRIVERS[d.type];
+    if (!make) throw new Error(`Driver '${name}' has unknown type '${d.type}' (${Object.keys(DRIVERS).join(', ')})`);
+    drivers.set(name, make(d, ctx));
+  }
+
+  const actuators = config.actuators.map(a => ({
+    def: a,
+    state: null,        // last acknowledged state ('on' | 'off')
+    desired: null,
+    lastCommand: null,
+  }));
+
+  function record(cmd) {
+    commands.push(cmd);
+    byId.set(cmd.commandId, cmd);
+    while (commands.length > historyMax) byId.delete(commands.shift().commandId);
+  }
+
+  function settle(cmd, status, detail) {
+    if (cmd.status === 'acked' || cmd.status === 'failed' || cmd.status === 'timeout') return;
+    cmd.status = status;
+    cmd.settledAt = new Date().toISOString();
+    if (detail) cmd.detail = detail;
+    clearTimeout(cmd._timer);
+    if (status === 'acked') {
+      const act = actuators.find(a => a.def.id === cmd.actuator);
+      if (act && act.lastCommand === cmd) act.state = cmd.state;
+    }
+    onChange(cmd);
+  }
+
+  // Desired state from the latest decisions of the actuator's sensors
+  function desiredFor(act, bySensor) {
+    const decisions = act.def.sensors.map(s => bySensor.get(s)?.decision);
+    if (decisions.includes('TAKE ACTION')) return 'on';
+    if (decisions.length && decisions.every(d => d === 'NO ACTION')) return 'off';
+    return null;
+  }
+
+  async function send(act, state, reason) {
+    const commandId = crypto.randomUUID();
+    const cmd = {
+      commandId,
+      actuator: act.def.id,
+      driver: act.def.driver,
+      zone: act.def.zone,
+      sensors: act.def.sensors,
+      state,
+      reason,
+      issuedAt: new Date().toISOString(),
+      ackUrl: opts.publicUrl ? `${opts.publicUrl.replace(/\/$/, '')}/actuators/ack/${commandId}` : undefined,
+      status: 'pending',
+    };
+    record(cmd);
+    act.lastCommand = cmd;
+    onChange(cmd);
+
+    const driver = drivers.get(act.def.driver);
+    try {
+      const { acked, externalId, detail } = await driver.send(
+        { commandId, actuator: cmd.actuator, zone: cmd.zone, sensors: cmd.sensors, state, reason, issuedAt: cmd.issuedAt, ackUrl: cmd.ackUrl },
+        act.def
+      );
+      if (externalId) cmd.externalId = String(externalId);
+      if (acked) return settle(cmd, 'acked', detail);
+      if (cmd.status !== 'pending') return; // ack arrived before send() returned
+      cmd.status = 'sent';
+      cmd.detail = detail;
+      cmd._timer = setTimeout(() => settle(cmd, 'timeout', `No ack within ${Math.round(ackTimeoutMs / 1000)}s`), ackTimeoutMs);
+      cmd._timer.unref();
+      onChange(cmd);
+    } catch (e) {
+      settle(cmd, 'failed', e?.message || String(e));
+    }
+  }
+
+  /** Send commands for actuators whose desired state changed (or whose last command didn't land). */
+  async function apply(items) {
+    const bySensor = new Map(items.map(it => [String(it.sensorName), it]));
+    const jobs = [];
+    for (const act of actuators) {
+      const desired = desiredFor(act, bySensor);
+      act.desired = desired;
+      if (!desired) continue;
+      const last = act.lastCommand;
+      const inFlight = last && last.state === desired && (last.status === 'pending' || last.status === 'sent');
+      if (inFlight || (act.state === desired && last?.status === 'acked')) continue;
+      const triggers = act.def.sensors
+        .map(s => bySensor.get(s))
+        .filter(it => it && it.decision === (desired === 'on' ? 'TAKE ACTION' : 'NO ACTION'))
+        .map(it => it.sensorName);
+      jobs.push(send(act, desired, `${desired === 'on' ? 'TAKE ACTION' : 'NO ACTION'}: ${triggers.join(', ')}`));
+    }
+    await Promise.all(jobs);
+  }
+
+  /** Mark a command acknowledged by our id or the driver's external id → the command or null. */
+  function ack({ commandId, externalId }) {
+    const cmd = commandId
+      ? byId.get(String(commandId))
+      : externalId ? commands.find(c => c.externalId === String(externalId)) : null;
+    if (!cmd) return null;
+    settle(cmd, 'acked', 'acknowledged');
+    return cmd;
+  }
+
+  const publicCommand = ({ _timer, ...c }) => c;
+
+  function snapshot(limit = 50) {
+    return {
+      actuators: actuators.map(a => ({
+        id: a.def.id,
+        driver: a.def.driver,
+        type: drivers.get(a.def.driver).type,
+        zone: a.def.zone,
+        sensors: a.def.sensors,
+        state: a.state,
+        desired: a.desired,
+        lastCommand: a.lastCommand ? publicCommand(a.lastCommand) : null,
+      })),
+      commands: limit > 0 ? commands.slice(-limit).reverse().map(publicCommand) : [],
+    };
+  }
+
+  function close() {
+    for (const c of commands) clearTimeout(c._timer);
+    for (const d of drivers.values()) d.close?.();
+  }
+
+  return { apply, ack, snapshot, close };
+}
+
+module.exports = { loadActuatorConfig, createActuatorManager, ackRefFromEvent, DRIVERS };
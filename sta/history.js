@@ -0,0 +1,209 @@
+// history.js (CommonJS)
+// Persistent decision history: every poll result (per sensor), state-machine transition
+// and actuator command update, so "when did we recommend action last night?" has an answer
+// after the in-memory STATE has moved on.
+//
+// Backends:
+//   - MongoDB (MONGODB_URI + DB_NAME, same connection settings as apisec): records are
+//     batched into HISTORY_COLLECTION; a TTL index drops them after retainDays. Batches that
+//     fail to write stay buffered (up to maxBuffer records) and are retried.
+//   - JSON-lines file (fallback when MONGODB_URI is unset): one record per line, appended;
+//     records older than retainDays are dropped when the server starts.
+//
+// Record shapes (all have `type` and `at`):
+//   poll:       { sensor, time, score, risk, decision, phase, reason, rule }  or  { error } for a failed poll
+//   transition: { sensor, from, to, reason }
+//   command:    { commandId, actuator, sensors, state, status, detail }
+//   alert:      { alertId, token, sensor, reason, openedAt, level, escalatedAt, ackedAt, ackedBy,
+//                 resolvedAt, reopenedAt, notified, deferred }   (notifier.js; latest per alertId wins)
+//   delivery:   { alertId, sensor, recipient, channel, level, attempt, status, detail | error }
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+
+const DAY_MS = 24 * 3600 * 1000;
+
+// ---------- MongoDB ----------
+function mongoBackend(opts) {
+  const { MongoClient, ServerApiVersion } = require('mongodb'); // only needed with MONGODB_URI
+  let collPromise = null;
+  let buffer = [];
+
+  function collection() {
+    if (!collPromise) {
+      collPromise = (async () => {
+        const client = new MongoClient(opts.mongoUri, {
+          maxPoolSize: 5,
+          minPoolSize: 0,
+          serverSelectionTimeoutMS: 5000,
+          retryWrites: true,
+          serverApi: { version: ServerApiVersion.v1, strict: true, deprecationErrors: true },
+        });
+        await client.connect();
+        const coll = client.db(opts.dbName).collection(opts.collection);
+        await coll.createIndex({ at: 1 }, { name: 'at_ttl', expireAfterSeconds: Math.round(opts.retainDays * DAY_MS / 1000) });
+        await coll.createIndex({ sensor: 1, at: 1 }, { name: 'sensor_at' });
+        return { client, coll };
+      })().catch(e => { collPromise = null; throw e; });
+    }
+    return collPromise;
+  }
+
+  // A failed batch goes back to the front of the buffer and is retried on the next tick;
+  // past maxBuffer the oldest records are dropped (Mongo down for a long time).
+  let flushing = null;
+  async function writeBuffer() {
+    while (buffer.length) {
+      const batch = buffer;
+      buffer = [];
+      try {
+        const { coll } = await collection();
+        await coll.insertMany(batch, { ordered: false });
+      } catch (e) {
+        // insertMany gave the records their _id, so a retried record that already landed fails
+        // with a duplicate key (11000) and counts as written; other errors keep the whole batch
+        const failed = e?.writeErrors
+          ? [].concat(e.writeErrors).filter(w => w.code !== 11000).map(w => batch[w.index])
+          : batch;
+        buffer = failed.concat(buffer);
+        const over = buffer.length - opts.maxBuffer;
+        if (over > 0) buffer.splice(0, over);
+        console.error(`[history] write failed, ${buffer.length} record(s) kept for retry${over > 0 ? `, ${over} oldest dropped` : ''}:`, e.message);
+        return;
+      }
+    }
+  }
+  function flush() {
+    if (!flushing) flushing = writeBuffer().finally(() => { flushing = null; });
+    return flushing;
+  }
+  const timer = setInterval(flush, opts.flushMs);
+  timer.unref();
+
+  return {
+    kind: 'mongodb',
+    write(entry) {
+      buffer.push({ ...entry, at: new Date(entry.at) });
+    },
+    async query({ fromMs, toMs, sensor, types, limit }) {
+      await flush();
+      const { coll } = await collection();
+      const q = { at: { $gte: new Date(fromMs), $lte: new Date(toMs) } };
+      if (sensor) q.$or = [{ sensor }, { sensors: sensor }];
+      if (types) q.type = { $in: types };
+      const docs = await coll.find(q, { projection: { _id: 0 } }).sort({ at: 1 }).limit(limit + 1).toArray();
+      return docs.map(d => ({ ...d, at: d.at.toISOString() }));
+    },
+    async close() {
+      clearInterval(timer);
+      await flush();
+      if (collPromise) (await collPromise).client.close().catch(() => {});
+    },
+  };
+}
+
+// ---------- JSON lines ----------
+// Drop records older than the retention window (rewrites the file once at startup)
+function pruneFile(file, retainDays) {
+  let text;
+  try {
+    text = fs.readFileSync(file, 'utf8');
+  } catch (e) {
+    if (e.code === 'ENOENT') return;
+    throw e;
+  }
+  const keepFrom = Date.now() - retainDays * DAY_MS;
+  const lines = text.split('\n').filter(Boolean);
+  const kept = lines.filter(l => {
+    try { return Date.parse(JSON.parse(l).at) >= keepFrom; } catch { return false; }
+  });
+  if (kept.length === lines.length) return;
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, kept.map(l => l + '\n').join(''));
+  fs.renameSync(tmp, file);
+}
+
+function fileBackend(opts) {
+  const file = path.resolve(opts.file);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  if (opts.retainDays > 0) pruneFile(file, opts.retainDays);
+  const out = fs.createWriteStream(file, { flags: 'a' })
+    .on('error', e => console.error('[history] file:', e.message));
+  // Settles once the latest write has reached the file (the stream writes in order, so every
+  // earlier one has too)
+  let written = Promise.resolve();
+
+  return {
+    kind: 'file',
+    file,
+    write(entry) {
+      written = new Promise(res => out.write(JSON.stringify(entry) + '\n', () => res()));
+    },
+    // Records are appended in time order, so stop at the first one past `to`
+    async query({ fromMs, toMs, sensor, types, limit }) {
+      await written;
+      if (!fs.existsSync(file)) return [];
+      const rl = readline.createInterface({ input: fs.createReadStream(file), crlfDelay: Infinity });
+      const found = [];
+      try {
+        for await (const line of rl) {
+          if (!line) continue;
+          let r;
+          try { r = JSON.parse(line); } catch { continue; }
+          const t = Date.parse(r.at);
+          if (t < fromMs) continue;
+          if (t > toMs || found.length > limit) break;
+          if (sensor && r.sensor !== sensor && !(r.sensors || []).includes(sensor)) continue;
+          if (types && !types.includes(r.type)) continue;
+          found.push(r);
+        }
+      } finally {
+        rl.close();
+      }
+      return found;
+    },
+    close() {
+      return new Promise(res => out.end(res));
+    },
+  };
+}
+
+// ---------- Store ----------
+/** opts: { mongoUri, dbName, collection, file, retainDays, flushMs, maxBuffer }.
+ * Returns { kind, record(entry), query({ from, to, sensor, types, limit }) → { records, truncated }, close() }.
+ */
+function createHistoryStore(opts) {
+  const cfg = { collection: 'sta_history', retainDays: 90, flushMs: 1000, maxBuffer: 20000, ...opts };
+  if (cfg.mongoUri && !cfg.dbName) throw new Error('History in MongoDB needs DB_NAME');
+  const backend = cfg.mongoUri ? mongoBackend(cfg) : fileBackend(cfg);
+
+  function record(entry) {
+    try {
+      backend.write({ at: new Date().toISOString(), ...entry });
+    } catch (e) {
+      console.error('[history] record:', e?.message || e);
+    }
+  }
+
+  /** from/to: ISO or ms (default: last 24h); types: list of record types; limit caps the result. */
+  async function query({ from, to, sensor = '', types = null, limit = 5000 } = {}) {
+    const toMs = to != null ? new Date(to).getTime() : Date.now();
+    const fromMs = from != null ? new Date(from).getTime() : toMs - DAY_MS;
+    if (!Number.isFinite(fromMs) || !Number.isFinite(toMs)) throw new Error('from/to must be ISO datetimes');
+    if (fromMs > toMs) throw new Error('from must be before to');
+    const records = await backend.query({ fromMs, toMs, sensor: sensor ? String(sensor) : '', types, limit });
+    const truncated = records.length > limit;
+    return { from: new Date(fromMs).toISOString(), to: new Date(toMs).toISOString(), truncated, records: records.slice(0, limit) };
+  }
+
+  return {
+    kind: backend.kind,
+    file: backend.file || null,
+    record,
+    query,
+    close: () => backend.close(),
+  };
+}
+
+module.exports = { createHistoryStore };
@@ -0,0 +1,224 @@
+// hysteresis.js (CommonJS)
+// Per-sensor on/off state machine for the "Think" step, so decisions don't chatter:
+//   - separate thresholds: switch ON at risk >= on, back OFF only at risk < off
+//   - ON only after `confirmPolls` consecutive high-risk polls
+//   - minimum run time (stay ON) and minimum rest time (stay OFF) after a transition
+//   - manual overrides (force on/off, optionally until a time), persisted to a JSON file
+//   - machine state (phase, since, confirmations) persisted to a JSON file, so a restart
+//     doesn't switch running actuators off or skip the minimum run time
+//
+// step() takes a poll's risk level per sensor: 'high' (>= on), 'low' (< off),
+// 'mid' (between) or null (no probability), and returns the decision with its reason.
+// redecide() re-derives it from the same poll (e.g. after an override change) without
+// counting another confirmation. A `detail` string (e.g. from a rule) replaces the
+// threshold wording in reasons.
+
+const fs = require('fs');
+const path = require('path');
+
+function pct(x) {
+  return x == null || !Number.isFinite(Number(x)) ? '?' : (Number(x) * 100).toFixed(1) + '%';
+}
+function toIso(t) { return new Date(t).toISOString(); }
+
+function readJsonMap(file) {
+  try {
+    const j = JSON.parse(fs.readFileSync(file, 'utf8'));
+    return new Map(Object.entries(j || {}));
+  } catch (e) {
+    if (e.code === 'ENOENT') return new Map();
+    throw new Error(`${file}: ${e.message}`);
+  }
+}
+
+// Write via a temp file so a crash mid-write can't leave half a JSON file
+function writeJsonMap(file, map) {
+  fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(Object.fromEntries(map), null, 2));
+  fs.renameSync(tmp, file);
+}
+
+// Saved machines → Map sensor -> { phase, since (ms), highCount, lastTransition }
+function readMachines(file) {
+  const out = new Map();
+  for (const [sensor, m] of readJsonMap(file)) {
+    if (m?.phase !== 'on' && m?.phase !== 'off') continue;
+    const since = m.since ? Date.parse(m.since) : null;
+    out.set(sensor, {
+      phase: m.phase,
+      since: Number.isFinite(since) ? since : null,
+      highCount: Math.max(0, Number(m.highCount) || 0),
+      lastTransition: m.lastTransition || null,
+    });
+  }
+  return out;
+}
+
+/** opts: { confirmPolls, minRunMs, minRestMs, overridesFile, stateFile }.
+ * Returns { step, redecide, setOverride, clearOverride, overrides, snapshot }.
+ */
+function createDecisionEngine(opts) {
+  const confirmPolls = Math.max(1, opts.confirmPolls || 1);
+  const minRunMs = opts.minRunMs || 0;
+  const minRestMs = opts.minRestMs || 0;
+  // sensor -> { phase, since, highCount, lastTransition }
+  const machines = opts.stateFile ? readMachines(opts.stateFile) : new Map();
+  const overrideMap = opts.overridesFile ? readJsonMap(opts.overridesFile) : new Map(); // sensor -> { mode, until, note, setAt }
+
+  function persist() {
+    if (opts.overridesFile) writeJsonMap(opts.overridesFile, overrideMap);
+  }
+
+  function persistMachines() {
+    if (!opts.stateFile) return;
+    const out = new Map([...machines].map(([sensor, m]) => [sensor, { ...m, since: m.since != null ? toIso(m.since) : null }]));
+    try {
+      writeJsonMap(opts.stateFile, out);
+    } catch (e) {
+      console.error(`[hysteresis] ${opts.stateFile}: ${e.message}`);
+    }
+  }
+
+  function machine(sensor) {
+    let m = machines.get(sensor);
+    if (!m) {
+      m = { phase: 'off', since: null, highCount: 0, lastTransition: null };
+      machines.set(sensor, m);
+    }
+    return m;
+  }
+
+  function activeOverride(sensor, nowMs) {
+    const o = overrideMap.get(sensor);
+    if (!o) return null;
+    if (o.until && Date.parse(o.until) <= nowMs) {
+      overrideMap.delete(sensor);
+      // Runs inside step(): a failed write is logged, not thrown (the expired entry left on
+      // disk expires again after a restart)
+      try {
+        persist();
+      } catch (e) {
+        console.error(`[hysteresis] ${opts.overridesFile}: ${e.message}`);
+      }
+      return null;
+    }
+    return o;
+  }
+
+  function transition(m, to, reason, nowMs) {
+    m.lastTransition = { at: toIso(nowMs), from: m.phase, to, reason };
+    m.phase = to;
+    m.since = nowMs;
+    m.highCount = 0;
+  }
+
+  /** Advance one sensor's machine for this poll.
+   * input: { risk: 'high'|'mid'|'low'|null, score, on, off, detail? }
+   * → { decision, reason, state: { phase, since, highCount, confirmPolls, override, lastTransition }, transitioned }
+   */
+  function step(sensor, input, nowMs = Date.now()) {
+    return advance(sensor, input, nowMs, true);
+  }
+
+  /** Same as step() for a poll that was already counted: a high risk adds no confirmation. */
+  function redecide(sensor, input, nowMs = Date.now()) {
+    return advance(sensor, input, nowMs, false);
+  }
+
+  function advance(sensor, { risk, score, on, off, detail = null }, nowMs, newPoll) {
+    const m = machine(sensor);
+    const saved = `${m.phase}|${m.since}|${m.highCount}`;
+    const hi = detail || `Frost risk ${pct(score)} ≥ ${pct(on)}`;
+    const before = m.lastTransition;
+    const ov = activeOverride(sensor, nowMs);
+    let reason;
+
+    if (ov) {
+      const target = ov.mode === 'on' ? 'on' : 'off';
+      const why = `Manual override: ${target.toUpperCase()}${ov.until ? ` until ${ov.until}` : ''}${ov.note ? ` (${ov.note})` : ''}`;
+      if (m.phase !== target) transition(m, target, why, nowMs);
+      reason = why;
+    } else if (risk == null) {
+      m.highCount = 0;
+      reason = `${detail || 'No probability available'}; holding ${m.phase.toUpperCase()}`;
+    } else if (m.phase === 'off') {
+      if (risk !== 'high') {
+        m.highCount = 0;
+        reason = detail || `Frost risk ${pct(score)} < ${pct(on)}`;
+      } else {
+        // A re-decided poll counts once at most (its count may have been reset by an override)
+        if (newPoll || m.highCount === 0) m.highCount++;
+        const restLeft = m.since != null ? m.since + minRestMs - nowMs : 0;
+        if (m.highCount < confirmPolls) {
+          reason = `${hi} (${m.highCount}/${confirmPolls} polls to confirm)`;
+        } else if (restLeft > 0) {
+          reason = `${hi} but resting until ${toIso(nowMs + restLeft)}`;
+        } else {
+          reason = hi + (confirmPolls > 1 ? ` for ${m.highCount} polls` : '');
+          transition(m, 'on', reason, nowMs);
+        }
+      }
+    } else {
+      const runLeft = m.since != null ? m.since + minRunMs - nowMs : 0;
+      if (risk !== 'low') {
+        reason = `${detail || `Frost risk ${pct(score)} ≥ ${pct(off)} (off threshold)`}; keeping ON`;
+      } else if (runLeft > 0) {
+        reason = `${detail || `Frost risk ${pct(score)} < ${pct(off)}`} but minimum run until ${toIso(nowMs + runLeft)}`;
+      } else {
+        reason = detail || `Frost risk ${pct(score)} < ${pct(off)}`;
+        transition(m, 'off', reason, nowMs);
+      }
+    }
+
+    if (`${m.phase}|${m.since}|${m.highCount}` !== saved) persistMachines();
+
+    const decision = m.phase === 'on' ? 'TAKE ACTION' : (risk == null && !ov ? 'UNKNOWN' : 'NO ACTION');
+    return {
+      decision,
+      reason,
+      state: {
+        phase: m.phase,
+        since: m.since != null ? toIso(m.since) : null,
+        highCount: m.highCount,
+        confirmPolls,
+        override: ov || null,
+        lastTransition: m.lastTransition,
+      },
+      transitioned: m.lastTransition !== before,
+    };
+  }
+
+  /** mode: 'on' | 'off'; until: ISO or null (= until cleared). Persists immediately. */
+  function setOverride(sensor, { mode, until = null, note = '' }) {
+    if (mode !== 'on' && mode !== 'off') throw new Error("mode must be 'on' or 'off'");
+    if (until != null && !Number.isFinite(Date.parse(until))) throw new Error('until must be an ISO datetime');
+    const o = { mode, until: until ? toIso(Date.parse(until)) : null, note: String(note || ''), setAt: toIso(Date.now()) };
+    overrideMap.set(String(sensor), o);
+    persist();
+    return o;
+  }
+
+  function clearOverride(sensor) {
+    const had = overrideMap.delete(String(sensor));
+    if (had) persist();
+    return had;
+  }
+
+  function overrides() {
+    return Object.fromEntries(overrideMap);
+  }
+
+  function snapshot() {
+    return {
+      confirmPolls,
+      minRunMinutes: minRunMs / 60000,
+      minRestMinutes: minRestMs / 60000,
+      overrides: overrides(),
+    };
+  }
+
+  return { step, redecide, setOverride, clearOverride, overrides, snapshot };
+}
+
+module.exports = { createDecisionEngine };
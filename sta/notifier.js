@@ -0,0 +1,440 @@
+// notifier.js (CommonJS)
+// Alerts when a sensor crosses into TAKE ACTION: notify recipients over email (SMTP),
+// webhook (Slack / Teams / plain JSON) or SMS (HTTP gateway), escalate while nobody
+// acknowledges, and record every delivery attempt.
+//
+// Config file (NOTIFY_FILE, JSON):
+// {
+//   "channels": {
+//     "email": { "type": "smtp", "host": "smtp.example.com", "port": 587, "user": "...", "pass": "...", "from": "frost@example.com" },
+//     "ops":   { "type": "webhook", "url": "https://hooks.slack.com/services/...", "format": "slack" },   // slack | teams | json
+//     "sms":   { "type": "sms", "url": "https://gateway.example/send", "headers": { "Authorization": "..." },
+//                "body": { "to": "{to}", "message": "{text}" }, "form": false }
+//   },
+//   "recipients": [
+//     { "id": "grower", "channel": "email", "to": "grower@example.com", "level": 1,
+//       "quietHours": { "start": "22:00", "end": "05:00", "tz": "Australia/Sydney" } },
+//     { "id": "ops-chat", "channel": "ops", "level": 1, "zones": ["north"] },
+//     { "id": "manager", "channel": "sms", "to": "+61400000000", "level": 2 }
+//   ],
+//   "zones": { "north": ["sensor-1", "sensor-2"] },
+//   "escalation": { "afterMinutes": 15, "repeatMinutes": 60 },
+//   "dedupMinutes": 60
+// }
+//
+// - An alert opens when a sensor turns ON and resolves when it turns OFF. While one is open
+//   the same sensor doesn't open another; turning ON within dedupMinutes of the last one
+//   resolving re-opens that alert (escalation carries on, acks stand) instead of a new one.
+// - Level-1 recipients are notified first; each afterMinutes without an ack goes one level
+//   up. At the top level the alert is re-sent every repeatMinutes (0 = never).
+// - A recipient in quiet hours is deferred and notified when they end, if still unacknowledged.
+// - Recipients with sensors/zones only hear about those sensors.
+// - Every alert carries an ack link (GET /alerts/:id/ack?token=... shows a confirm page whose
+//   POST acknowledges, so link previews and scanners can't ack by fetching it).
+// - Every alert change and delivery attempt is passed to onChange as a record for the history
+//   store (types 'alert' and 'delivery'); restore() replays them at startup, so open alerts
+//   keep escalating and their ack links keep working across a restart.
+
+const crypto = require('crypto');
+const fs = require('fs');
+
+const MIN_MS = 60 * 1000;
+const ATTEMPTS = 3;
+const RETRY_DELAY_MS = 2000;
+
+// ---------- Channels ----------
+// Each factory returns { type, send({ to, subject, text, alert }) → Promise<detail string> }.
+
+function smtpChannel(opts) {
+  if (!opts.host || !opts.from) throw new Error('smtp channel needs "host" and "from"');
+  let transport = null;
+  return {
+    type: 'smtp',
+    async send({ to, subject, text }) {
+      if (!to) throw new Error('recipient has no "to" address');
+      if (!transport) {
+        const nodemailer = require('nodemailer'); // only needed when an SMTP channel is configured
+        transport = nodemailer.createTransport({
+          host: opts.host,
+          port: opts.port || 587,
+          secure: !!opts.secure,
+          auth: opts.user ? { user: opts.user, pass: opts.pass } : undefined,
+        });
+      }
+      const info = await transport.sendMail({ from: opts.from, to, subject, text });
+      return `message ${info.messageId || 'sent'}`;
+    },
+  };
+}
+
+async function postJson(url, body, headers = {}, timeoutMs = 10000) {
+  const r = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body),
+    signal: AbortSignal.timeout(timeoutMs),
+  });
+  const text = await r.text();
+  if (!r.ok) throw new Error(`HTTP ${r.status}: ${text.slice(0, 200)}`);
+  return `HTTP ${r.status}`;
+}
+
+// Slack and Teams incoming webhooks both take a JSON POST; "json" also carries the alert fields
+function webhookChannel(opts) {
+  if (!opts.url) throw new Error('webhook channel needs "url"');
+  const format = (opts.format || 'slack').toLowerCase();
+  return {
+    type: 'webhook',
+    send({ subject, text, alert }) {
+      let body;
+      if (format === 'teams') {
+        body = { '@type': 'MessageCard', '@context': 'http://schema.org/extensions', summary: subject, title: subject, text };
+      } else if (format === 'json') {
+        body = { subject, text, alert };
+      } else {
+        body = { text: `*${subject}*\n${text}` };
+      }
+      return postJson(opts.url, body, opts.headers, opts.timeoutMs);
+    },
+  };
+}
+
+// Replace {to}/{text}/{subject} in every string of a body template
+function fillTemplate(tpl, vars) {
+  if (typeof tpl === 'string') return tpl.replace(/\{(\w+)\}/g, (m, k) => (k in vars ? String(vars[k]) : m));
+  if (Array.isArray(tpl)) return tpl.map(x => fillTemplate(x, vars));
+  if (tpl && typeof tpl === 'object') return Object.fromEntries(Object.entries(tpl).map(([k, v]) => [k, fillTemplate(v, vars)]));
+  return tpl;
+}
+
+function smsChannel(opts) {
+  if (!opts.url) throw new Error('sms channel needs "url"');
+  const tpl = opts.body || { to: '{to}', text: '{text}' };
+  return {
+    type: 'sms',
+    async send({ to, subject, text }) {
+      if (!to) throw new Error('recipient has no "to" number');
+      const vars = { to, subject, text: `${subject}: ${text}`.slice(0, opts.maxLength || 600) };
+      const url = fillTemplate(opts.url, Object.fromEntries(Object.entries(vars).map(([k, v]) => [k, encodeURIComponent(v)])));
+      const body = fillTemplate(tpl, vars);
+      if (!opts.form) return postJson(url, body, opts.headers, opts.timeoutMs);
+      const r = await fetch(url, {
+        method: opts.method || 'POST',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded', ...(opts.headers || {}) },
+        body: new URLSearchParams(body).toString(),
+        signal: AbortSignal.timeout(opts.timeoutMs || 10000),
+      });
+      const t = await r.text();
+      if (!r.ok) throw new Error(`HTTP ${r.status}: ${t.slice(0, 200)}`);
+      return `HTTP ${r.status}`;
+    },
+  };
+}
+
+const CHANNELS = { smtp: smtpChannel, webhook: webhookChannel, sms: smsChannel };
+
+// ---------- Quiet hours ----------
+function minutesOfDay(hhmm) {
+  const m = /^(\d{1,2}):(\d{2})$/.exec(String(hhmm || ''));
+  return m ? Number(m[1]) * 60 + Number(m[2]) : null;
+}
+
+// Local minutes since midnight in tz
+function localMinutes(nowMs, tz) {
+  const parts = new Intl.DateTimeFormat('en-GB', { timeZone: tz || 'UTC', hour: '2-digit', minute: '2-digit', hourCycle: 'h23' })
+    .formatToParts(new Date(nowMs));
+  const get = t => Number(parts.find(p => p.type === t)?.value || 0);
+  return get('hour') * 60 + get('minute');
+}
+
+function inQuietHours(q, nowMs) {
+  if (!q) return false;
+  const start = minutesOfDay(q.start), end = minutesOfDay(q.end);
+  if (start == null || end == null || start === end) return false;
+  const t = localMinutes(nowMs, q.tz);
+  return start < end ? t >= start && t < end : t >= start || t < end;
+}
+
+// ---------- Notifier ----------
+function loadNotifyConfig(file) {
+  const cfg = JSON.parse(fs.readFileSync(file, 'utf8'));
+  for (const [name, ch] of Object.entries(cfg.channels || {})) {
+    if (!CHANNELS[ch.type]) throw new Error(`Channel '${name}' has unknown type '${ch.type}' (${Object.keys(CHANNELS).join(', ')})`);
+  }
+  const ids = new Set();
+  for (const [i, r] of (cfg.recipients || []).entries()) {
+    if (!r.id) throw new Error(`recipients[${i}] needs an "id"`);
+    if (ids.has(r.id)) throw new Error(`Duplicate recipient id '${r.id}'`);
+    ids.add(r.id);
+    if (!cfg.channels?.[r.channel]) throw new Error(`Recipient '${r.id}' uses unknown channel '${r.channel}'`);
+    for (const z of r.zones || []) {
+      if (!Array.isArray(cfg.zones?.[z])) throw new Error(`Recipient '${r.id}' uses unknown zone '${z}'`);
+    }
+    if (r.quietHours && (minutesOfDay(r.quietHours.start) == null || minutesOfDay(r.quietHours.end) == null)) {
+      throw new Error(`Recipient '${r.id}': quietHours needs start/end as HH:MM`);
+    }
+  }
+  return cfg;
+}
+
+/** opts: { publicUrl, historyMax, onChange(record) }; record is an 'alert' (full state, including
+ * the ack token) or a 'delivery' history record.
+ * Returns { onTransition(sensor, to, reason), tick(), find(id, token), ack(id, token, by), restore(records), snapshot(), close() }.
+ */
+function createNotifier(config, opts = {}) {
+  const escalation = { afterMinutes: 15, repeatMinutes: 0, ...(config.escalation || {}) };
+  const dedupMs = (config.dedupMinutes ?? 60) * MIN_MS;
+  const historyMax = opts.historyMax || 200;
+  const onChange = opts.onChange || (() => {});
+
+  const channels = new Map(Object.entries(config.channels || {}).map(([name, c]) => [name, CHANNELS[c.type](c)]));
+  const recipients = (config.recipients || []).map(r => ({
+    ...r,
+    level: Number(r.level || 1),
+    sensors: new Set([...(r.sensors || []), ...(r.zones || []).flatMap(z => config.zones[z])].map(String)),
+  }));
+  const maxLevel = Math.max(1, ...recipients.map(r => r.level));
+
+  const alerts = [];       // newest last
+  const deliveries = [];   // newest last
+  let timer = null;
+
+  const trim = arr => { while (arr.length > historyMax) arr.shift(); };
+  const covers = (r, sensor) => !r.sensors.size || r.sensors.has(sensor);
+  const ackLink = a => (opts.publicUrl ? `${opts.publicUrl.replace(/\/$/, '')}/alerts/${a.id}/ack?token=${a.token}` : null);
+
+  function message(a) {
+    const link = ackLink(a);
+    return {
+      subject: `Frost alert: ${a.sensor} – TAKE ACTION${a.level > 1 ? ` (escalation level ${a.level})` : ''}`,
+      text: `${a.sensor} entered TAKE ACTION at ${a.openedAt}. ${a.reason}` + (link ? `\nAcknowledge: ${link}` : ''),
+    };
+  }
+
+  function record(entry) {
+    const d = { at: new Date().toISOString(), ...entry };
+    deliveries.push(d);
+    trim(deliveries);
+    onChange({ type: 'delivery', ...d });
+  }
+
+  // Alert state as a history record (restore() reads it back)
+  function changed(a) {
+    onChange({
+      type: 'alert',
+      alertId: a.id,
+      token: a.token,
+      sensor: a.sensor,
+      reason: a.reason,
+      openedAt: a.openedAt,
+      level: a.level,
+      escalatedAt: new Date(a.escalatedAt).toISOString(),
+      ackedAt: a.ackedAt,
+      ackedBy: a.ackedBy,
+      resolvedAt: a.resolvedAt,
+      reopenedAt: a.reopenedAt,
+      notified: [...a.notified],
+      deferred: [...a.deferred],
+    });
+  }
+
+  async function deliver(a, r) {
+    const channel = channels.get(r.channel);
+    const { subject, text } = message(a);
+    for (let attempt = 1; attempt <= ATTEMPTS; attempt++) {
+      try {
+        const detail = await channel.send({ to: r.to, subject, text, alert: publicAlert(a) });
+        record({ alertId: a.id, sensor: a.sensor, recipient: r.id, channel: r.channel, level: a.level, attempt, status: 'sent', detail });
+        return true;
+      } catch (e) {
+        record({ alertId: a.id, sensor: a.sensor, recipient: r.id, channel: r.channel, level: a.level, attempt, status: 'failed', error: e?.message || String(e) });
+        if (attempt < ATTEMPTS) await new Promise(res => setTimeout(res, RETRY_DELAY_MS * attempt));
+      }
+    }
+    return false;
+  }
+
+  // Notify everyone at `level` (quiet hours → deferred); skips recipients already told at this level
+  async function notifyLevel(a, level, nowMs, { repeat = false } = {}) {
+    const jobs = [];
+    const before = `${a.notified.size}|${a.deferred.size}`;
+    for (const r of recipients) {
+      if (r.level !== level || !covers(r, a.sensor)) continue;
+      const key = `${r.id}@${level}`;
+      if (!repeat && a.notified.has(key)) continue;
+      if (inQuietHours(r.quietHours, nowMs)) {
+        if (!a.deferred.has(key)) {
+          a.deferred.add(key);
+          record({ alertId: a.id, sensor: a.sensor, recipient: r.id, channel: r.channel, level, attempt: 0, status: 'deferred', detail: 'quiet hours' });
+        }
+        continue;
+      }
+      a.deferred.delete(key);
+      a.notified.add(key);
+      jobs.push(deliver(a, r));
+    }
+    if (`${a.notified.size}|${a.deferred.size}` !== before) changed(a);
+    await Promise.all(jobs);
+  }
+
+  /** Feed a decision transition from the state machine. */
+  async function onTransition(sensor, to, reason, nowMs = Date.now()) {
+    const open = alerts.find(a => a.sensor === sensor && !a.resolvedAt);
+    if (to === 'off') {
+      if (open) {
+        open.resolvedAt = new Date(nowMs).toISOString();
+        changed(open);
+      }
+      return;
+    }
+    if (open) return;
+    const last = alerts.findLast(a => a.sensor === sensor);
+    if (last?.resolvedAt && nowMs - Date.parse(last.resolvedAt) < dedupMs) {
+      // Same episode flapping: un-resolve it; tick() resumes escalation unless it was acked
+      last.resolvedAt = null;
+      last.reopenedAt = new Date(nowMs).toISOString();
+      last.reason = reason;
+      last.escalatedAt = nowMs;
+      changed(last);
+      record({ alertId: last.id, sensor, recipient: null, channel: null, level: last.level, attempt: 0, status: 'reopened', detail: `ON again within ${dedupMs / MIN_MS} min of resolving` });
+      return;
+    }
+
+    const a = {
+      id: crypto.randomBytes(6).toString('hex'),
+      token: crypto.randomBytes(16).toString('hex'),
+      sensor,
+      reason,
+      openedAt: new Date(nowMs).toISOString(),
+      level: 1,
+      escalatedAt: nowMs,
+      ackedAt: null,
+      ackedBy: null,
+      resolvedAt: null,
+      reopenedAt: null,
+      notified: new Set(),
+      deferred: new Set(),
+    };
+    alerts.push(a);
+    trim(alerts);
+    changed(a);
+    await notifyLevel(a, 1, nowMs);
+  }
+
+  /** Periodic work: deliver deferred notifications, escalate / repeat unacknowledged alerts. */
+  async function tick(nowMs = Date.now()) {
+    for (const a of alerts) {
+      if (a.ackedAt || a.resolvedAt) continue;
+      for (let l = 1; l <= a.level; l++) await notifyLevel(a, l, nowMs);
+      const waited = nowMs - a.escalatedAt;
+      if (a.level < maxLevel && waited >= escalation.afterMinutes * MIN_MS) {
+        a.level++;
+        a.escalatedAt = nowMs;
+        changed(a);
+        await notifyLevel(a, a.level, nowMs);
+      } else if (a.level === maxLevel && escalation.repeatMinutes > 0 && waited >= escalation.repeatMinutes * MIN_MS) {
+        a.escalatedAt = nowMs;
+        changed(a);
+        await notifyLevel(a, a.level, nowMs, { repeat: true });
+      }
+    }
+  }
+
+  function byToken(id, token) {
+    const a = alerts.find(x => x.id === id);
+    if (!a) return null;
+    const given = Buffer.from(String(token || ''));
+    const want = Buffer.from(a.token);
+    return given.length === want.length && crypto.timingSafeEqual(given, want) ? a : null;
+  }
+
+  /** The alert for an ack link, without acknowledging it → the alert or null (unknown id / bad token). */
+  function find(id, token) {
+    const a = byToken(id, token);
+    return a ? publicAlert(a) : null;
+  }
+
+  /** Acknowledge an alert with its link token → the alert or null (unknown id / bad token). */
+  function ack(id, token, by = '') {
+    const a = byToken(id, token);
+    if (!a) return null;
+    if (!a.ackedAt) {
+      a.ackedAt = new Date().toISOString();
+      a.ackedBy = String(by || '') || null;
+      changed(a);
+    }
+    return publicAlert(a);
+  }
+
+  function publicAlert(a) {
+    return {
+      id: a.id,
+      sensor: a.sensor,
+      reason: a.reason,
+      openedAt: a.openedAt,
+      level: a.level,
+      ackedAt: a.ackedAt,
+      ackedBy: a.ackedBy,
+      resolvedAt: a.resolvedAt,
+      reopenedAt: a.reopenedAt,
+    };
+  }
+
+  /** Rebuild alerts and deliveries from history records (oldest first): each alert's latest
+   * record wins. Alerts already known here are left alone. → { alerts, open } counts.
+   */
+  function restore(records) {
+    const latest = new Map();
+    const restored = [];
+    for (const r of records) {
+      if (r.type === 'alert' && r.alertId && r.token) latest.set(r.alertId, r);
+      else if (r.type === 'delivery') {
+        const { type, ...d } = r;
+        restored.push(d);
+      }
+    }
+    deliveries.unshift(...restored);
+    trim(deliveries);
+    const known = new Set(alerts.map(a => a.id));
+    const back = [...latest.values()]
+      .filter(r => !known.has(r.alertId))
+      .map(r => ({
+        id: r.alertId,
+        token: r.token,
+        sensor: r.sensor,
+        reason: r.reason,
+        openedAt: r.openedAt,
+        level: Number(r.level) || 1,
+        escalatedAt: Date.parse(r.escalatedAt) || Date.parse(r.openedAt),
+        ackedAt: r.ackedAt || null,
+        ackedBy: r.ackedBy || null,
+        resolvedAt: r.resolvedAt || null,
+        reopenedAt: r.reopenedAt || null,
+        notified: new Set(r.notified || []),
+        deferred: new Set(r.deferred || []),
+      }));
+    alerts.unshift(...back);
+    alerts.sort((x, y) => Date.parse(x.openedAt) - Date.parse(y.openedAt));
+    trim(alerts);
+    if (back.length) onChange();
+    return { alerts: back.length, open: back.filter(a => !a.resolvedAt).length };
+  }
+
+  function snapshot(limit = 20) {
+    return {
+      alerts: alerts.slice(-limit).reverse().map(publicAlert),
+      deliveries: limit > 0 ? deliveries.slice(-limit).reverse() : [],
+    };
+  }
+
+  timer = setInterval(() => tick().catch(e => console.error('[notify] tick:', e?.message || e)), 30 * 1000);
+  timer.unref();
+
+  function close() {
+    clearInterval(timer);
+  }
+
+  return { onTransition, tick, find, ack, restore, snapshot, close };
+}
+
+module.exports = { loadNotifyConfig, createNotifier, inQuietHours, CHANNELS };
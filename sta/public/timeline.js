@@ -0,0 +1,58 @@
+/*!
+ * statimeline – risk vs. decision timeline from STA's GET /history, shared by STA's own page
+ * and websec's /sta page (both load it from STA: GET /timeline.js)
+ * API:
+ *   statimeline.svg(records, { from, to, sensor })    history records → <svg> inner markup
+ *                                                      (probability line, threshold, shaded
+ *                                                       TAKE ACTION spans, transition marks)
+ *   statimeline.render(svgEl, { base, sensor, hours }) fetch base + /history and draw into svgEl
+ * Styling is the page's: #timeline .score / .thr / .on / .tr / text
+ */
+(function (global) {
+  const statimeline = {};
+
+  const W = 1000, H = 220, top = 10, bottom = 20;
+
+  function esc(s) { return String(s ?? '').replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[c])); }
+  function pct(x) { return (x == null || !isFinite(x)) ? '' : (Number(x) * 100).toFixed(1) + '%'; }
+
+  statimeline.svg = function (recs, { from, to, sensor }) {
+    if (!sensor) return '<text x="10" y="20">No sensors yet</text>';
+    const polls = recs.filter(r => r.type === 'poll');
+    if (!polls.length) return '<text x="10" y="20">No history for ' + esc(sensor) + ' in this range</text>';
+    const yMax = Math.max(0.05, ...polls.map(p => Math.max(p.score || 0, p.threshold || 0))) * 1.1;
+    const x = t => ((Date.parse(t) - from) / (to - from) * W).toFixed(1);
+    const y = v => (top + (1 - v / yMax) * (H - top - bottom)).toFixed(1);
+    const line = (pts, cls) => pts.length ? '<polyline class="' + cls + '" points="' + pts.join(' ') + '"/>' : '';
+    let bands = '';
+    polls.forEach((p, i) => {
+      if (p.decision !== 'TAKE ACTION') return;
+      const end = polls[i + 1] ? polls[i + 1].at : new Date(to).toISOString();
+      bands += '<rect class="on" x="' + x(p.at) + '" y="' + top + '" width="' + Math.max(1, x(end) - x(p.at)).toFixed(1) + '" height="' + (H - top - bottom) + '"/>';
+    });
+    const marks = recs.filter(r => r.type === 'transition').map(t =>
+      '<line class="tr" x1="' + x(t.at) + '" x2="' + x(t.at) + '" y1="' + top + '" y2="' + (H - bottom) + '"><title>' + esc(t.from + ' -> ' + t.to + ' at ' + t.at + ': ' + t.reason) + '</title></line>').join('');
+    return bands + marks
+      + line(polls.filter(p => p.threshold != null).map(p => x(p.at) + ',' + y(p.threshold)), 'thr')
+      + line(polls.filter(p => p.score != null).map(p => x(p.at) + ',' + y(p.score)), 'score')
+      + '<text x="4" y="' + (top + 10) + '">' + pct(yMax) + '</text>'
+      + '<text x="4" y="' + (H - 6) + '">' + esc(new Date(from).toISOString().slice(0, 16)) + '</text>'
+      + '<text x="' + (W - 4) + '" y="' + (H - 6) + '" text-anchor="end">' + esc(new Date(to).toISOString().slice(0, 16)) + '</text>';
+  };
+
+  // A failed fetch draws the "no history" message rather than leaving the last chart up
+  statimeline.render = async function (el, { base = '', sensor, hours }) {
+    const to = Date.now(), from = to - Number(hours) * 3600 * 1000;
+    let recs = [];
+    if (sensor) {
+      try {
+        const r = await fetch(base + '/history?type=poll,transition&sensor=' + encodeURIComponent(sensor) + '&from=' + new Date(from).toISOString(), { cache: 'no-store' });
+        if (r.ok) recs = (await r.json()).records;
+      } catch (_) {}
+    }
+    el.innerHTML = statimeline.svg(recs, { from, to, sensor });
+  };
+
+  if (typeof module === 'object' && module.exports) module.exports = statimeline;
+  else global.statimeline = statimeline;
+})(typeof window !== 'undefined' ? window : globalThis);
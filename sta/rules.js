@@ -0,0 +1,298 @@
+// rules.js (CommonJS)
+// Declarative per-zone decision rules combining the predictor's output with the
+// latest sensor readings (APISec /sensors/latest-all).
+//
+// Rules file (RULES_FILE, .json or .yaml/.yml):
+//   zones:
+//     north: [sensor-1, sensor-2]
+//   rules:
+//     - name: north-frost
+//       zones: [north]              # zone names, or "*" for every sensor
+//       sensors: [sensor-9]         # optional extra sensors
+//       when:                       # act if ...
+//         any:
+//           - { field: prediction.calibratedProbability, op: ">=", value: 0.3 }
+//           - { field: readings.temperature, op: "<=", value: 1.5 }
+//           - all:
+//               - { field: readings.dewpointSpread, op: "<", value: 1 }
+//               - { field: readings.dewpointSpreadChange, op: "<", value: 0 }   # falling
+//       release:                    # optional: only allow OFF once this holds (default: not `when`)
+//         all:
+//           - { field: readings.temperature, op: ">", value: 3 }
+//
+// Conditions: { any: [...] }, { all: [...] }, { not: {...} } or a comparison
+// { field, op: < <= > >= == !=, value | ref: <other field> }. A comparison on a missing
+// field is false. The first rule that covers a sensor decides its risk:
+//   when → 'high';  release defined and not met → 'mid';  otherwise 'low'
+//   — unless every field the rule reads is missing (no prediction, no readings): then null,
+//   and the sensor holds its current state like a poll without a probability.
+// Sensors no rule covers keep the plain threshold decision.
+//
+// Fields:
+//   sensor, zone
+//   prediction.{calibratedProbability, score, rawScore, frost, horizonHours, time, quality, threshold}
+//   readings.{temperature, humidity, dewpoint, dewpointSpread, time, ageMinutes,
+//             temperatureChange, dewpointSpreadChange}   (changes vs. the previous reading, °C)
+
+const fs = require('fs');
+const path = require('path');
+
+const OPS = {
+  '<':  (a, b) => a < b,
+  '<=': (a, b) => a <= b,
+  '>':  (a, b) => a > b,
+  '>=': (a, b) => a >= b,
+  '==': (a, b) => a === b,
+  '!=': (a, b) => a !== b,
+};
+
+// ---------- Loading + validation ----------
+function parseRulesFile(file) {
+  const text = fs.readFileSync(file, 'utf8');
+  if (/\.ya?ml$/i.test(file)) return require('yaml').parse(text); // yaml only needed for YAML files
+  return JSON.parse(text);
+}
+
+function checkCondition(c, where) {
+  if (!c || typeof c !== 'object') throw new Error(`${where}: condition must be an object`);
+  if (Array.isArray(c.any) || Array.isArray(c.all)) {
+    const list = c.any || c.all;
+    if (!list.length) throw new Error(`${where}: empty ${c.any ? 'any' : 'all'}`);
+    list.forEach((x, i) => checkCondition(x, `${where}.${c.any ? 'any' : 'all'}[${i}]`));
+    return;
+  }
+  if (c.not) return checkCondition(c.not, `${where}.not`);
+  if (typeof c.field !== 'string') throw new Error(`${where}: needs any/all/not or a "field"`);
+  if (!OPS[c.op]) throw new Error(`${where}: op must be one of ${Object.keys(OPS).join(' ')}`);
+  if (c.value === undefined && typeof c.ref !== 'string') throw new Error(`${where}: needs "value" or "ref"`);
+}
+
+/** Validate a parsed rules config → { zones, rules, usesReadings }. Throws with the offending path. */
+function compileRules(config) {
+  const zones = config?.zones || {};
+  for (const [z, list] of Object.entries(zones)) {
+    if (!Array.isArray(list)) throw new Error(`zones.${z} must be a list of sensors`);
+  }
+  const rules = (config?.rules || []).map((r, i) => {
+    const name = r.name || `rule-${i + 1}`;
+    const zoneNames = Array.isArray(r.zones) ? r.zones : r.zone ? [r.zone] : [];
+    for (const z of zoneNames) {
+      if (z !== '*' && !zones[z]) throw new Error(`rules[${i}] (${name}): unknown zone '${z}'`);
+    }
+    if (!zoneNames.length && !(r.sensors || []).length) throw new Error(`rules[${i}] (${name}): needs zones or sensors`);
+    checkCondition(r.when, `rules[${i}].when`);
+    if (r.release) checkCondition(r.release, `rules[${i}].release`);
+    return {
+      name,
+      all: zoneNames.includes('*'),
+      zones: zoneNames.filter(z => z !== '*'),
+      sensors: new Set([...(r.sensors || []), ...zoneNames.flatMap(z => zones[z] || [])].map(String)),
+      when: r.when,
+      release: r.release || null,
+    };
+  });
+  const usesReadings = JSON.stringify(config?.rules || []).includes('readings.');
+  return { zones, rules, usesReadings };
+}
+
+function loadRules(file) {
+  return compileRules(parseRulesFile(path.resolve(file)));
+}
+
+// ---------- Readings ----------
+function dewpointC(tC, rh) {
+  if (tC == null || rh == null || rh <= 0) return null;
+  const a = 17.62, b = 243.12;
+  const g = (a * tC) / (b + tC) + Math.log(rh / 100);
+  return (b * g) / (a - g);
+}
+
+const num = v => (v == null || v === '' || !Number.isFinite(Number(v)) ? null : Number(v));
+
+const HUM_NA_SENTINEL = 6553.5; // LSN50 "no humidity probe"
+const TEMP_NA_SENTINEL = 327.67; // LSN50 "no temperature probe" (0x7FFF / 100)
+
+// Field aliases in priority order: the same lists APISec reads raw readings with
+// (apisec/readings.js TEMP_FIELDS / HUM_FIELDS), so a rule sees what the dashboards show
+const TEMP_FIELDS = [
+  'TempC_SHT', 'TempC1', 'temperature_c', 'temperatureC', 'temperature',
+  'temp_c', 'tempC', 'temp', 'tC', 'temp_sht', 'temp1',
+];
+const HUM_FIELDS = ['Hum_SHT', 'hum', 'humidity', 'hum_SHT', 'hum_SMT', 'relative_humidity', 'rh'];
+
+const normKey = k => String(k).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// Case-insensitive lookup: aliases in priority order, each on the decoded payload first,
+// then the top level. Empty values and the "no probe" sentinel fall through to the next alias.
+function pick(doc, names, sentinel = null) {
+  for (const name of names.map(normKey)) {
+    for (const src of [doc?.object, doc]) {
+      if (!src || typeof src !== 'object') continue;
+      for (const [k, v] of Object.entries(src)) {
+        if (normKey(k) !== name) continue;
+        if (v == null || v === '' || num(v) === sentinel) continue;
+        return v;
+      }
+    }
+  }
+  return undefined;
+}
+
+/** Latest readings → Map sensor → { temperature, humidity, dewpoint, dewpointSpread, time }.
+ * Accepts raw uplink docs (as /sensors/latest-all returns them) or { <sensor>: { temperature, humidity, time } }.
+ */
+function readingsBySensor(input) {
+  const out = new Map();
+  const add = (sensor, time, t, h) => {
+    let temperature = num(t);
+    if (temperature === TEMP_NA_SENTINEL) temperature = null;
+    let humidity = num(h);
+    if (humidity === HUM_NA_SENTINEL || (humidity != null && (humidity < 0 || humidity > 100))) humidity = null;
+    const dewpoint = dewpointC(temperature, humidity);
+    out.set(String(sensor), {
+      temperature,
+      humidity,
+      dewpoint,
+      dewpointSpread: dewpoint == null ? null : temperature - dewpoint,
+      time: time || null,
+    });
+  };
+  if (Array.isArray(input)) {
+    for (const doc of input) {
+      const sensor = doc?.deviceInfo?.deviceName || doc?.sensorId || doc?.deviceName;
+      if (!sensor) continue;
+      const time = doc.time || (doc.ts ? new Date(doc.ts).toISOString() : null);
+      add(sensor, time,
+        pick(doc, TEMP_FIELDS, TEMP_NA_SENTINEL),
+        pick(doc, HUM_FIELDS, HUM_NA_SENTINEL));
+    }
+  } else if (input && typeof input === 'object') {
+    for (const [sensor, r] of Object.entries(input)) add(sensor, r?.time, r?.temperature, r?.humidity);
+  }
+  return out;
+}
+
+/** Reading plus age and changes vs. the previous reading (null when there is none). */
+function withChanges(r, prev, nowMs = Date.now()) {
+  const change = (a, b) => (a == null || b == null ? null : a - b);
+  const t = r.time ? Date.parse(r.time) : NaN;
+  return {
+    ...r,
+    ageMinutes: Number.isFinite(t) ? (nowMs - t) / 60000 : null,
+    temperatureChange: change(r.temperature, prev?.temperature),
+    dewpointSpreadChange: change(r.dewpointSpread, prev?.dewpointSpread),
+  };
+}
+
+/** Remembers the previous distinct reading per sensor to derive temperature/spread changes. */
+function createReadingTracker() {
+  const last = new Map(); // sensor -> { cur, prev }
+
+  /** Record this poll's readings → Map sensor → readings with change fields. */
+  function update(readings, nowMs = Date.now()) {
+    const out = new Map();
+    for (const [sensor, r] of readings) {
+      let e = last.get(sensor);
+      if (!e) last.set(sensor, (e = { cur: r, prev: null }));
+      else if (r.time && r.time !== e.cur.time) { e.prev = e.cur; e.cur = r; }
+      out.set(sensor, withChanges(r, e.prev, nowMs));
+    }
+    return out;
+  }
+
+  return { update };
+}
+
+// ---------- Evaluation ----------
+function getPath(ctx, p) {
+  let v = ctx;
+  for (const k of p.split('.')) {
+    if (v == null || typeof v !== 'object') return undefined;
+    v = v[k];
+  }
+  return v;
+}
+
+function fmt(v) {
+  return typeof v === 'number' ? String(Number(v.toPrecision(3))) : JSON.stringify(v);
+}
+
+// → { ok, why: [human-readable facts that made it true (or false)] }
+function test(c, ctx) {
+  if (c.any) {
+    const results = c.any.map(x => test(x, ctx));
+    const hit = results.filter(r => r.ok);
+    return hit.length ? { ok: true, why: hit.flatMap(r => r.why) } : { ok: false, why: results.flatMap(r => r.why) };
+  }
+  if (c.all) {
+    const results = c.all.map(x => test(x, ctx));
+    const miss = results.filter(r => !r.ok);
+    return miss.length ? { ok: false, why: miss.flatMap(r => r.why) } : { ok: true, why: results.flatMap(r => r.why) };
+  }
+  if (c.not) {
+    const r = test(c.not, ctx);
+    return { ok: !r.ok, why: r.why.map(w => `not(${w})`) };
+  }
+  const a = getPath(ctx, c.field);
+  const b = c.ref ? getPath(ctx, c.ref) : c.value;
+  if (a == null || b == null) return { ok: false, why: [`${c.field} missing`] };
+  const ok = OPS[c.op](a, b);
+  return { ok, why: [`${c.field} ${fmt(a)} ${ok ? c.op : `!${c.op}`} ${c.ref ? `${c.ref} ${fmt(b)}` : fmt(b)}`] };
+}
+
+// Field and ref paths a condition reads
+function fieldsOf(c) {
+  if (c.any || c.all) return (c.any || c.all).flatMap(fieldsOf);
+  if (c.not) return fieldsOf(c.not);
+  return c.ref ? [c.field, c.ref] : [c.field];
+}
+
+function ruleFor(compiled, sensor) {
+  return compiled.rules.find(r => r.all || r.sensors.has(sensor)) || null;
+}
+
+function zoneOf(compiled, sensor) {
+  return Object.keys(compiled.zones).find(z => compiled.zones[z].map(String).includes(sensor)) || null;
+}
+
+/** Evaluate the rule covering `sensor` → null (no rule) or
+ * { rule, zone, risk: 'high'|'mid'|'low'|null, matched, released, detail, trace }.
+ */
+function evaluate(compiled, sensor, { prediction = null, readings = null }) {
+  const rule = ruleFor(compiled, sensor);
+  if (!rule) return null;
+  const zone = zoneOf(compiled, sensor);
+  const ctx = { sensor, zone, prediction: prediction || {}, readings: readings || {} };
+  const fields = [...new Set([...fieldsOf(rule.when), ...(rule.release ? fieldsOf(rule.release) : [])])];
+  if (fields.every(f => getPath(ctx, f) == null)) {
+    const why = fields.map(f => `${f} missing`);
+    return {
+      rule: rule.name,
+      zone,
+      risk: null,
+      matched: false,
+      released: null,
+      detail: `Rule ${rule.name}: no data (${why.join('; ')})`,
+      trace: { when: why, release: null },
+    };
+  }
+  const when = test(rule.when, ctx);
+  const release = rule.release ? test(rule.release, ctx) : null;
+  const risk = when.ok ? 'high' : release && !release.ok ? 'mid' : 'low';
+  const detail = when.ok
+    ? `Rule ${rule.name}: ${when.why.join('; ')}`
+    : release && !release.ok
+      ? `Rule ${rule.name} not met, release not met: ${release.why.join('; ')}`
+      : `Rule ${rule.name} not met (${when.why.slice(0, 3).join('; ')})`;
+  return {
+    rule: rule.name,
+    zone,
+    risk,
+    matched: when.ok,
+    released: release ? release.ok : !when.ok,
+    detail,
+    trace: { when: when.why, release: release ? release.why : null },
+  };
+}
+
+module.exports = { compileRules, loadRules, readingsBySensor, withChanges, createReadingTracker, evaluate, ruleFor };
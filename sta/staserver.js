@@ -6,6 +6,12 @@
 
 const express = require('express');
 const path = require('path');
+const crypto = require('crypto');
+const { loadActuatorConfig, createActuatorManager, ackRefFromEvent } = require('./actuators');
+const { createDecisionEngine } = require('./hysteresis');
+const { loadNotifyConfig, createNotifier } = require('./notifier');
+const { createHistoryStore } = require('./history');
+const { compileRules, loadRules, readingsBySensor, withChanges, createReadingTracker, evaluate, ruleFor } = require('./rules');
 
 // ---------- Config (override via env) ----------
 const CFG = Object.freeze({
@@ -24,17 +30,56 @@ const CFG = Object.freeze({
 
   LOOKBACK_HOURS: Number(process.env.LOOKBACK_HOURS || 24),
 
+  // Decision rules per zone (see rules.js; .json or .yaml). Unset = threshold decision only.
+  RULES_FILE: process.env.RULES_FILE || '',
+  // Latest readings for rules that reference readings.* (APISec, x-api-key)
+  LATEST_URL: process.env.LATEST_URL || 'http://localhost:3000/sensors/latest-all',
+  API_KEY: process.env.API_KEY || '',
+
   // Forward prediction controls (if your predictor supports them)
   FORWARD: /^true$/i.test(process.env.FORWARD || 'true'),
   HORIZON_HOURS: Number(process.env.HORIZON_HOURS || 8),
 
-  // Decision threshold (probability >= threshold => frost)
-  FROST_THRESHOLD: Number(process.env.FROST_THRESHOLD || 0.8),
+  // Decision threshold override (calibrated probability >= threshold => frost).
+  // Unset = use the predictor's own decision and tuned threshold (threshold.json).
+  FROST_THRESHOLD: process.env.FROST_THRESHOLD ? Number(process.env.FROST_THRESHOLD) : null,
+
+  // Hysteresis (see hysteresis.js): switch ON at >= threshold, back OFF only below the
+  // off threshold (default threshold × HYSTERESIS_OFF_RATIO)
+  FROST_OFF_THRESHOLD: process.env.FROST_OFF_THRESHOLD ? Number(process.env.FROST_OFF_THRESHOLD) : null,
+  HYSTERESIS_OFF_RATIO: Number(process.env.HYSTERESIS_OFF_RATIO || 0.75),
+  CONFIRM_POLLS: Number(process.env.CONFIRM_POLLS || 1),   // consecutive high-risk polls before ON
+  MIN_RUN_MIN: Number(process.env.MIN_RUN_MIN ?? 30),      // stay ON at least this long
+  MIN_REST_MIN: Number(process.env.MIN_REST_MIN ?? 10),    // stay OFF at least this long
+  OVERRIDES_FILE: process.env.OVERRIDES_FILE || path.join(__dirname, 'data', 'overrides.json'),
+  // Per-sensor machine state (phase, since, confirmations), restored at startup
+  STATE_FILE: process.env.STATE_FILE || path.join(__dirname, 'data', 'hysteresis.json'),
+  // Bearer token for manual overrides (PUT/DELETE /overrides/:sensor); unset = disabled
+  ADMIN_TOKEN: process.env.ADMIN_TOKEN || '',
 
   // Refresh cadence
   UPDATE_INTERVAL_MS: Number(process.env.UPDATE_INTERVAL_MS || 15 * 60 * 1000),
 
   TITLE: process.env.TITLE || 'Sense–Think–Act: Frost Control',
+
+  // Act: actuator drivers + sensor/zone mapping (see actuators.js; unset = decide only)
+  ACTUATORS_FILE: process.env.ACTUATORS_FILE || '',
+  ACK_TIMEOUT_MS: Number(process.env.ACK_TIMEOUT_MS || 5 * 60 * 1000),
+  // Base URL devices/integrations use to reach this server (ack links in commands)
+  PUBLIC_URL: process.env.PUBLIC_URL || '',
+  // Shared secret for POST /actuators/ack (?token= or x-ack-token); unset = acks refused
+  ACK_TOKEN: process.env.ACK_TOKEN || '',
+
+  // Alerts on frost transitions: channels, recipients, quiet hours, escalation (see notifier.js;
+  // unset = no alerts). Ack links use PUBLIC_URL.
+  NOTIFY_FILE: process.env.NOTIFY_FILE || '',
+
+  // Decision history: MongoDB when MONGODB_URI is set (apisec's DB_NAME), else a JSON-lines file
+  MONGODB_URI: process.env.MONGODB_URI || '',
+  DB_NAME: process.env.DB_NAME || '',
+  HISTORY_COLLECTION: process.env.HISTORY_COLLECTION || 'sta_history',
+  HISTORY_FILE: process.env.HISTORY_FILE || path.join(__dirname, 'data', 'history.jsonl'),
+  HISTORY_RETAIN_DAYS: Number(process.env.HISTORY_RETAIN_DAYS || 90),
 });
 
 // ---------- Small helpers ----------
@@ -52,19 +97,156 @@ function escapeHtml(s) {
   return String(s ?? '').replace(/[&<>"]/g, c => ({ '&':'&amp;','<':'&lt;','>':'&gt;','"':'&quot;' }[c]));
 }
 function badge(text, kind) {
-  const cls = kind === 'warn' ? 'warn' : 'ok';
+  const cls = kind === 'warn' ? 'warn' : kind === 'pending' ? 'pending' : 'ok';
   return `<span class="badge ${cls}">${escapeHtml(text)}</span>`;
 }
+// Machine phase, time in phase and the last transition (as a tooltip)
+function stateCell(st) {
+  if (!st) return '';
+  const t = st.lastTransition;
+  const title = t ? `${t.from} -> ${t.to} at ${t.at}: ${t.reason}` : 'No transition yet';
+  return `<span title="${escapeHtml(title)}">${escapeHtml(st.phase.toUpperCase())}${st.since ? ` since ${escapeHtml(st.since)}` : ''}</span>`
+    + (st.override ? ' ' + badge('manual', 'pending') : '');
+}
+function cmdBadge(c) {
+  const kind = c.status === 'acked' ? 'ok' : (c.status === 'failed' || c.status === 'timeout') ? 'warn' : 'pending';
+  return `<span title="${escapeHtml(c.detail || '')}">${badge(c.status, kind)}</span>`;
+}
+// Alert lifecycle: open (escalation level) → acked / resolved
+function alertBadge(a) {
+  if (a.ackedAt) return badge(`acked${a.ackedBy ? ' by ' + a.ackedBy : ''}`, 'ok');
+  if (a.resolvedAt) return badge('resolved', 'ok');
+  return badge(`open · level ${a.level}`, 'warn');
+}
+function deliveryBadge(d) {
+  const kind = d.status === 'sent' ? 'ok' : d.status === 'failed' ? 'warn' : 'pending';
+  return `<span title="${escapeHtml(d.error || d.detail || '')}">${badge(d.status, kind)}</span>`;
+}
 
 // ---------- Shared state ----------
 const STATE = {
   lastRunAt: null,     // ISO
   forward: CFG.FORWARD,
   horizonHours: CFG.HORIZON_HOURS,
-  items: [],           // [{sensorName, time, score, decision, reason}]
+  threshold: CFG.FROST_THRESHOLD, // effective ON threshold (predictor's unless overridden)
+  offThreshold: CFG.FROST_OFF_THRESHOLD,
+  items: [],           // [{sensorName, time, score, risk, decision, reason, state}]
   error: null,
+  readingsError: null, // last /sensors/latest-all failure (rules then see no readings)
 };
 
+// ---------- Decision state machine (Think) ----------
+const ENGINE = createDecisionEngine({
+  confirmPolls: CFG.CONFIRM_POLLS,
+  minRunMs: CFG.MIN_RUN_MIN * 60 * 1000,
+  minRestMs: CFG.MIN_REST_MIN * 60 * 1000,
+  overridesFile: CFG.OVERRIDES_FILE,
+  stateFile: CFG.STATE_FILE,
+});
+
+// ---------- Rules (Think) ----------
+const RULES = CFG.RULES_FILE ? loadRules(CFG.RULES_FILE) : null;
+const READINGS = createReadingTracker();
+
+async function fetchLatestReadings() {
+  const r = await fetch(CFG.LATEST_URL, { headers: { 'x-api-key': CFG.API_KEY }, cache: 'no-store' });
+  const text = await r.text();
+  if (!r.ok) throw new Error(`APISec ${r.status}: ${text}`);
+  const j = JSON.parse(text);
+  return Array.isArray(j) ? j : (j.items || []);
+}
+
+// Fields rules can reference as prediction.*
+function predictionContext(p, threshold) {
+  const score = safeNumber(p.calibratedProbability ?? p.score);
+  return {
+    calibratedProbability: score,
+    score,
+    rawScore: safeNumber(p.rawScore),
+    frost: typeof p.frost === 'boolean' ? p.frost : null,
+    horizonHours: safeNumber(p.horizonHours),
+    time: p.time || null,
+    quality: p.quality?.status || null,
+    threshold,
+  };
+}
+
+// ---------- History ----------
+const HISTORY = createHistoryStore({
+  mongoUri: CFG.MONGODB_URI,
+  dbName: CFG.DB_NAME,
+  collection: CFG.HISTORY_COLLECTION,
+  file: CFG.HISTORY_FILE,
+  retainDays: CFG.HISTORY_RETAIN_DAYS,
+});
+
+function recordPoll(items) {
+  for (const it of items) {
+    HISTORY.record({
+      type: 'poll',
+      sensor: it.sensorName,
+      time: it.time || null,
+      score: it.score,
+      risk: it.risk,
+      decision: it.decision,
+      phase: it.state?.phase || null,
+      threshold: STATE.threshold,
+      reason: it.reason,
+      rule: it.rule?.name || null,
+    });
+  }
+}
+
+// ---------- Actuators (Act) ----------
+const ACTUATORS = CFG.ACTUATORS_FILE
+  ? createActuatorManager(loadActuatorConfig(CFG.ACTUATORS_FILE), {
+      ackTimeoutMs: CFG.ACK_TIMEOUT_MS,
+      publicUrl: CFG.PUBLIC_URL,
+      onChange: cmd => {
+        if (cmd) {
+          HISTORY.record({
+            type: 'command',
+            commandId: cmd.commandId,
+            actuator: cmd.actuator,
+            sensors: cmd.sensors,
+            state: cmd.state,
+            status: cmd.status,
+            detail: cmd.detail || cmd.reason,
+          });
+        }
+        broadcast();
+      },
+    })
+  : null;
+
+// ---------- Alerts ----------
+// Alert changes and deliveries go to the history store; open alerts are restored from it at boot
+const NOTIFIER = CFG.NOTIFY_FILE
+  ? createNotifier(loadNotifyConfig(CFG.NOTIFY_FILE), {
+      publicUrl: CFG.PUBLIC_URL,
+      onChange: rec => {
+        if (rec) HISTORY.record(rec);
+        broadcast();
+      },
+    })
+  : null;
+
+async function restoreAlerts() {
+  if (!NOTIFIER) return;
+  try {
+    const { records, truncated } = await HISTORY.query({
+      from: Date.now() - CFG.HISTORY_RETAIN_DAYS * 24 * 3600 * 1000,
+      types: ['alert', 'delivery'],
+      limit: 20000,
+    });
+    const { alerts, open } = NOTIFIER.restore(records);
+    if (alerts) console.log(`[sta] restored ${alerts} alert(s) from history, ${open} open`);
+    if (truncated) console.warn('[sta] alert history truncated at 20000 records; the newest were not restored');
+  } catch (e) {
+    console.error('[sta] restoring alerts:', e?.message || e);
+  }
+}
+
 // ---------- Poll predictor (Sense + Think) ----------
 async function pollPredictor() {
   const now = Date.now();
@@ -84,44 +266,47 @@ async function pollPredictor() {
     headers['Authorization'] = 'Basic ' + b64(`${CFG.PREDICT_BASIC_USER}:${CFG.PREDICT_BASIC_PASS}`);
   }
 
-  let json;
+  let json = null;
+  let predictError = null;
   try {
     const r = await fetch(url.toString(), { headers, cache: 'no-store' });
     const text = await r.text();
     if (!r.ok) throw new Error(`Predictor ${r.status}: ${text}`);
     json = JSON.parse(text);
   } catch (e) {
-    STATE.lastRunAt = toIso(Date.now());
-    STATE.error = e?.message || String(e);
-    STATE.items = [];
-    broadcast();
-    return;
+    predictError = e?.message || String(e);
+    HISTORY.record({ type: 'poll', error: predictError });
+    // Rules can still decide on the latest readings alone; without rules there is nothing to go on
+    if (!RULES) {
+      STATE.lastRunAt = toIso(Date.now());
+      STATE.error = predictError;
+      STATE.items = [];
+      broadcast();
+      return;
+    }
   }
 
-  // Normalize points -> decisions
-  const rows = Array.isArray(json.points) ? json.points : [];
+  // Normalize points -> risk level per sensor (keeping the last thresholds when the predictor failed)
+  const threshold = json ? (CFG.FROST_THRESHOLD ?? safeNumber(json.threshold?.probThreshold)) : STATE.threshold;
+  const offThreshold = json
+    ? (CFG.FROST_OFF_THRESHOLD ?? (threshold == null ? null : threshold * CFG.HYSTERESIS_OFF_RATIO))
+    : STATE.offThreshold;
+  const rows = Array.isArray(json?.points) ? json.points : [];
+  const predictions = new Map();
   const items = rows.map(p => {
-    const score = safeNumber(p.score);
-    const frost = score != null && score >= CFG.FROST_THRESHOLD;
-
-    let decision, reason;
-    if (score == null) {
-      decision = 'UNKNOWN';
-      reason   = 'No probability available from predictor';
-    } else if (frost) {
-      decision = 'TAKE ACTION';
-      reason   = `Frost risk ${pct(score)} ≥ ${pct(CFG.FROST_THRESHOLD)}${json.forward ? ` (forward ${json.horizonHours}h)` : ''}`;
-    } else {
-      decision = 'NO ACTION';
-      reason   = `Frost risk ${pct(score)} < ${pct(CFG.FROST_THRESHOLD)}`;
+    predictions.set(p.sensorName || 'unknown', predictionContext(p, threshold));
+    const score = safeNumber(p.calibratedProbability ?? p.score);
+    let risk = null;
+    if (score != null && threshold != null) {
+      risk = score >= threshold ? 'high' : score < offThreshold ? 'low' : 'mid';
+    } else if (score != null) {
+      risk = p.frost === true ? 'high' : 'low'; // predictor gave no threshold: use its decision
     }
-
     return {
       sensorName: p.sensorName || 'unknown',
       time: p.time || '',
       score,
-      decision,
-      reason,
+      risk,
     };
   });
 
@@ -133,17 +318,81 @@ async function pollPredictor() {
     if (!prev || tms > Date.parse(prev.time || 0)) latestBySensor.set(it.sensorName, it);
   }
 
+  // Zone rules replace the threshold risk for the sensors they cover
+  if (RULES) {
+    let readings = new Map();
+    if (RULES.usesReadings) {
+      try {
+        readings = READINGS.update(readingsBySensor(await fetchLatestReadings()));
+        STATE.readingsError = null;
+      } catch (e) {
+        STATE.readingsError = e?.message || String(e);
+      }
+    }
+    // Sensors with readings but no prediction can still trip a rule
+    for (const [sensor, r] of readings) {
+      if (!latestBySensor.has(sensor) && ruleFor(RULES, sensor)) {
+        latestBySensor.set(sensor, { sensorName: sensor, time: r.time || '', score: null, risk: null });
+      }
+    }
+    for (const it of latestBySensor.values()) {
+      const r = evaluate(RULES, it.sensorName, { prediction: predictions.get(it.sensorName), readings: readings.get(it.sensorName) });
+      if (!r) continue;
+      it.risk = r.risk;
+      it.detail = r.detail;
+      it.rule = { name: r.rule, zone: r.zone, matched: r.matched, released: r.released, trace: r.trace };
+      it.readings = readings.get(it.sensorName) || null;
+    }
+  }
+
   STATE.lastRunAt = toIso(Date.now());
-  STATE.error = null;
+  STATE.error = predictError;
+  STATE.threshold = threshold;
+  STATE.offThreshold = offThreshold;
   STATE.items = Array.from(latestBySensor.values())
     .sort((a,b)=> String(a.sensorName).localeCompare(String(b.sensorName)));
 
+  // One state-machine step per sensor: hysteresis, confirmation, min run/rest, overrides
+  for (const it of STATE.items) decideItem(it);
+  recordPoll(STATE.items);
+  await act();
+}
+
+// again = re-deciding the current poll (override change): no extra confirmation is counted
+function decideItem(it, again = false) {
+  const input = { risk: it.risk, score: it.score, on: STATE.threshold, off: STATE.offThreshold, detail: it.detail };
+  const r = again ? ENGINE.redecide(it.sensorName, input) : ENGINE.step(it.sensorName, input);
+  it.decision = r.decision;
+  it.reason = r.decision === 'TAKE ACTION' && STATE.forward && !r.state.override
+    ? `${r.reason} (forward ${STATE.horizonHours}h)`
+    : r.reason;
+  it.state = r.state;
+  if (r.transitioned) {
+    const t = r.state.lastTransition;
+    console.log(`[sta] ${it.sensorName}: ${t.from} -> ${t.to} (${t.reason})`);
+    HISTORY.record({ type: 'transition', sensor: it.sensorName, from: t.from, to: t.to, reason: t.reason });
+    if (NOTIFIER) {
+      NOTIFIER.onTransition(it.sensorName, t.to, it.reason).catch(e => console.error('[sta] notify:', e?.message || e));
+    }
+  }
+}
+
+async function act() {
   broadcast();
+
+  // Act on the new decisions (command progress is broadcast as it happens)
+  if (ACTUATORS) {
+    try {
+      await ACTUATORS.apply(STATE.items);
+    } catch (e) {
+      console.error('[sta] actuators:', e?.message || e);
+    }
+  }
 }
 
 // ---------- Schedule polling ----------
 setInterval(pollPredictor, CFG.UPDATE_INTERVAL_MS);
-pollPredictor(); // run once at boot
+restoreAlerts().then(pollPredictor); // run once at boot, after open alerts are back
 
 // ---------- HTTP server ----------
 const app = express();
@@ -153,6 +402,11 @@ app.get('/', (_req, res) => {
   res.type('html').send(renderPage(STATE));
 });
 
+// Timeline chart script, also loaded by websec's /sta page (through its /sta proxy)
+app.get('/timeline.js', (_req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'timeline.js'));
+});
+
 // JSON status (useful for curl/tests)
 app.get('/status', (_req, res) => {
   res.json({
@@ -161,11 +415,198 @@ app.get('/status', (_req, res) => {
     forward: STATE.forward,
     horizonHours: STATE.horizonHours,
     lookbackHours: CFG.LOOKBACK_HOURS,
-    threshold: CFG.FROST_THRESHOLD,
+    threshold: STATE.threshold,
+    offThreshold: STATE.offThreshold,
+    hysteresis: ENGINE.snapshot(),
+    rules: RULES ? RULES.rules.map(r => r.name) : null,
     count: STATE.items.length,
     error: STATE.error,
+    readingsError: STATE.readingsError,
     items: STATE.items,
+    actuators: ACTUATORS ? ACTUATORS.snapshot(20) : null,
+    alerts: NOTIFIER ? NOTIFIER.snapshot(20) : null,
+  });
+});
+
+// Decision history: ?from&to (ISO, default last 24h), sensor, type (poll,transition,command,alert,delivery), limit
+app.get('/history', async (req, res) => {
+  for (const k of ['from', 'to']) {
+    if (req.query[k] && !Number.isFinite(Date.parse(req.query[k]))) return res.status(400).json({ error: `${k} must be an ISO datetime` });
+  }
+  if (req.query.from && req.query.to && Date.parse(req.query.from) > Date.parse(req.query.to)) {
+    return res.status(400).json({ error: 'from must be before to' });
+  }
+  try {
+    const types = req.query.type ? String(req.query.type).split(',').map(s => s.trim()).filter(Boolean) : null;
+    const out = await HISTORY.query({
+      from: req.query.from || undefined,
+      to: req.query.to || undefined,
+      sensor: req.query.sensor || '',
+      types,
+      limit: Math.min(20000, Number(req.query.limit) || 5000),
+    });
+    // Alert records carry the ack-link token; it stays server-side
+    const records = out.records.map(({ token, ...r }) => r);
+    res.json({ store: HISTORY.kind, ...out, records, count: records.length });
+  } catch (e) {
+    res.status(500).json({ error: e?.message || String(e) });
+  }
+});
+
+// Loaded rules
+app.get('/rules', (_req, res) => {
+  if (!RULES) return res.status(404).json({ error: 'No rules configured (set RULES_FILE)' });
+  res.json({
+    zones: RULES.zones,
+    rules: RULES.rules.map(r => ({ name: r.name, all: r.all, zones: r.zones, sensors: [...r.sensors], when: r.when, release: r.release })),
+  });
+});
+
+/** Evaluate rules against a supplied snapshot without touching live state.
+ * Body: { points: [predictor points], readings: [latest-all docs] | { <sensor>: { temperature, humidity, time } },
+ *         previous?: (same forms, for the *Change fields), threshold?, rules?: (config to try instead of RULES_FILE) }
+ * Each result carries the rule trace and decision TAKE ACTION | NO ACTION | HOLD (release not met:
+ * the live state machine would keep its current state).
+ */
+app.post('/rules/dry-run', express.json({ limit: '1mb' }), (req, res) => {
+  const b = req.body || {};
+  let compiled = RULES;
+  try {
+    if (b.rules) compiled = compileRules(b.rules);
+  } catch (e) {
+    return res.status(400).json({ error: `Invalid rules: ${e.message}` });
+  }
+  if (!compiled) return res.status(400).json({ error: 'No rules configured; pass "rules" in the body' });
+
+  const threshold = safeNumber(b.threshold) ?? STATE.threshold;
+  const predictions = new Map((Array.isArray(b.points) ? b.points : []).map(p => [p.sensorName || 'unknown', predictionContext(p, threshold)]));
+  const current = readingsBySensor(b.readings);
+  const previous = readingsBySensor(b.previous);
+  const sensors = [...new Set([...predictions.keys(), ...current.keys()])].sort();
+
+  const results = sensors.map((sensor) => {
+    const readings = current.has(sensor) ? withChanges(current.get(sensor), previous.get(sensor)) : null;
+    const r = evaluate(compiled, sensor, { prediction: predictions.get(sensor), readings });
+    return {
+      sensorName: sensor,
+      prediction: predictions.get(sensor) || null,
+      readings,
+      ...(r ? r : { rule: null, risk: null, detail: 'No rule covers this sensor' }),
+      decision: r ? (r.risk === 'high' ? 'TAKE ACTION' : r.risk === 'low' ? 'NO ACTION' : 'HOLD') : null,
+    };
   });
+  res.json({ source: b.rules ? 'body' : 'RULES_FILE', count: results.length, results });
+});
+
+// Actuators: mapping, current state and recent commands
+app.get('/actuators', (req, res) => {
+  if (!ACTUATORS) return res.status(404).json({ error: 'No actuators configured (set ACTUATORS_FILE)' });
+  res.json(ACTUATORS.snapshot(Math.min(200, Number(req.query.limit) || 50)));
+});
+
+// Manual overrides (persist across restarts): PUT { mode: 'on'|'off', until?, note? }
+function requireAdmin(req, res, next) {
+  if (!CFG.ADMIN_TOKEN) return res.status(403).json({ error: 'Overrides disabled (set ADMIN_TOKEN)' });
+  const auth = String(req.get('authorization') || '');
+  const given = Buffer.from(auth.startsWith('Bearer ') ? auth.slice(7).trim() : '');
+  const want = Buffer.from(CFG.ADMIN_TOKEN);
+  if (given.length !== want.length || !crypto.timingSafeEqual(given, want)) {
+    return res.status(401).json({ error: 'Invalid admin token' });
+  }
+  next();
+}
+
+app.get('/overrides', (_req, res) => {
+  res.json(ENGINE.overrides());
+});
+
+app.put('/overrides/:sensor', requireAdmin, express.json(), (req, res) => {
+  try {
+    const o = ENGINE.setOverride(req.params.sensor, req.body || {});
+    res.json({ sensor: req.params.sensor, ...o });
+  } catch (e) {
+    return res.status(400).json({ error: e.message });
+  }
+  redecide(req.params.sensor);
+});
+
+// Apply an override change now instead of at the next poll
+function redecide(sensor) {
+  const it = STATE.items.find(x => x.sensorName === sensor);
+  if (!it) return;
+  decideItem(it, true);
+  act();
+}
+
+app.delete('/overrides/:sensor', requireAdmin, (req, res) => {
+  if (!ENGINE.clearOverride(req.params.sensor)) return res.status(404).json({ error: 'No override for this sensor' });
+  res.json({ ok: true });
+  redecide(req.params.sensor);
+});
+
+function checkAckToken(req) {
+  const given = Buffer.from(String(req.query.token || req.get('x-ack-token') || ''));
+  const want = Buffer.from(CFG.ACK_TOKEN);
+  return given.length === want.length && crypto.timingSafeEqual(given, want);
+}
+
+// Command acknowledgements: devices/receivers (POST /actuators/ack/:commandId) or
+// network-server ack events (POST /actuators/ack with a ChirpStack/TTN payload)
+app.post(['/actuators/ack', '/actuators/ack/:commandId'], express.json(), (req, res) => {
+  if (!ACTUATORS) return res.status(404).json({ error: 'No actuators configured (set ACTUATORS_FILE)' });
+  if (!CFG.ACK_TOKEN) return res.status(403).json({ error: 'Acks disabled (set ACK_TOKEN)' });
+  if (!checkAckToken(req)) return res.status(401).json({ error: 'Invalid ack token' });
+  const ref = req.params.commandId ? { commandId: req.params.commandId } : ackRefFromEvent(req.body);
+  if (!ref) return res.status(400).json({ error: 'No command reference in ack' });
+  const cmd = ACTUATORS.ack(ref);
+  if (!cmd) return res.status(404).json({ error: 'Unknown command' });
+  res.json({ ok: true, commandId: cmd.commandId, status: cmd.status });
+});
+
+// Alerts + delivery log
+app.get('/alerts', (req, res) => {
+  if (!NOTIFIER) return res.status(404).json({ error: 'No alerts configured (set NOTIFY_FILE)' });
+  res.json(NOTIFIER.snapshot(Math.min(200, Number(req.query.limit) || 50)));
+});
+
+// Ack link sent with each alert: GET only shows the alert and a confirm button (link
+// previews and mail scanners fetch links), the button's POST acknowledges
+function alertPage(title, body) {
+  return `<!doctype html>
+<html lang="en"><head><meta charset="utf-8"/><meta name="viewport" content="width=device-width,initial-scale=1"/>
+<title>${escapeHtml(title)}</title></head>
+<body style="font-family:system-ui,sans-serif;margin:2rem">
+  <h1>${escapeHtml(title)}</h1>
+${body}
+  <p><a href="/">Back to status</a></p>
+</body></html>`;
+}
+const UNKNOWN_ALERT = `<!doctype html><meta charset="utf-8"/><title>Alert</title><p>Unknown alert or invalid link.</p>`;
+
+app.get('/alerts/:id/ack', (req, res) => {
+  if (!NOTIFIER) return res.status(404).type('text').send('No alerts configured');
+  const a = NOTIFIER.find(req.params.id, req.query.token);
+  if (!a) return res.status(404).type('html').send(UNKNOWN_ALERT);
+  if (a.ackedAt) {
+    return res.type('html').send(alertPage('Alert already acknowledged', `  <p>${escapeHtml(a.sensor)}: ${escapeHtml(a.reason)}</p>
+  <p>Acknowledged ${escapeHtml(a.ackedAt)}${a.ackedBy ? ` by ${escapeHtml(a.ackedBy)}` : ''}.</p>`));
+  }
+  res.type('html').send(alertPage('Acknowledge alert', `  <p>${escapeHtml(a.sensor)}: ${escapeHtml(a.reason)}</p>
+  <p>Opened ${escapeHtml(a.openedAt)}${a.resolvedAt ? `, resolved ${escapeHtml(a.resolvedAt)}` : ''}. Escalation level ${a.level}.</p>
+  <form method="post" action="ack">
+    <input type="hidden" name="token" value="${escapeHtml(req.query.token)}"/>
+    <label>Your name (optional) <input name="by" value="${escapeHtml(req.query.by || '')}"/></label>
+    <button type="submit">Acknowledge</button>
+  </form>`));
+});
+
+app.post('/alerts/:id/ack', express.urlencoded({ extended: false }), (req, res) => {
+  if (!NOTIFIER) return res.status(404).type('text').send('No alerts configured');
+  const body = req.body || {};
+  const a = NOTIFIER.ack(req.params.id, body.token ?? req.query.token, body.by ?? req.query.by);
+  if (!a) return res.status(404).type('html').send(UNKNOWN_ALERT);
+  res.type('html').send(alertPage('Alert acknowledged', `  <p>${escapeHtml(a.sensor)}: ${escapeHtml(a.reason)}</p>
+  <p>Opened ${escapeHtml(a.openedAt)}, acknowledged ${escapeHtml(a.ackedAt)}. No further escalation will be sent.</p>`));
 });
 
 // SSE live updates
@@ -191,9 +632,13 @@ function ssePayload() {
     lastRunAt: STATE.lastRunAt,
     forward: STATE.forward,
     horizonHours: STATE.horizonHours,
-    threshold: CFG.FROST_THRESHOLD,
+    threshold: STATE.threshold,
+    offThreshold: STATE.offThreshold,
+    hysteresis: ENGINE.snapshot(),
     error: STATE.error,
     items: STATE.items,
+    actuators: ACTUATORS ? ACTUATORS.snapshot(20) : null,
+    alerts: NOTIFIER ? NOTIFIER.snapshot(20) : null,
   };
 }
 
@@ -208,7 +653,7 @@ function broadcast() {
 function renderPage(state) {
   const rows = (state.items.length
     ? state.items.map(it => {
-        const frost = it.decision === 'HEAT_ON';
+        const frost = it.decision === 'TAKE ACTION';
         const score = (it.score == null) ? '' : pct(it.score, 1);
         return `
       <tr>
@@ -217,12 +662,49 @@ function renderPage(state) {
         <td>${escapeHtml(score)}</td>
         <td>${frost ? badge('FROST', 'warn') : badge('No frost', 'ok')}</td>
         <td><code>${escapeHtml(it.decision)}</code></td>
+        <td>${stateCell(it.state)}</td>
         <td>${escapeHtml(it.reason)}</td>
       </tr>`;
       }).join('')
-    : `<tr><td colspan="6">${state.error ? escapeHtml(state.error) : 'No data yet…'}</td></tr>`);
+    : `<tr><td colspan="7">${state.error ? escapeHtml(state.error) : 'No data yet…'}</td></tr>`);
 
   const forwardTxt = state.forward ? `Yes (${state.horizonHours}h)` : 'No';
+  const acts = ACTUATORS ? ACTUATORS.snapshot(0).actuators : null;
+  const actRows = acts && (acts.length
+    ? acts.map(a => {
+        const c = a.lastCommand;
+        return `
+      <tr>
+        <td>${escapeHtml(a.id)}</td>
+        <td>${escapeHtml(a.driver)} <span class="muted">(${escapeHtml(a.type)})</span></td>
+        <td>${escapeHtml((a.zone ? a.zone + ': ' : '') + a.sensors.join(', '))}</td>
+        <td>${escapeHtml(a.state || '—')}</td>
+        <td>${c ? escapeHtml(`${c.state} @ ${c.issuedAt}`) : '—'}</td>
+        <td>${c ? cmdBadge(c) : ''}</td>
+      </tr>`;
+      }).join('')
+    : '<tr><td colspan="6">No actuators in config</td></tr>');
+
+  const alerts = NOTIFIER ? NOTIFIER.snapshot(20) : null;
+  const alertRows = alerts && (alerts.alerts.length
+    ? alerts.alerts.map(a => `
+      <tr>
+        <td>${escapeHtml(a.sensor)}</td>
+        <td>${escapeHtml(a.openedAt)}</td>
+        <td>${alertBadge(a)}</td>
+        <td>${escapeHtml(a.reason)}</td>
+      </tr>`).join('')
+    : '<tr><td colspan="4">No alerts yet</td></tr>');
+  const deliveryRows = alerts && (alerts.deliveries.length
+    ? alerts.deliveries.map(d => `
+      <tr>
+        <td>${escapeHtml(d.at)}</td>
+        <td>${escapeHtml(d.sensor)}</td>
+        <td>${escapeHtml(d.recipient ? `${d.recipient} (${d.channel})` : '—')}</td>
+        <td>${d.attempt || '—'}</td>
+        <td>${deliveryBadge(d)}</td>
+      </tr>`).join('')
+    : '<tr><td colspan="5">No deliveries yet</td></tr>');
 
   return `<!doctype html>
 <html lang="en"><head>
@@ -237,10 +719,18 @@ h1{margin:0 0 .25rem}
 .badge{display:inline-block;padding:.15rem .45rem;border-radius:999px;font-size:.8rem;font-weight:600}
 .ok{background:#e6f7ef;color:#065f46;border:1px solid #a7f3d0}
 .warn{background:#fee2e2;color:#991b1b;border:1px solid #fecaca}
+.pending{background:#fef9c3;color:#854d0e;border:1px solid #fde68a}
+h2{margin:2rem 0 0;font-size:1.15rem}
 table{border-collapse:collapse;width:100%;margin-top:1rem}
 th,td{border:1px solid #e5e7eb;padding:.5rem;text-align:left} th{background:#f9fafb}
 #meta{margin:.5rem 0 0}
 #err{margin:.5rem 0 0;color:#b91c1c}
+#timeline{width:100%;height:220px;margin-top:.5rem;border:1px solid #e5e7eb}
+#timeline .score{fill:none;stroke:#2563eb;stroke-width:1.5}
+#timeline .thr{fill:none;stroke:#9ca3af;stroke-dasharray:4 3}
+#timeline .on{fill:#fecaca;opacity:.6}
+#timeline .tr{stroke:#991b1b;stroke-width:1}
+#timeline text{font-size:10px;fill:#6b7280}
 @media (prefers-color-scheme: dark){
   th,td{border-color:#374151} th{background:#111827}
 }
@@ -248,7 +738,7 @@ th,td{border:1px solid #e5e7eb;padding:.5rem;text-align:left} th{background:#f9f
 </head>
 <body>
   <h1>${escapeHtml(CFG.TITLE)}</h1>
-  <p class="muted">Forward prediction: <b>${escapeHtml(forwardTxt)}</b>. Lookback: <b>${CFG.LOOKBACK_HOURS}h</b>. Refresh: <b>${Math.round(CFG.UPDATE_INTERVAL_MS/60000)} min</b>. Threshold: <b>${pct(CFG.FROST_THRESHOLD)}</b>.</p>
+  <p class="muted">Forward prediction: <b>${escapeHtml(forwardTxt)}</b>. Lookback: <b>${CFG.LOOKBACK_HOURS}h</b>. Refresh: <b>${Math.round(CFG.UPDATE_INTERVAL_MS/60000)} min</b>. Threshold: <b>${state.threshold == null ? 'from predictor' : `on ${pct(state.threshold)} / off ${pct(state.offThreshold)}`}</b>. Confirm: <b>${CFG.CONFIRM_POLLS} poll(s)</b>. Min run/rest: <b>${CFG.MIN_RUN_MIN}/${CFG.MIN_REST_MIN} min</b>.</p>
 
   <div id="meta" class="muted">Last update: <span id="lastRun">${escapeHtml(state.lastRunAt || '—')}</span></div>
   <div id="err">${state.error ? escapeHtml(state.error) : ''}</div>
@@ -261,6 +751,7 @@ th,td{border:1px solid #e5e7eb;padding:.5rem;text-align:left} th{background:#f9f
         <th>Probability</th>
         <th>Status</th>
         <th>Decision</th>
+        <th>State</th>
         <th>Reason</th>
       </tr>
     </thead>
@@ -269,26 +760,163 @@ th,td{border:1px solid #e5e7eb;padding:.5rem;text-align:left} th{background:#f9f
     </tbody>
   </table>
 
+  <h2>Timeline</h2>
+  <p class="muted" style="margin:.5rem 0 0">
+    <label>Sensor <select id="tlSensor">${state.items.map(it => `<option>${escapeHtml(it.sensorName)}</option>`).join('')}</select></label>
+    <label>Range <select id="tlHours"><option value="6">6h</option><option value="12">12h</option><option value="24" selected>24h</option><option value="72">3d</option><option value="168">7d</option></select></label>
+    — <span style="color:#2563eb">probability</span>, <span style="color:#9ca3af">threshold</span>, <span style="color:#991b1b">TAKE ACTION</span>
+  </p>
+  <svg id="timeline" viewBox="0 0 1000 220" preserveAspectRatio="none"></svg>
+${actRows ? `
+  <h2>Actuators</h2>
+  <table>
+    <thead>
+      <tr>
+        <th>Actuator</th>
+        <th>Driver</th>
+        <th>Sensors</th>
+        <th>State</th>
+        <th>Last command</th>
+        <th>Status</th>
+      </tr>
+    </thead>
+    <tbody id="acts">
+      ${actRows}
+    </tbody>
+  </table>` : ''}
+${alertRows ? `
+  <h2>Alerts</h2>
+  <table>
+    <thead>
+      <tr>
+        <th>Sensor</th>
+        <th>Opened (UTC)</th>
+        <th>Status</th>
+        <th>Reason</th>
+      </tr>
+    </thead>
+    <tbody id="alerts">
+      ${alertRows}
+    </tbody>
+  </table>
+
+  <h2>Deliveries</h2>
+  <table>
+    <thead>
+      <tr>
+        <th>Time (UTC)</th>
+        <th>Sensor</th>
+        <th>Recipient</th>
+        <th>Attempt</th>
+        <th>Status</th>
+      </tr>
+    </thead>
+    <tbody id="deliveries">
+      ${deliveryRows}
+    </tbody>
+  </table>` : ''}
+
+<script src="timeline.js"></script>
 <script>
 (function(){
   const tbody = document.getElementById('tbody');
   const lastRun = document.getElementById('lastRun');
   const err = document.getElementById('err');
+  const acts = document.getElementById('acts');
+  const alertsBody = document.getElementById('alerts');
+  const deliveriesBody = document.getElementById('deliveries');
+  const tlSensor = document.getElementById('tlSensor');
+  const tlHours = document.getElementById('tlHours');
+  const tl = document.getElementById('timeline');
+  let tlLastRun = null;
 
   function esc(s){ return String(s ?? '').replace(/[&<>"]/g, c => ({'&':'&amp;','<':'&lt;','>':'&gt;','"':'&quot;'}[c])); }
   function pct(x){ return (x==null || !isFinite(x)) ? '' : (Number(x)*100).toFixed(1) + '%'; }
-  function badge(text, kind){ return '<span class="badge '+(kind==='warn'?'warn':'ok')+'">'+esc(text)+'</span>'; }
+  function badge(text, kind){ return '<span class="badge '+(kind==='warn'?'warn':kind==='pending'?'pending':'ok')+'">'+esc(text)+'</span>'; }
+  function cmdBadge(c){
+    const kind = c.status==='acked' ? 'ok' : (c.status==='failed'||c.status==='timeout') ? 'warn' : 'pending';
+    return '<span title="'+esc(c.detail||'')+'">'+badge(c.status, kind)+'</span>';
+  }
+
+  function stateCell(st){
+    if (!st) return '';
+    const t = st.lastTransition;
+    const title = t ? t.from+' -> '+t.to+' at '+t.at+': '+t.reason : 'No transition yet';
+    return '<span title="'+esc(title)+'">'+esc(st.phase.toUpperCase())+(st.since ? ' since '+esc(st.since) : '')+'</span>'
+      + (st.override ? ' '+badge('manual','pending') : '');
+  }
+
+  function renderActuators(list){
+    if (!acts || !Array.isArray(list)) return;
+    acts.innerHTML = list.length ? list.map(a=>{
+      const c = a.lastCommand;
+      return '<tr>'
+        + '<td>'+esc(a.id)+'</td>'
+        + '<td>'+esc(a.driver)+' <span class="muted">('+esc(a.type)+')</span></td>'
+        + '<td>'+esc((a.zone ? a.zone+': ' : '') + a.sensors.join(', '))+'</td>'
+        + '<td>'+esc(a.state||'—')+'</td>'
+        + '<td>'+(c ? esc(c.state+' @ '+c.issuedAt) : '—')+'</td>'
+        + '<td>'+(c ? cmdBadge(c) : '')+'</td>'
+        + '</tr>';
+    }).join('') : '<tr><td colspan="6">No actuators in config</td></tr>';
+  }
+
+  function alertBadge(a){
+    if (a.ackedAt) return badge('acked'+(a.ackedBy ? ' by '+a.ackedBy : ''), 'ok');
+    if (a.resolvedAt) return badge('resolved', 'ok');
+    return badge('open · level '+a.level, 'warn');
+  }
+  function deliveryBadge(d){
+    const kind = d.status==='sent' ? 'ok' : d.status==='failed' ? 'warn' : 'pending';
+    return '<span title="'+esc(d.error||d.detail||'')+'">'+badge(d.status, kind)+'</span>';
+  }
+
+  function renderAlerts(snap){
+    if (!alertsBody || !snap) return;
+    alertsBody.innerHTML = snap.alerts.length ? snap.alerts.map(a=>'<tr>'
+        + '<td>'+esc(a.sensor)+'</td>'
+        + '<td>'+esc(a.openedAt)+'</td>'
+        + '<td>'+alertBadge(a)+'</td>'
+        + '<td>'+esc(a.reason)+'</td>'
+        + '</tr>').join('') : '<tr><td colspan="4">No alerts yet</td></tr>';
+    deliveriesBody.innerHTML = snap.deliveries.length ? snap.deliveries.map(d=>'<tr>'
+        + '<td>'+esc(d.at)+'</td>'
+        + '<td>'+esc(d.sensor)+'</td>'
+        + '<td>'+esc(d.recipient ? d.recipient+' ('+d.channel+')' : '—')+'</td>'
+        + '<td>'+(d.attempt || '—')+'</td>'
+        + '<td>'+deliveryBadge(d)+'</td>'
+        + '</tr>').join('') : '<tr><td colspan="5">No deliveries yet</td></tr>';
+  }
+
+  // Risk vs. decision from GET /history (public/timeline.js, shared with websec's /sta page)
+  function renderTimeline(){
+    return statimeline.render(tl, { sensor: tlSensor.value, hours: tlHours.value });
+  }
+  tlSensor.addEventListener('change', renderTimeline);
+  tlHours.addEventListener('change', renderTimeline);
+
+  function syncSensors(items){
+    const names = items.map(it => it.sensorName);
+    if (JSON.stringify(names) === JSON.stringify(Array.from(tlSensor.options).map(o => o.value))) return;
+    const cur = tlSensor.value;
+    tlSensor.innerHTML = names.map(n => '<option>'+esc(n)+'</option>').join('');
+    if (names.includes(cur)) tlSensor.value = cur;
+  }
 
   function render(payload){
     if (payload.lastRunAt) lastRun.textContent = payload.lastRunAt;
     err.textContent = payload.error ? String(payload.error) : '';
+    if (payload.actuators) renderActuators(payload.actuators.actuators);
+    renderAlerts(payload.alerts);
     const items = Array.isArray(payload.items) ? payload.items : [];
+    syncSensors(items);
+    if (payload.lastRunAt !== tlLastRun) { tlLastRun = payload.lastRunAt; renderTimeline(); }
     if (!items.length) {
-      tbody.innerHTML = '<tr><td colspan="6">'+ (payload.error ? esc(payload.error) : 'No data yet…') +'</td></tr>';
+      tbody.innerHTML = '<tr><td colspan="7">'+ (payload.error ? esc(payload.error) : 'No data yet…') +'</td></tr>';
       return;
     }
     tbody.innerHTML = items.map(it=>{
-      const frost = it.decision === 'HEAT_ON';
+      const frost = it.decision === 'TAKE ACTION';
       const score = (it.score == null) ? '' : pct(it.score);
       return '<tr>'
         + '<td>'+esc(it.sensorName||'unknown')+'</td>'
@@ -296,6 +924,7 @@ th,td{border:1px solid #e5e7eb;padding:.5rem;text-align:left} th{background:#f9f
         + '<td>'+esc(score)+'</td>'
         + '<td>'+ (frost ? badge('FROST','warn') : badge('No frost','ok')) +'</td>'
         + '<td><code>'+esc(it.decision)+'</code></td>'
+        + '<td>'+stateCell(it.state)+'</td>'
         + '<td>'+esc(it.reason||'')+'</td>'
         + '</tr>';
     }).join('');
@@ -326,4 +955,7 @@ th,td{border:1px solid #e5e7eb;padding:.5rem;text-align:left} th{background:#f9f
 app.listen(CFG.PORT, () => {
   console.log(`[sta] listening on http://0.0.0.0:${CFG.PORT}`);
   console.log(`[sta] predictor: ${CFG.PREDICT_URL} (forward=${CFG.FORWARD}, horizon=${CFG.HORIZON_HOURS}h)`);
+  if (ACTUATORS && !CFG.ACK_TOKEN) {
+    console.warn('[sta] ACK_TOKEN is unset: POST /actuators/ack is refused, commands waiting for a device ack will time out');
+  }
 });
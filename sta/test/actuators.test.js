@@ -0,0 +1,87 @@
+// Decision engine → actuator manager → simulated driver ack, in process.
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createDecisionEngine } = require('../hysteresis');
+const { createActuatorManager } = require('../actuators');
+
+function setup(driver, confirmPolls = 2) {
+  const changes = [];
+  const engine = createDecisionEngine({ confirmPolls, minRunMs: 0, minRestMs: 0 });
+  const manager = createActuatorManager({
+    drivers: { sim: { type: 'simulated', ...driver } },
+    zones: {},
+    actuators: [{ id: 'fan-1', driver: 'sim', zone: null, sensors: ['s1', 's2'] }],
+  }, { ackTimeoutMs: 500, onChange: cmd => changes.push({ ...cmd }) });
+  // One poll: step every sensor, then act on the decisions
+  async function poll(risks) {
+    const items = Object.entries(risks).map(([sensorName, risk]) => ({
+      sensorName,
+      ...engine.step(sensorName, { risk, score: risk === 'high' ? 0.9 : 0.1, on: 0.5, off: 0.4 }),
+    }));
+    await manager.apply(items);
+    return items;
+  }
+  return { manager, poll, changes };
+}
+
+const settled = (manager) => new Promise((resolve) => {
+  const t = setInterval(() => {
+    const c = manager.snapshot().actuators[0].lastCommand;
+    if (c && c.status !== 'pending' && c.status !== 'sent') {
+      clearInterval(t);
+      resolve(c);
+    }
+  }, 10);
+});
+
+test('confirmed high risk switches the actuator on and the simulated ack lands', async () => {
+  const { manager, poll, changes } = setup({ ackDelayMs: 20 });
+  try {
+    // All sensors NO ACTION: the actuator is driven to a known OFF state first
+    await poll({ s1: 'low', s2: 'low' });
+    assert.equal((await settled(manager)).state, 'off');
+
+    // One high poll isn't confirmed yet (confirmPolls 2): still NO ACTION, nothing sent
+    await poll({ s1: 'high', s2: 'low' });
+    assert.equal(manager.snapshot().commands.length, 1);
+
+    changes.length = 0;
+    const items = await poll({ s1: 'high', s2: 'low' });
+    assert.equal(items.find(i => i.sensorName === 's1').decision, 'TAKE ACTION');
+    const cmd = await settled(manager);
+    assert.equal(cmd.state, 'on');
+    assert.equal(cmd.status, 'acked');
+    assert.equal(manager.snapshot().actuators[0].state, 'on');
+    assert.deepEqual(changes.map(c => c.status), ['pending', 'sent', 'acked']);
+
+    // Same decisions again: nothing to send
+    await poll({ s1: 'high', s2: 'low' });
+    assert.equal(manager.snapshot().commands.length, 2);
+
+    // Both sensors low → off
+    await poll({ s1: 'low', s2: 'low' });
+    const off = await settled(manager);
+    assert.equal(off.state, 'off');
+    assert.equal(manager.snapshot().actuators[0].state, 'off');
+  } finally {
+    manager.close();
+  }
+});
+
+test('a dropped ack times out and the next poll retries the command', async () => {
+  const { manager, poll } = setup({ ackDelayMs: 20, dropAckRate: 1 }, 1);
+  try {
+    await poll({ s1: 'high', s2: 'high' });
+    const first = await settled(manager);
+    assert.equal(first.status, 'timeout');
+    assert.equal(manager.snapshot().actuators[0].state, null);
+
+    await poll({ s1: 'high', s2: 'high' });
+    const retry = manager.snapshot().actuators[0].lastCommand;
+    assert.notEqual(retry.commandId, first.commandId);
+    assert.equal(manager.ack({ commandId: retry.commandId }).status, 'acked');
+    assert.equal(manager.snapshot().actuators[0].state, 'on');
+  } finally {
+    manager.close();
+  }
+});
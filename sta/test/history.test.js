@@ -0,0 +1,102 @@
+// History store on MongoDB: failed batches are kept and retried (MongoClient is faked);
+// the JSON-lines file store reads back what was just recorded.
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const mongodb = require('mongodb');
+const { createHistoryStore } = require('../history');
+
+// In-memory collection; `failNext` makes the next insertMany throw (a network error, or
+// per-record write errors for the listed indexes)
+const db = { docs: [], failNext: null };
+class FakeClient {
+  async connect() {}
+  db() {
+    return {
+      collection: () => ({
+        createIndex: async () => {},
+        insertMany: async (docs) => {
+          const fail = db.failNext;
+          db.failNext = null;
+          if (fail === 'network') throw new Error('connection reset');
+          if (fail) {
+            db.docs.push(...docs.filter((_, i) => !fail.includes(i)));
+            throw Object.assign(new Error('bulk write failed'), {
+              writeErrors: fail.map(index => ({ index, code: index === 0 ? 11000 : 91 })),
+            });
+          }
+          db.docs.push(...docs);
+        },
+        find: () => ({
+          sort() { return this; },
+          limit() { return this; },
+          toArray: async () => db.docs.map(({ _id, ...d }) => d),
+        }),
+      }),
+    };
+  }
+  async close() {}
+}
+
+let original;
+before(() => {
+  original = Object.getOwnPropertyDescriptor(mongodb, 'MongoClient');
+  Object.defineProperty(mongodb, 'MongoClient', { value: FakeClient, configurable: true, enumerable: true });
+});
+after(() => Object.defineProperty(mongodb, 'MongoClient', original));
+
+function store(opts = {}) {
+  db.docs = [];
+  return createHistoryStore({ mongoUri: 'mongodb://fake', dbName: 'test', flushMs: 60000, ...opts });
+}
+
+test('a batch that fails to write is retried on the next flush', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  const h = store();
+  h.record({ type: 'poll', sensor: 'a' });
+  h.record({ type: 'poll', sensor: 'b' });
+  db.failNext = 'network';
+  assert.deepEqual((await h.query({})).records, []);
+  assert.deepEqual((await h.query({})).records.map(r => r.sensor), ['a', 'b']);
+  await h.close();
+});
+
+test('only records with real write errors are kept; duplicates count as written', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  const h = store();
+  for (const sensor of ['a', 'b', 'c']) h.record({ type: 'poll', sensor });
+  db.failNext = [0, 2]; // 'a' already landed in an earlier attempt, 'c' failed
+  await h.close();
+  assert.deepEqual(db.docs.map(d => d.sensor), ['b']);
+  await h.query({});
+  assert.deepEqual(db.docs.map(d => d.sensor), ['b', 'c']);
+});
+
+test('the retry buffer is capped, dropping the oldest records', async (t) => {
+  const errors = t.mock.method(console, 'error', () => {});
+  const h = store({ maxBuffer: 2 });
+  for (const sensor of ['a', 'b', 'c']) h.record({ type: 'poll', sensor });
+  db.failNext = 'network';
+  await h.query({});
+  assert.match(errors.mock.calls[0].arguments[0], /2 record\(s\) kept for retry, 1 oldest dropped/);
+  await h.close();
+  assert.deepEqual(db.docs.map(d => d.sensor), ['b', 'c']);
+});
+
+test('file store: a query right after recording sees every record', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sta-history-'));
+  const h = createHistoryStore({ file: path.join(dir, 'history.jsonl') });
+  try {
+    const t0 = Date.now();
+    // Small records, well under the stream's highWaterMark, so nothing signals backpressure
+    for (let i = 0; i < 50; i++) h.record({ type: 'poll', sensor: 's1', at: new Date(t0 + i).toISOString(), score: i });
+    const { records } = await h.query({ from: t0 - 1000, to: t0 + 1000, sensor: 's1' });
+    assert.equal(records.length, 50);
+    assert.equal(records.at(-1).score, 49);
+  } finally {
+    await h.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,78 @@
+// Decision state machine: persistence across restarts and re-deciding a poll.
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createDecisionEngine } = require('../hysteresis');
+
+const MIN_MS = 60 * 1000;
+const high = { risk: 'high', score: 0.9, on: 0.5, off: 0.4 };
+const low = { risk: 'low', score: 0.1, on: 0.5, off: 0.4 };
+
+function withDir(fn) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sta-hysteresis-'));
+  try {
+    return fn(dir);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+test('a restarted engine keeps a running sensor ON until its minimum run time', () => withDir((dir) => {
+  const opts = { confirmPolls: 1, minRunMs: 30 * MIN_MS, stateFile: path.join(dir, 'state.json') };
+  const t0 = Date.UTC(2025, 5, 1, 2);
+  assert.equal(createDecisionEngine(opts).step('s1', high, t0).decision, 'TAKE ACTION');
+
+  const restarted = createDecisionEngine(opts);
+  const r = restarted.step('s1', low, t0 + 5 * MIN_MS);
+  assert.equal(r.decision, 'TAKE ACTION');
+  assert.match(r.reason, /minimum run until/);
+  assert.equal(r.state.since, new Date(t0).toISOString());
+  assert.equal(restarted.step('s1', low, t0 + 31 * MIN_MS).decision, 'NO ACTION');
+}));
+
+test('pending confirmations survive a restart', () => withDir((dir) => {
+  const opts = { confirmPolls: 2, stateFile: path.join(dir, 'state.json') };
+  const t0 = Date.UTC(2025, 5, 1, 2);
+  assert.equal(createDecisionEngine(opts).step('s1', high, t0).state.highCount, 1);
+  assert.equal(createDecisionEngine(opts).step('s1', high, t0 + 15 * MIN_MS).decision, 'TAKE ACTION');
+}));
+
+test('re-deciding after an override change does not count another confirmation', () => withDir((dir) => {
+  const engine = createDecisionEngine({ confirmPolls: 3, overridesFile: path.join(dir, 'overrides.json') });
+  const t0 = Date.UTC(2025, 5, 1, 2);
+  assert.equal(engine.step('s1', high, t0).state.highCount, 1);
+
+  engine.setOverride('s1', { mode: 'off' });
+  engine.redecide('s1', high, t0 + MIN_MS);
+  engine.clearOverride('s1');
+  const r = engine.redecide('s1', high, t0 + 2 * MIN_MS);
+  assert.equal(r.state.highCount, 1);
+  assert.equal(r.decision, 'NO ACTION');
+
+  assert.equal(engine.step('s1', high, t0 + 15 * MIN_MS).decision, 'NO ACTION');
+  assert.equal(engine.step('s1', high, t0 + 30 * MIN_MS).decision, 'TAKE ACTION');
+}));
+
+test('an override expiring during a step is dropped even if the overrides file cannot be written', () => withDir((dir) => {
+  const overridesFile = path.join(dir, 'overrides.json');
+  const engine = createDecisionEngine({ confirmPolls: 1, overridesFile });
+  const t0 = Date.now();
+  engine.setOverride('s1', { mode: 'on', until: new Date(t0 + 10 * MIN_MS).toISOString() });
+  assert.equal(engine.step('s1', low, t0).decision, 'TAKE ACTION');
+
+  fs.mkdirSync(`${overridesFile}.tmp`); // the temp-file write now fails with EISDIR
+  const errors = [];
+  const origError = console.error;
+  console.error = (...args) => errors.push(args.join(' '));
+  try {
+    const r = engine.step('s1', low, t0 + 11 * MIN_MS);
+    assert.equal(r.decision, 'NO ACTION');
+    assert.equal(r.state.override, null);
+  } finally {
+    console.error = origError;
+  }
+  assert.match(errors.join('\n'), /overrides\.json: EISDIR/);
+  assert.deepEqual(engine.overrides(), {});
+}));
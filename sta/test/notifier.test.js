@@ -0,0 +1,109 @@
+// Alert lifecycle: open, resolve, re-open within dedupMinutes, escalation, restore from history.
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createNotifier, CHANNELS } = require('../notifier');
+
+const MIN_MS = 60 * 1000;
+
+// In-memory channel type so nothing leaves the process
+// records collects what onChange hands to the history store
+function setup(records = []) {
+  const sent = [];
+  CHANNELS.memory = () => ({ type: 'memory', send: async ({ to, text }) => { sent.push({ to, text }); return 'ok'; } });
+  const notifier = createNotifier({
+    channels: { mem: { type: 'memory' } },
+    recipients: [{ id: 'grower', channel: 'mem', to: 'grower', level: 1 }, { id: 'manager', channel: 'mem', to: 'manager', level: 2 }],
+    escalation: { afterMinutes: 15 },
+    dedupMinutes: 60,
+  }, { publicUrl: 'http://sta.example', onChange: rec => rec && records.push(structuredClone(rec)) });
+  return { notifier, sent, records };
+}
+
+test('turning ON again within dedupMinutes of resolving re-opens the same alert', async (t) => {
+  const { notifier, sent } = setup();
+  t.after(() => {
+    notifier.close();
+    delete CHANNELS.memory;
+  });
+  const t0 = Date.UTC(2025, 5, 1, 2);
+  await notifier.onTransition('s1', 'on', 'risk 80%', t0);
+  await notifier.onTransition('s1', 'off', 'risk 20%', t0 + 10 * MIN_MS);
+  assert.ok(notifier.snapshot().alerts[0].resolvedAt);
+
+  await notifier.onTransition('s1', 'on', 'risk 85%', t0 + 30 * MIN_MS);
+  const { alerts, deliveries } = notifier.snapshot();
+  assert.equal(alerts.length, 1);
+  assert.equal(alerts[0].resolvedAt, null);
+  assert.equal(alerts[0].reason, 'risk 85%');
+  assert.equal(alerts[0].reopenedAt, new Date(t0 + 30 * MIN_MS).toISOString());
+  assert.equal(deliveries[0].status, 'reopened');
+  assert.deepEqual(sent.map(s => s.to), ['grower'], 'level 1 already told, not re-sent');
+
+  // Still unacknowledged: escalation carries on
+  await notifier.tick(t0 + 46 * MIN_MS);
+  assert.deepEqual(sent.map(s => s.to), ['grower', 'manager']);
+});
+
+test('an acknowledged alert that re-opens stays acked; after dedupMinutes a new alert opens', async (t) => {
+  const { notifier, sent } = setup();
+  t.after(() => {
+    notifier.close();
+    delete CHANNELS.memory;
+  });
+  const t0 = Date.UTC(2025, 5, 1, 2);
+  await notifier.onTransition('s1', 'on', 'risk 80%', t0);
+  const link = new URL(/Acknowledge: (\S+)/.exec(sent[0].text)[1]);
+  const id = notifier.snapshot().alerts[0].id;
+  assert.equal(notifier.find(id, 'wrong'), null);
+  assert.equal(notifier.find(id, link.searchParams.get('token')).ackedAt, null, 'find() does not ack');
+  assert.ok(notifier.ack(id, link.searchParams.get('token'), 'grower').ackedAt);
+
+  await notifier.onTransition('s1', 'off', 'risk 20%', t0 + 10 * MIN_MS);
+  await notifier.onTransition('s1', 'on', 'risk 85%', t0 + 20 * MIN_MS);
+  await notifier.tick(t0 + 60 * MIN_MS);
+  let { alerts } = notifier.snapshot();
+  assert.equal(alerts.length, 1);
+  assert.equal(alerts[0].ackedBy, 'grower');
+  assert.equal(sent.length, 1, 'no escalation after the ack');
+
+  await notifier.onTransition('s1', 'off', 'risk 20%', t0 + 70 * MIN_MS);
+  await notifier.onTransition('s1', 'on', 'risk 90%', t0 + 140 * MIN_MS);
+  ({ alerts } = notifier.snapshot());
+  assert.equal(alerts.length, 2);
+  assert.notEqual(alerts[0].id, id);
+  assert.equal(sent.length, 2);
+});
+
+test('alerts and deliveries restored from history keep escalating and keep their ack links', async (t) => {
+  const first = setup();
+  const t0 = Date.UTC(2025, 5, 1, 2);
+  await first.notifier.onTransition('s1', 'on', 'risk 80%', t0);
+  await first.notifier.onTransition('s2', 'on', 'risk 70%', t0);
+  await first.notifier.onTransition('s2', 'off', 'risk 10%', t0 + 5 * MIN_MS);
+  first.notifier.close();
+  const link = new URL(/Acknowledge: (\S+)/.exec(first.sent.find(m => m.text.startsWith('s1')).text)[1]);
+  assert.deepEqual([...new Set(first.records.map(r => r.type))].sort(), ['alert', 'delivery']);
+
+  // "Restart": a new notifier fed the stored records
+  const second = setup();
+  t.after(() => {
+    second.notifier.close();
+    delete CHANNELS.memory;
+  });
+  assert.deepEqual(second.notifier.restore(first.records), { alerts: 2, open: 1 });
+  const { alerts, deliveries } = second.notifier.snapshot();
+  assert.deepEqual(alerts.map(a => [a.sensor, a.resolvedAt != null]), [['s2', true], ['s1', false]]);
+  assert.equal(deliveries.length, 2);
+  assert.ok(deliveries.every(d => d.status === 'sent' && !('type' in d)));
+
+  // Level 1 was told before the restart: only the escalation goes out
+  await second.notifier.tick(t0 + 16 * MIN_MS);
+  assert.deepEqual(second.sent.map(m => m.to), ['manager']);
+  const id = link.pathname.split('/')[2];
+  assert.equal(second.notifier.ack(id, link.searchParams.get('token'), 'grower').ackedBy, 'grower');
+  assert.equal(second.records.at(-1).ackedBy, 'grower');
+
+  // Re-opening a restored alert within dedupMinutes works as before the restart
+  await second.notifier.onTransition('s2', 'on', 'risk 75%', t0 + 20 * MIN_MS);
+  assert.equal(second.notifier.snapshot().alerts.length, 2);
+});
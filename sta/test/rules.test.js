@@ -0,0 +1,77 @@
+// Reading extraction and rule evaluation.
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { readingsBySensor, compileRules, evaluate } = require('../rules');
+const { createDecisionEngine } = require('../hysteresis');
+
+const doc = (object) => ({ deviceInfo: { deviceName: 's1' }, time: '2025-06-01T02:00:00Z', object });
+
+test('temperature aliases are used in priority order, not payload order', () => {
+  const r = readingsBySensor([doc({ TempC1: 12.5, TempC_SHT: 0.4, Hum_SHT: 95 })]).get('s1');
+  assert.equal(r.temperature, 0.4);
+  assert.equal(r.humidity, 95);
+});
+
+test('"no probe" sentinels fall through to the next alias or become null', () => {
+  assert.equal(readingsBySensor([doc({ TempC1: 327.67, TempC_SHT: 0.4 })]).get('s1').temperature, 0.4);
+  assert.equal(readingsBySensor([doc({ TempC_SHT: 327.67, TempC1: 1.2 })]).get('s1').temperature, 1.2);
+  const none = readingsBySensor([doc({ TempC1: 327.67, Hum_SHT: 6553.5 })]).get('s1');
+  assert.equal(none.temperature, null);
+  assert.equal(none.humidity, null);
+  assert.equal(none.dewpoint, null);
+  assert.equal(readingsBySensor({ s2: { temperature: 327.67 } }).get('s2').temperature, null);
+});
+
+test('the decoded payload wins over the top level for the same alias', () => {
+  const r = readingsBySensor([{ ...doc({ temperature: 2 }), temperature: 9 }]).get('s1');
+  assert.equal(r.temperature, 2);
+});
+
+test('the APISec alias set is read, including hum, hum_SMT, tC, temp_sht and temp1', () => {
+  const r = readingsBySensor([doc({ temp: 1.5, hum: 93 })]).get('s1');
+  assert.equal(r.temperature, 1.5);
+  assert.equal(r.humidity, 93);
+  assert.ok(r.dewpointSpread > 0 && r.dewpointSpread < 1.5);
+  assert.equal(readingsBySensor([doc({ tC: 0.2, hum_SMT: 88 })]).get('s1').humidity, 88);
+  assert.equal(readingsBySensor([doc({ temp_sht: -0.5 })]).get('s1').temperature, -0.5);
+  assert.equal(readingsBySensor([doc({ temp1: 2.5 })]).get('s1').temperature, 2.5);
+  // Same priority as APISec: tC before temp_sht, hum before humidity
+  const both = readingsBySensor([doc({ temp_sht: 9, tC: 3, humidity: 50, hum: 70 })]).get('s1');
+  assert.equal(both.temperature, 3);
+  assert.equal(both.humidity, 70);
+});
+
+const RULES = compileRules({
+  zones: { north: ['s1'] },
+  rules: [{
+    name: 'north-frost',
+    zones: ['north'],
+    when: { any: [
+      { field: 'prediction.calibratedProbability', op: '>=', value: 0.3 },
+      { field: 'readings.temperature', op: '<=', value: 1.5 },
+    ] },
+    release: { field: 'readings.temperature', op: '>', value: 3 },
+  }],
+});
+
+test('a rule with none of its fields available holds instead of deciding low', () => {
+  const r = evaluate(RULES, 's1', { prediction: null, readings: null });
+  assert.equal(r.risk, null);
+  assert.equal(r.matched, false);
+  assert.match(r.detail, /no data \(prediction\.calibratedProbability missing; readings\.temperature missing\)/);
+
+  // The engine keeps a running sensor ON through the gap
+  const engine = createDecisionEngine({ confirmPolls: 1 });
+  const t0 = Date.UTC(2025, 5, 1, 2);
+  const step = (ev, t) => engine.step('s1', { risk: ev.risk, score: null, on: 0.5, off: 0.4, detail: ev.detail }, t);
+  assert.equal(step(evaluate(RULES, 's1', { readings: { temperature: 0.5 } }), t0).decision, 'TAKE ACTION');
+  const held = step(r, t0 + 15 * 60 * 1000);
+  assert.equal(held.decision, 'TAKE ACTION');
+  assert.match(held.reason, /no data .*; holding ON/);
+});
+
+test('a rule with some of its fields available is still evaluated', () => {
+  assert.equal(evaluate(RULES, 's1', { readings: { temperature: 5 } }).risk, 'low');
+  assert.equal(evaluate(RULES, 's1', { readings: { temperature: 2 } }).risk, 'mid');
+  assert.equal(evaluate(RULES, 's1', { prediction: { calibratedProbability: 0.4 } }).risk, 'high');
+});
@@ -0,0 +1,294 @@
+// staserver.js end to end: a fake predictor, the server in a child process.
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const net = require('net');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const srv = net.createServer().listen(0, '127.0.0.1', () => {
+      const { port } = srv.address();
+      srv.close(() => resolve(port));
+    }).on('error', reject);
+  });
+}
+
+async function waitFor(cond, ms = 10000) {
+  const until = Date.now() + ms;
+  for (;;) {
+    const v = await cond();
+    if (v) return v;
+    if (Date.now() > until) throw new Error('timed out waiting for condition');
+    await new Promise(r => setTimeout(r, 50));
+  }
+}
+
+/** Predictor + APISec stub: GET /predict → { threshold, points } (500 while `fail` is set),
+ * GET /sensors/latest-all → `latest`; both read from the mutable state.
+ * POST /hook collects webhook alert bodies in `hooks`. */
+async function fakePredictor(points = []) {
+  const state = { points, latest: [], hooks: [], fail: false, calls: 0 };
+  const server = http.createServer((req, res) => {
+    res.setHeader('Content-Type', 'application/json');
+    if (req.url.startsWith('/sensors/latest-all')) return res.end(JSON.stringify(state.latest));
+    if (req.url === '/hook') {
+      let body = '';
+      req.on('data', (d) => { body += d; });
+      req.on('end', () => {
+        state.hooks.push(JSON.parse(body));
+        res.end('{}');
+      });
+      return;
+    }
+    state.calls++;
+    if (state.fail) {
+      res.statusCode = 500;
+      return res.end(JSON.stringify({ error: 'model not loaded' }));
+    }
+    res.end(JSON.stringify({ threshold: { probThreshold: 0.5 }, points: state.points }));
+  });
+  await new Promise(r => server.listen(0, '127.0.0.1', r));
+  state.base = `http://127.0.0.1:${server.address().port}`;
+  state.url = `${state.base}/predict`;
+  state.close = () => new Promise(r => server.close(r));
+  return state;
+}
+
+function tmpDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'sta-test-'));
+}
+
+/** Start staserver.js with env overrides → { url, port, child, stop() }. */
+async function startServer(env) {
+  const port = Number(env.PORT) || await freePort();
+  const dir = tmpDir();
+  const child = spawn(process.execPath, [path.join(__dirname, '..', 'staserver.js')], {
+    env: {
+      PATH: process.env.PATH,
+      PORT: String(port),
+      UPDATE_INTERVAL_MS: String(3600 * 1000),
+      HISTORY_FILE: path.join(dir, 'history.jsonl'),
+      OVERRIDES_FILE: path.join(dir, 'overrides.json'),
+      STATE_FILE: path.join(dir, 'hysteresis.json'),
+      ...env,
+    },
+    stdio: ['ignore', 'pipe', 'pipe'],
+  });
+  let output = '';
+  child.stdout.on('data', d => { output += d; });
+  child.stderr.on('data', d => { output += d; });
+  const url = `http://127.0.0.1:${port}`;
+  try {
+    await waitFor(async () => {
+      if (child.exitCode != null) throw new Error(`staserver exited:\n${output}`);
+      return fetch(`${url}/status`).then(r => r.ok, () => false);
+    });
+  } catch (e) {
+    child.kill();
+    fs.rmSync(dir, { recursive: true, force: true });
+    throw e;
+  }
+  return {
+    url,
+    port,
+    dir,
+    child,
+    output: () => output,
+    stop: async () => {
+      if (child.exitCode == null) {
+        await new Promise((resolve) => {
+          child.once('exit', resolve);
+          child.kill();
+        });
+      }
+      fs.rmSync(dir, { recursive: true, force: true });
+    },
+  };
+}
+
+
+// Full loop: predictor poll → decision → simulated actuator command → device ack over HTTP
+let predictor;
+let actuatorsFile;
+
+before(async () => {
+  predictor = await fakePredictor([{ sensorName: 'sensor-1', time: new Date().toISOString(), calibratedProbability: 0.9, frost: true }]);
+  actuatorsFile = path.join(tmpDir(), 'actuators.json');
+  fs.writeFileSync(actuatorsFile, JSON.stringify({
+    // The simulated device never acks on its own, so the ack has to come through the route
+    drivers: { sim: { type: 'simulated', ackDelayMs: 1000, dropAckRate: 1 } },
+    actuators: [{ id: 'fan-1', driver: 'sim', sensors: ['sensor-1'] }],
+  }));
+});
+
+after(async () => {
+  await predictor.close();
+  fs.rmSync(path.dirname(actuatorsFile), { recursive: true, force: true });
+});
+
+async function sentCommand(sta) {
+  return waitFor(async () => {
+    const j = await (await fetch(`${sta.url}/actuators`)).json();
+    const c = j.actuators[0].lastCommand;
+    return c && c.status === 'sent' ? c : null;
+  });
+}
+
+test('a TAKE ACTION decision sends a command that is acked through /actuators/ack', async () => {
+  const sta = await startServer({ PREDICT_URL: predictor.url, ACTUATORS_FILE: actuatorsFile, ACK_TOKEN: 's3cret' });
+  try {
+    const item = await waitFor(async () => (await (await fetch(`${sta.url}/status`)).json()).items[0]);
+    assert.equal(item.decision, 'TAKE ACTION');
+    const cmd = await sentCommand(sta);
+    assert.equal(cmd.state, 'on');
+
+    const noToken = await fetch(`${sta.url}/actuators/ack/${cmd.commandId}`, { method: 'POST' });
+    assert.equal(noToken.status, 401);
+    const ok = await fetch(`${sta.url}/actuators/ack/${cmd.commandId}?token=s3cret`, { method: 'POST' });
+    assert.equal(ok.status, 200);
+
+    const act = (await (await fetch(`${sta.url}/actuators`)).json()).actuators[0];
+    assert.equal(act.lastCommand.status, 'acked');
+    assert.equal(act.state, 'on');
+  } finally {
+    await sta.stop();
+  }
+});
+
+test('ack routes are refused when ACK_TOKEN is unset', async () => {
+  const sta = await startServer({ PREDICT_URL: predictor.url, ACTUATORS_FILE: actuatorsFile });
+  try {
+    const cmd = await sentCommand(sta);
+    const r = await fetch(`${sta.url}/actuators/ack/${cmd.commandId}`, { method: 'POST' });
+    assert.equal(r.status, 403);
+    const act = (await (await fetch(`${sta.url}/actuators`)).json()).actuators[0];
+    assert.equal(act.lastCommand.status, 'sent');
+  } finally {
+    await sta.stop();
+  }
+});
+
+test('the page loads the shared timeline script, which STA serves for websec too', async () => {
+  const sta = await startServer({ PREDICT_URL: predictor.url });
+  try {
+    assert.match(await (await fetch(sta.url)).text(), /<script src="timeline\.js"><\/script>/);
+    const js = await fetch(`${sta.url}/timeline.js`);
+    assert.equal(js.status, 200);
+    assert.match(js.headers.get('content-type'), /javascript/);
+    assert.match(await js.text(), /global\.statimeline = statimeline/);
+  } finally {
+    await sta.stop();
+  }
+});
+
+test('rules still decide on the latest readings when the predictor fails', async () => {
+  const dir = tmpDir();
+  const rulesFile = path.join(dir, 'rules.json');
+  fs.writeFileSync(rulesFile, JSON.stringify({
+    rules: [{ name: 'cold', zones: ['*'], when: { field: 'readings.temperature', op: '<=', value: 0.5 } }],
+  }));
+  const down = await fakePredictor();
+  down.fail = true;
+  down.latest = [{ deviceInfo: { deviceName: 'sensor-7' }, time: new Date().toISOString(), object: { TempC_SHT: -0.4 } }];
+  const sta = await startServer({ PREDICT_URL: down.url, LATEST_URL: `${down.base}/sensors/latest-all`, RULES_FILE: rulesFile });
+  try {
+    const status = await waitFor(async () => {
+      const j = await (await fetch(`${sta.url}/status`)).json();
+      return j.lastRunAt ? j : null;
+    });
+    assert.match(status.error, /Predictor 500/);
+    assert.equal(status.items.length, 1);
+    assert.equal(status.items[0].sensorName, 'sensor-7');
+    assert.equal(status.items[0].rule.name, 'cold');
+    assert.equal(status.items[0].decision, 'TAKE ACTION');
+  } finally {
+    await sta.stop();
+    await down.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('an alert ack link shows a confirm page on GET and only the POST acknowledges', async () => {
+  const dir = tmpDir();
+  const notifyFile = path.join(dir, 'notify.json');
+  fs.writeFileSync(notifyFile, JSON.stringify({
+    channels: { ops: { type: 'webhook', url: `${predictor.base}/hook`, format: 'json' } },
+    recipients: [{ id: 'ops', channel: 'ops', level: 1 }],
+  }));
+  predictor.hooks.length = 0;
+  const port = await freePort();
+  const sta = await startServer({ PORT: String(port), PUBLIC_URL: `http://127.0.0.1:${port}`, PREDICT_URL: predictor.url, NOTIFY_FILE: notifyFile });
+  try {
+    const hook = await waitFor(() => predictor.hooks[0]);
+    const link = /Acknowledge: (\S+)/.exec(hook.text)[1];
+
+    const page = await fetch(link);
+    assert.equal(page.status, 200);
+    assert.match(await page.text(), /<form method="post" action="ack">/);
+    const afterGet = (await (await fetch(`${sta.url}/alerts`)).json()).alerts[0];
+    assert.equal(afterGet.ackedAt, null);
+
+    const token = new URL(link).searchParams.get('token');
+    const bad = await fetch(new URL('ack', link), { method: 'POST', body: new URLSearchParams({ token: 'nope' }) });
+    assert.equal(bad.status, 404);
+    const ok = await fetch(new URL('ack', link), { method: 'POST', body: new URLSearchParams({ token, by: 'grower' }) });
+    assert.equal(ok.status, 200);
+    const acked = (await (await fetch(`${sta.url}/alerts`)).json()).alerts[0];
+    assert.equal(acked.ackedBy, 'grower');
+    assert.ok(acked.ackedAt);
+  } finally {
+    await sta.stop();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('an open alert survives a restart: no second alert, same ack link, no token in /history', async () => {
+  const dir = tmpDir();
+  const notifyFile = path.join(dir, 'notify.json');
+  fs.writeFileSync(notifyFile, JSON.stringify({
+    channels: { ops: { type: 'webhook', url: `${predictor.base}/hook`, format: 'json' } },
+    recipients: [{ id: 'ops', channel: 'ops', level: 1 }],
+  }));
+  predictor.hooks.length = 0;
+  const port = await freePort();
+  const env = {
+    PORT: String(port),
+    PUBLIC_URL: `http://127.0.0.1:${port}`,
+    PREDICT_URL: predictor.url,
+    NOTIFY_FILE: notifyFile,
+    HISTORY_FILE: path.join(dir, 'history.jsonl'),
+    STATE_FILE: path.join(dir, 'hysteresis.json'),
+  };
+  let sta = await startServer(env);
+  try {
+    const hook = await waitFor(() => predictor.hooks[0]);
+    const link = /Acknowledge: (\S+)/.exec(hook.text)[1];
+    const before = (await (await fetch(`${sta.url}/alerts`)).json()).alerts[0];
+    await sta.stop();
+
+    sta = await startServer(env);
+    await waitFor(async () => (await (await fetch(`${sta.url}/status`)).json()).items[0]);
+    const { alerts, deliveries } = await (await fetch(`${sta.url}/alerts`)).json();
+    assert.equal(alerts.length, 1);
+    assert.equal(alerts[0].id, before.id);
+    assert.equal(alerts[0].resolvedAt, null);
+    assert.equal(deliveries[0].status, 'sent');
+    assert.equal(predictor.hooks.length, 1, 'still ON after the restart: nobody is alerted twice');
+
+    const token = new URL(link).searchParams.get('token');
+    const ok = await fetch(new URL('ack', link), { method: 'POST', body: new URLSearchParams({ token, by: 'grower' }) });
+    assert.equal(ok.status, 200);
+
+    const hist = await (await fetch(`${sta.url}/history?type=alert,delivery`)).json();
+    assert.ok(hist.records.some(r => r.type === 'alert' && r.ackedBy === 'grower'));
+    assert.ok(hist.records.some(r => r.type === 'delivery' && r.status === 'sent'));
+    assert.ok(hist.records.every(r => !('token' in r)));
+  } finally {
+    await sta.stop();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,29 @@
+// Timeline chart markup (public/timeline.js), as both the STA page and websec's /sta page draw it.
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const statimeline = require('../public/timeline');
+
+const HOUR_MS = 3600 * 1000;
+const from = Date.UTC(2025, 5, 1, 0);
+const to = from + 10 * HOUR_MS;
+const at = h => new Date(from + h * HOUR_MS).toISOString();
+
+test('polls become a score line, a threshold line and TAKE ACTION bands; transitions are marked', () => {
+  const svg = statimeline.svg([
+    { type: 'poll', at: at(1), score: 0.2, threshold: 0.5, decision: 'NO ACTION' },
+    { type: 'poll', at: at(2), score: 0.8, threshold: 0.5, decision: 'TAKE ACTION' },
+    { type: 'transition', at: at(2), from: 'off', to: 'on', reason: 'risk <80%>' },
+    { type: 'poll', at: at(4), score: 0.3, threshold: 0.5, decision: 'NO ACTION' },
+  ], { from, to, sensor: 's1' });
+  assert.equal((svg.match(/<polyline class="score" points="[^"]+"/g) || []).length, 1);
+  assert.match(svg, /<polyline class="thr"/);
+  // One band from the TAKE ACTION poll (x=200) to the next poll (x=400)
+  assert.deepEqual(svg.match(/<rect class="on" x="[\d.]+" y="10" width="[\d.]+"/g), ['<rect class="on" x="200.0" y="10" width="200.0"']);
+  assert.match(svg, /<line class="tr" x1="200.0"[^>]*><title>off -&gt; on at [^:]+:00:00.000Z: risk &lt;80%&gt;<\/title>/);
+  assert.match(svg, />88\.0%<\/text>/, 'y axis tops out 10% over the highest score');
+});
+
+test('no sensor or no polls yields a message instead of a chart', () => {
+  assert.match(statimeline.svg([], { from, to, sensor: '' }), /No sensors yet/);
+  assert.match(statimeline.svg([{ type: 'transition', at: at(1) }], { from, to, sensor: '<s1>' }), /No history for &lt;s1&gt; in this range/);
+});
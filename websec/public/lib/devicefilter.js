@@ -0,0 +1,29 @@
+/*!
+ * devicefilter – ?device= / ?profile= filter lists, shared by the pages and webserver.js
+ * API:
+ *   devicefilter.list(v)                                 "a, b" | ["a","b"] | undefined → ["a","b"]
+ *   devicefilter.fromQuery(query)                        → { devices, profiles }
+ *   devicefilter.appendTo(searchParams, { devices, profiles })
+ */
+(function (global) {
+  const devicefilter = {};
+
+  // Repeated params and comma-separated text both work; blanks are dropped
+  devicefilter.list = function (v) {
+    const arr = Array.isArray(v) ? v : v == null ? [] : [v];
+    return arr.flatMap(x => String(x).split(",")).map(s => s.trim()).filter(Boolean);
+  };
+
+  devicefilter.fromQuery = function (query) {
+    return { devices: devicefilter.list(query?.device), profiles: devicefilter.list(query?.profile) };
+  };
+
+  devicefilter.appendTo = function (params, filters) {
+    for (const d of filters?.devices  || []) params.append("device", d);
+    for (const p of filters?.profiles || []) params.append("profile", p);
+    return params;
+  };
+
+  if (typeof module === "object" && module.exports) module.exports = devicefilter;
+  else global.devicefilter = devicefilter;
+})(typeof window !== "undefined" ? window : globalThis);
@@ -3,6 +3,7 @@
 // and reverse-proxies to the local ONNX/LightGBM predictor and STA service.
 // Pages: / (index), /readings, /timeseries, /frostpred, /sta
 // JSON:  /data (latest-all), /series (time-series)
+// Files: /export (CSV / Arrow download of sensor history)
 // Proxy: /predict → http://127.0.0.1:8060/predict
 //        /sta     → http://127.0.0.1:3010 (status/events/etc.)
 //
@@ -14,7 +15,9 @@ const fs      = require("fs");
 const path    = require("path");
 const http    = require("http");
 const https   = require("https");
+const { Readable } = require("stream");
 const { createProxyMiddleware } = require("http-proxy-middleware");
+const devicefilter = require("./public/lib/devicefilter");
 
 /* ---------- Built-in config (overridable via env) ---------- */
 const DEFAULTS = {
@@ -33,6 +36,8 @@ const DEFAULTS = {
 
   // Time-series path on your API server
   SERIES_PATH: "/sensors/timeseries",
+  // Raw time-series are fetched in pages of this many docs (0 = single request)
+  SERIES_PAGE_SIZE: 5000,
 
   // Predictor reverse-proxy
   PREDICT_ROUTE:    "/predict",
@@ -70,6 +75,7 @@ function getCfg() {
     SENSOR_FIELD: process.env.SENSOR_FIELD || DEFAULTS.SENSOR_FIELD,
     TIME_FIELD:   process.env.TIME_FIELD   || DEFAULTS.TIME_FIELD,
     SERIES_PATH:  process.env.SERIES_PATH  || DEFAULTS.SERIES_PATH,
+    SERIES_PAGE_SIZE: parseInt(process.env.SERIES_PAGE_SIZE || String(DEFAULTS.SERIES_PAGE_SIZE), 10),
 
     PREDICT_ROUTE:    process.env.PREDICT_ROUTE    || DEFAULTS.PREDICT_ROUTE,
     PREDICTOR_TARGET: process.env.PREDICTOR_TARGET || DEFAULTS.PREDICTOR_TARGET,
@@ -142,6 +148,11 @@ function pickTime(doc, timeFieldFromApi){
          (doc?.ts ? new Date(doc.ts).toISOString() : undefined) || "";
 }
 
+// Repeatable ?device= / ?profile= filters, forwarded to the sensors API
+// (same parsing as the pages: public/lib/devicefilter.js)
+function deviceFilters(req){ return devicefilter.fromQuery(req.query); }
+function appendDeviceFilters(url, filters = {}){ devicefilter.appendTo(url.searchParams, filters); }
+
 // Permissive extractors for temp/humidity
 function getTempCandidate(doc){
   const names = [
@@ -212,11 +223,12 @@ async function callApi(url, headers) {
 }
 
 /* ---------- Sensors API: Latest ---------- */
-async function fetchLatestAllFromApi(cfg) {
+async function fetchLatestAllFromApi(cfg, filters = {}) {
   const base = cfg.SENSORS_API_BASE.replace(/\/$/, "");
   const url = new URL(`${base}/sensors/latest-all`);
   url.searchParams.set("sensorField", cfg.SENSOR_FIELD);
   url.searchParams.set("timeField",  cfg.TIME_FIELD);
+  appendDeviceFilters(url, filters);
 
   const payload = await callApi(url.toString(), { "x-api-key": cfg.SENSORS_API_KEY });
   if (payload.status !== 200) throw new Error(`sensors-api ${payload.status}: ${payload.data}`);
@@ -241,22 +253,39 @@ async function fetchLatestAllFromApi(cfg) {
 }
 
 /* ---------- Sensors API: Time Series ---------- */
-async function fetchSeriesFromApi(cfg, fromIso, toIso) {
+// opts.bucket/opts.agg request server-side downsampling (API returns compact points)
+// opts.devices/opts.profiles narrow the query to some sensors
+async function fetchSeriesFromApi(cfg, fromIso, toIso, opts = {}) {
   const base = cfg.SENSORS_API_BASE.replace(/\/$/, "");
   const url = new URL(`${base}${cfg.SERIES_PATH || "/sensors/timeseries"}`);
   if (fromIso) url.searchParams.set("from", fromIso);
   if (toIso)   url.searchParams.set("to",   toIso);
   url.searchParams.set("sensorField", cfg.SENSOR_FIELD);
   url.searchParams.set("timeField",   cfg.TIME_FIELD);
-
-  console.log("[series] GET", url.toString());
-  const payload = await callApi(url.toString(), { "x-api-key": cfg.SENSORS_API_KEY });
-  if (payload.status !== 200) throw new Error(`sensors-api ${payload.status}: ${payload.data}`);
-
-  const json = JSON.parse(payload.data);
+  if (opts.bucket) url.searchParams.set("bucket", opts.bucket);
+  if (opts.bucket && opts.agg) url.searchParams.set("agg", opts.agg);
+  appendDeviceFilters(url, opts);
+  if (!opts.bucket && cfg.SERIES_PAGE_SIZE > 0) url.searchParams.set("pageSize", String(cfg.SERIES_PAGE_SIZE));
+
+  // Follow nextCursor pages (raw docs only; bucketed responses are a single body)
+  let json;
+  const raw = [];
+  for (;;) {
+    console.log("[series] GET", url.toString());
+    const payload = await callApi(url.toString(), { "x-api-key": cfg.SENSORS_API_KEY });
+    if (payload.status !== 200) throw new Error(`sensors-api ${payload.status}: ${payload.data}`);
+
+    json = JSON.parse(payload.data);
+    if (Array.isArray(json.points)) {
+      console.log(`[series] bucketed points=${json.points.length} (bucket=${json.bucket} agg=${json.agg})`);
+      return json.points;
+    }
+    for (const doc of (Array.isArray(json) ? json : (json.items || []))) raw.push(doc);
+    if (!json.nextCursor) break;
+    url.searchParams.set("cursor", json.nextCursor);
+  }
   const sensorFieldFromApi = json.sensorField || cfg.SENSOR_FIELD;
   const timeFieldFromApi   = json.timeField   || cfg.TIME_FIELD;
-  const raw = Array.isArray(json) ? json : (json.items || []);
 
   const points = raw.map((doc) => {
     const sensorName = pickDeviceName(doc, sensorFieldFromApi);
@@ -270,6 +299,31 @@ async function fetchSeriesFromApi(cfg, fromIso, toIso) {
   return points;
 }
 
+/* ---------- Sensors API: Export (streamed download) ---------- */
+async function pipeExportFromApi(cfg, query, res) {
+  const base = cfg.SENSORS_API_BASE.replace(/\/$/, "");
+  const url = new URL(`${base}/sensors/export`);
+  if (query.from) url.searchParams.set("from", String(query.from));
+  if (query.to)   url.searchParams.set("to",   String(query.to));
+  url.searchParams.set("format", String(query.format || "csv"));
+  url.searchParams.set("sensorField", cfg.SENSOR_FIELD);
+  url.searchParams.set("timeField",   cfg.TIME_FIELD);
+  appendDeviceFilters(url, devicefilter.fromQuery(query));
+
+  console.log("[export] GET", url.toString());
+  const r = await fetch(url, { headers: { "x-api-key": cfg.SENSORS_API_KEY }, cache: "no-store" });
+  if (!r.ok) throw new Error(`sensors-api ${r.status}: ${await r.text()}`);
+
+  res.status(200).set({
+    "Content-Type": r.headers.get("content-type") || "application/octet-stream",
+    "Content-Disposition": r.headers.get("content-disposition") || "attachment",
+    "Cache-Control": "no-store",
+  });
+  await new Promise((resolve, reject) => {
+    Readable.fromWeb(r.body).on("error", reject).pipe(res).on("finish", resolve).on("close", resolve);
+  });
+}
+
 /* ---------- HTML file helpers ---------- */
 const PUBLIC_DIR = path.join(__dirname, "public");
 const sendHtml = (res, filename) =>
@@ -303,9 +357,9 @@ app.use("/lib", checkBasicAuth, express.static(path.join(PUBLIC_DIR, "lib"), {
 }));
 
 /* ---- Protected JSON endpoints ---- */
-app.get("/data", checkBasicAuth, async (_req, res) => {
+app.get("/data", checkBasicAuth, async (req, res) => {
   try {
-    const data = await fetchLatestAllFromApi(cfg);
+    const data = await fetchLatestAllFromApi(cfg, deviceFilters(req));
     res.status(200).type("json").set("Cache-Control","no-store").send(JSON.stringify(data));
   } catch (e) {
     console.error(e);
@@ -317,7 +371,9 @@ app.get("/series", checkBasicAuth, async (req, res) => {
   try {
     const fromIso = req.query.from || "";
     const toIso   = req.query.to   || "";
-    const points  = await fetchSeriesFromApi(cfg, fromIso, toIso);
+    const bucket  = req.query.bucket ? String(req.query.bucket) : "";
+    const agg     = req.query.agg    ? String(req.query.agg)    : "";
+    const points  = await fetchSeriesFromApi(cfg, fromIso, toIso, { bucket, agg, ...deviceFilters(req) });
     res.status(200).type("json").set("Cache-Control","no-store").send(JSON.stringify({ points }));
   } catch (e) {
     console.error(e);
@@ -325,6 +381,17 @@ app.get("/series", checkBasicAuth, async (req, res) => {
   }
 });
 
+// CSV / Arrow download of sensor history (?from&to&device&format=csv|arrow)
+app.get("/export", checkBasicAuth, async (req, res) => {
+  try {
+    await pipeExportFromApi(cfg, req.query, res);
+  } catch (e) {
+    console.error(e);
+    if (!res.headersSent) res.status(500).type("text").send(e?.message || "Server error");
+    else res.destroy(e);
+  }
+});
+
 /* ---- Predictor reverse proxy (/predict) ----
    NOTE: The predictor expects the path to include '/predict' on the target,
    so we re-append it (mount strips it). */